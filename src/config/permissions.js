@@ -0,0 +1,79 @@
+// Every permission a role can be granted, with a short description for the admin UI
+const PERMISSIONS = {
+    'users:read': 'View user accounts',
+    'users:manage': 'Create, edit, deactivate and unlock user accounts',
+    'users:hours': 'Adjust allotted and completed hours',
+    'users:impersonate': 'View the app as another user (read-only, audited)',
+    'roles:manage': 'Define roles and their permissions',
+    'invitations:manage': 'Invite new users',
+    'settings:manage': 'Change institution-wide settings such as the 2FA policy',
+    'security:read': 'View security events such as lockouts',
+    'audit:read': 'View the audit log of every change made in the system',
+    'students:read': 'View student profiles, progress and the professor dashboard',
+    'students:all': 'Access records of every student in the department, not only assigned ones',
+    'patients:manage': 'Correct and deactivate entries in the patient registry',
+    'cases:create': 'Log own clinical cases',
+    'cases:read': 'View clinical cases of other students',
+    'cases:review': 'Approve, reject or request revision of clinical cases',
+    'cases:reopen': 'Reopen approved or rejected clinical cases for another review',
+    'cases:delete': 'Delete clinical cases',
+    'templates:manage': 'Define case templates for common test batteries',
+    'requirements:manage': 'Set the approved cases students need each semester',
+    'attendance:record': 'Check in and out',
+    'attendance:read': 'View attendance of other students',
+    'attendance:verify': 'Verify attendance records',
+    'leave:request': 'Request leave',
+    'leave:read': 'View leave requests of other students',
+    'leave:review': 'Approve or reject leave requests',
+    'statistics:read': 'View statistics for other students and the whole clinic'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Built-in roles created on startup. Admin always holds every permission;
+// the others can be edited by admins after they are first created.
+const DEFAULT_ROLES = [
+    {
+        name: 'Student',
+        description: 'Student clinician logging their own cases, attendance and leave',
+        isStudent: true,
+        permissions: ['cases:create', 'attendance:record', 'leave:request']
+    },
+    {
+        name: 'Supervisor',
+        description: 'Clinical supervisor reviewing student work',
+        permissions: [
+            'users:read',
+            'users:hours',
+            'security:read',
+            'students:read',
+            'cases:read',
+            'cases:review',
+            'templates:manage',
+            'attendance:read',
+            'attendance:verify',
+            'leave:read',
+            'leave:review',
+            'statistics:read'
+        ]
+    },
+    {
+        name: 'Admin',
+        description: 'Full access to every part of the system',
+        permissions: ALL_PERMISSIONS
+    }
+];
+
+// Permissions a role needs for its users to be assigned as a student's supervisor
+const SUPERVISOR_PERMISSIONS = ['students:read', 'cases:review'];
+
+// Check whether the authenticated request holds a permission (set by `protect`)
+const hasPermission = (req, permission) => !!req.permissions && req.permissions.includes(permission);
+
+module.exports = {
+    PERMISSIONS,
+    ALL_PERMISSIONS,
+    DEFAULT_ROLES,
+    SUPERVISOR_PERMISSIONS,
+    hasPermission
+};
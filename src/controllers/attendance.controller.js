@@ -1,5 +1,7 @@
 const Attendance = require('../models/Attendance.model');
 const User = require('../models/User.model');
+const { hasPermission } = require('../config/permissions');
+const { studentFilter, canAccessStudent } = require('../utils/studentScope');
 
 // @desc    Check in
 // @route   POST /api/attendance/check-in
@@ -120,17 +122,20 @@ exports.checkOut = async (req, res) => {
 // @access  Private
 exports.getAttendance = async (req, res) => {
     try {
-        let query;
-
-        if (req.user.role === 'Student') {
-            query = Attendance.find({ student: req.user.id });
-        } else {
-            query = Attendance.find();
-            if (req.query.studentId) {
-                query = query.where('student').equals(req.query.studentId);
+        const filter = await studentFilter(req, 'attendance:read');
+
+        if (hasPermission(req, 'attendance:read') && req.query.studentId) {
+            if (!(await canAccessStudent(req, req.query.studentId, 'attendance:read'))) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Not authorized to access this student\'s attendance'
+                });
             }
+            filter.student = req.query.studentId;
         }
 
+        let query = Attendance.find(filter);
+
         // Date range filter
         if (req.query.startDate && req.query.endDate) {
             query = query.where('date')
@@ -223,6 +228,22 @@ exports.getTodayStatus = async (req, res) => {
 // @access  Private (Supervisor, Admin)
 exports.verifyAttendance = async (req, res) => {
     try {
+        const existingRecord = await Attendance.findById(req.params.id);
+
+        if (!existingRecord) {
+            return res.status(404).json({
+                success: false,
+                message: 'Attendance record not found'
+            });
+        }
+
+        if (!(await canAccessStudent(req, existingRecord.student, 'attendance:verify'))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to verify this attendance record'
+            });
+        }
+
         const attendance = await Attendance.findByIdAndUpdate(
             req.params.id,
             {
@@ -233,13 +254,6 @@ exports.verifyAttendance = async (req, res) => {
             { new: true }
         ).populate('student', 'name email');
 
-        if (!attendance) {
-            return res.status(404).json({
-                success: false,
-                message: 'Attendance record not found'
-            });
-        }
-
         res.status(200).json({
             success: true,
             data: attendance
@@ -260,7 +274,7 @@ exports.getMonthlySummary = async (req, res) => {
     try {
         const year = parseInt(req.query.year) || new Date().getFullYear();
         const month = parseInt(req.query.month) || new Date().getMonth() + 1;
-        const studentId = req.user.role === 'Student' ? req.user.id : req.query.studentId;
+        const studentId = hasPermission(req, 'attendance:read') ? req.query.studentId : req.user.id;
 
         if (!studentId) {
             return res.status(400).json({
@@ -269,6 +283,13 @@ exports.getMonthlySummary = async (req, res) => {
             });
         }
 
+        if (!(await canAccessStudent(req, studentId, 'attendance:read'))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to access this student\'s attendance'
+            });
+        }
+
         const summary = await Attendance.getMonthlySummary(studentId, year, month);
 
         res.status(200).json({
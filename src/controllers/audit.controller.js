@@ -0,0 +1,97 @@
+const AuditLog = require('../models/AuditLog.model');
+
+// @desc    Get audit log entries
+// @route   GET /api/audit
+// @access  Private (audit:read)
+exports.getAuditLogs = async (req, res) => {
+    try {
+        let query = AuditLog.find();
+
+        if (req.query.actor) {
+            query = query.where('actor').equals(req.query.actor);
+        }
+
+        if (req.query.impersonatedUser) {
+            query = query.where('impersonatedUser').equals(req.query.impersonatedUser);
+        }
+
+        if (req.query.entity) {
+            query = query.where('entity').equals(req.query.entity);
+        }
+
+        if (req.query.entityId) {
+            query = query.where('entityId').equals(req.query.entityId);
+        }
+
+        if (req.query.action) {
+            query = query.where('action').equals(req.query.action);
+        }
+
+        // Date range filter (either end may be left open)
+        if (req.query.startDate) {
+            query = query.where('createdAt').gte(new Date(req.query.startDate));
+        }
+
+        if (req.query.endDate) {
+            const endDate = new Date(req.query.endDate);
+            endDate.setHours(23, 59, 59, 999);
+            query = query.where('createdAt').lte(endDate);
+        }
+
+        const page = parseInt(req.query.page, 10) || 1;
+        const limit = parseInt(req.query.limit, 10) || 50;
+        const skip = (page - 1) * limit;
+
+        query = query.skip(skip).limit(limit)
+            .populate('actor', 'name email role')
+            .populate('impersonatedUser', 'name email role')
+            .sort({ createdAt: -1 });
+
+        const logs = await query;
+        const total = await AuditLog.countDocuments(query.getFilter());
+
+        res.status(200).json({
+            success: true,
+            count: logs.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            data: logs
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching audit log',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get a single audit log entry
+// @route   GET /api/audit/:id
+// @access  Private (audit:read)
+exports.getAuditLog = async (req, res) => {
+    try {
+        const log = await AuditLog.findById(req.params.id)
+            .populate('actor', 'name email role')
+            .populate('impersonatedUser', 'name email role');
+
+        if (!log) {
+            return res.status(404).json({
+                success: false,
+                message: 'Audit log entry not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: log
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching audit log entry',
+            error: error.message
+        });
+    }
+};
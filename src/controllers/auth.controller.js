@@ -1,14 +1,41 @@
 const User = require('../models/User.model');
+const Session = require('../models/Session.model');
+const SecurityEvent = require('../models/SecurityEvent.model');
+const Setting = require('../models/Setting.model');
+const Invitation = require('../models/Invitation.model');
+const Role = require('../models/Role.model');
+const { sendEmail } = require('../utils/mailer');
+const totp = require('../utils/totp');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 
-// @desc    Register user
+const TWO_FACTOR_POLICY_KEY = 'twoFactorRequiredRoles';
+
+// @desc    Register user with an invitation code
 // @route   POST /api/auth/register
 // @access  Public
 exports.register = async (req, res) => {
     try {
-        const { name, email, password, role, batch, semester, phone, registrationNumber } = req.body;
+        const { inviteCode, name, email, password, phone, registrationNumber } = req.body;
+
+        if (!inviteCode) {
+            return res.status(400).json({
+                success: false,
+                message: 'An invitation code is required to register'
+            });
+        }
+
+        const invitation = await Invitation.findValidByCode(inviteCode);
+
+        if (!invitation || invitation.email !== (email || '').toLowerCase().trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invitation code is invalid or has expired'
+            });
+        }
 
         // Check if user exists
-        const existingUser = await User.findOne({ email });
+        const existingUser = await User.findOne({ email: invitation.email });
         if (existingUser) {
             return res.status(400).json({
                 success: false,
@@ -16,19 +43,38 @@ exports.register = async (req, res) => {
             });
         }
 
-        // Create user
-        const user = await User.create({
-            name,
-            email,
-            password,
-            role: role || 'Student',
-            batch,
-            semester,
-            phone,
-            registrationNumber
-        });
+        // Claim the invitation before creating the user so a code can only be used once
+        const claimed = await Invitation.claim(invitation._id);
+        if (!claimed) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invitation code is invalid or has expired'
+            });
+        }
+
+        // Role, batch and supervisor come from the invitation, never from the client
+        let user;
+        try {
+            user = await User.create({
+                name,
+                email: invitation.email,
+                password,
+                role: invitation.role,
+                batch: invitation.batch,
+                semester: invitation.semester,
+                supervisor: invitation.supervisor,
+                phone,
+                registrationNumber
+            });
+        } catch (createError) {
+            await Invitation.updateOne({ _id: invitation._id }, { $unset: { usedAt: 1 } });
+            throw createError;
+        }
+
+        claimed.usedBy = user._id;
+        await claimed.save();
 
-        sendTokenResponse(user, 201, res);
+        await sendTokenResponse(user, 201, req, res);
     } catch (error) {
         console.error('Registration error:', error);
         res.status(500).json({
@@ -64,10 +110,36 @@ exports.login = async (req, res) => {
             });
         }
 
+        // Refuse attempts while the account is delayed or locked
+        if (user.isLocked) {
+            const retryAfter = Math.ceil((user.lockUntil - Date.now()) / 1000);
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({
+                success: false,
+                message: `Too many failed login attempts. Please try again in ${formatWait(retryAfter)}.`,
+                retryAfter
+            });
+        }
+
         // Check if password matches
         const isMatch = await user.matchPassword(password);
 
         if (!isMatch) {
+            const { locked, attempts } = await user.registerFailedLogin();
+
+            if (locked) {
+                await SecurityEvent.record('Account Locked', req, {
+                    user: user._id,
+                    email: user.email,
+                    details: { failedAttempts: attempts, lockUntil: user.lockUntil }
+                });
+
+                return res.status(423).json({
+                    success: false,
+                    message: 'Account locked after too many failed login attempts. Please try again later or contact admin.'
+                });
+            }
+
             return res.status(401).json({
                 success: false,
                 message: 'Invalid credentials'
@@ -82,11 +154,30 @@ exports.login = async (req, res) => {
             });
         }
 
+        // Second step needed - failed attempts are only cleared once it is completed
+        if (user.twoFactor?.enabled) {
+            return res.status(200).json({
+                success: true,
+                twoFactorRequired: true,
+                challengeToken: user.getTwoFactorChallengeToken('2fa-login')
+            });
+        }
+
+        const requiredRoles = await Setting.getValue(TWO_FACTOR_POLICY_KEY, []);
+        if (requiredRoles.includes(user.role)) {
+            return res.status(200).json({
+                success: true,
+                twoFactorSetupRequired: true,
+                challengeToken: user.getTwoFactorChallengeToken('2fa-setup')
+            });
+        }
+
         // Update last login
+        user.resetLoginAttempts();
         user.lastLogin = new Date();
         await user.save({ validateBeforeSave: false });
 
-        sendTokenResponse(user, 200, res);
+        await sendTokenResponse(user, 200, req, res);
     } catch (error) {
         console.error('Login error:', error);
         res.status(500).json({
@@ -106,7 +197,17 @@ exports.getMe = async (req, res) => {
 
         res.status(200).json({
             success: true,
-            data: user
+            data: user,
+            // Lets the client show a banner while an admin is viewing as this user
+            impersonation: req.impersonation ? {
+                id: req.impersonation._id,
+                impersonatedBy: {
+                    id: req.impersonator._id,
+                    name: req.impersonator.name,
+                    email: req.impersonator.email
+                },
+                expiresAt: req.impersonation.expiresAt
+            } : null
         });
     } catch (error) {
         res.status(500).json({
@@ -169,7 +270,10 @@ exports.updatePassword = async (req, res) => {
         user.password = req.body.newPassword;
         await user.save();
 
-        sendTokenResponse(user, 200, res);
+        // Sign out every device that was using the old password
+        await Session.revokeAllForUser(user._id, 'Password Changed');
+
+        await sendTokenResponse(user, 200, req, res);
     } catch (error) {
         res.status(500).json({
             success: false,
@@ -179,24 +283,619 @@ exports.updatePassword = async (req, res) => {
     }
 };
 
-// @desc    Logout user / clear cookie
+// @desc    Complete login with a TOTP or recovery code
+// @route   POST /api/auth/2fa/verify
+// @access  Public (challenge token)
+exports.verifyTwoFactorLogin = async (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+
+        if (!challengeToken || (!code && !recoveryCode)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide the challenge token and a code'
+            });
+        }
+
+        let decoded;
+        try {
+            decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+        } catch (err) {
+            return res.status(401).json({
+                success: false,
+                message: 'Challenge has expired. Please log in again.'
+            });
+        }
+
+        if (decoded.purpose !== '2fa-login') {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid challenge token'
+            });
+        }
+
+        const user = await User.findById(decoded.id)
+            .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+        if (!user || !user.isActive || !user.twoFactor?.enabled) {
+            return res.status(401).json({
+                success: false,
+                message: 'Not authorized'
+            });
+        }
+
+        if (user.isLocked) {
+            return res.status(429).json({
+                success: false,
+                message: 'Too many failed attempts. Please try again later.'
+            });
+        }
+
+        let verified = false;
+        if (code) {
+            const step = totp.verifyCode(user.twoFactor.secret, code);
+            // Each code may only be used once
+            verified = step !== null && step > (user.twoFactor.lastUsedStep || 0);
+            if (verified) user.twoFactor.lastUsedStep = step;
+        } else {
+            verified = user.consumeRecoveryCode(recoveryCode);
+        }
+
+        if (!verified) {
+            const { locked, attempts } = await user.registerFailedLogin();
+
+            if (locked) {
+                await SecurityEvent.record('Account Locked', req, {
+                    user: user._id,
+                    email: user.email,
+                    details: { failedAttempts: attempts, lockUntil: user.lockUntil, stage: 'Two-Factor' }
+                });
+            }
+
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid verification code'
+            });
+        }
+
+        user.resetLoginAttempts();
+        user.lastLogin = new Date();
+        await user.save({ validateBeforeSave: false });
+
+        await sendTokenResponse(user, 200, req, res);
+    } catch (error) {
+        console.error('Two-factor verify error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error verifying code',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Start 2FA enrolment - returns a secret and provisioning URI for the QR code
+// @route   POST /api/auth/2fa/setup
+// @access  Private (or 2FA setup challenge token)
+exports.setupTwoFactor = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+
+        if (user.twoFactor?.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        const secret = totp.generateSecret();
+        user.twoFactor.pendingSecret = secret;
+        await user.save({ validateBeforeSave: false });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                secret,
+                otpauthUrl: totp.buildProvisioningUri(secret, user.email)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error starting two-factor setup',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Confirm 2FA enrolment with a code from the authenticator app
+// @route   POST /api/auth/2fa/enable
+// @access  Private (or 2FA setup challenge token)
+exports.enableTwoFactor = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+
+        if (!user.twoFactor?.pendingSecret) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please start two-factor setup first'
+            });
+        }
+
+        const step = totp.verifyCode(user.twoFactor.pendingSecret, req.body.code);
+
+        if (step === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid verification code'
+            });
+        }
+
+        user.twoFactor.secret = user.twoFactor.pendingSecret;
+        user.twoFactor.pendingSecret = undefined;
+        user.twoFactor.lastUsedStep = step;
+        user.twoFactor.enabled = true;
+        user.twoFactor.enabledAt = new Date();
+        const recoveryCodes = user.generateRecoveryCodes();
+
+        // Finishing enrolment from the login challenge completes the login as well
+        if (req.twoFactorChallenge) {
+            user.resetLoginAttempts();
+            user.lastLogin = new Date();
+        }
+
+        await user.save({ validateBeforeSave: false });
+
+        if (req.twoFactorChallenge) {
+            return sendTokenResponse(user, 200, req, res, null, { recoveryCodes });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication enabled',
+            data: { recoveryCodes }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error enabling two-factor authentication',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Turn off 2FA for the current user
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id)
+            .select('+password +twoFactor.secret');
+
+        if (!user.twoFactor?.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        const requiredRoles = await Setting.getValue(TWO_FACTOR_POLICY_KEY, []);
+        if (requiredRoles.includes(user.role)) {
+            return res.status(403).json({
+                success: false,
+                message: `Two-factor authentication is required for ${user.role} accounts`
+            });
+        }
+
+        if (!req.body.password || !(await user.matchPassword(req.body.password)) ||
+            totp.verifyCode(user.twoFactor.secret, req.body.code) === null) {
+            return res.status(401).json({
+                success: false,
+                message: 'Password or verification code is incorrect'
+            });
+        }
+
+        user.twoFactor.enabled = false;
+        user.twoFactor.secret = undefined;
+        user.twoFactor.recoveryCodes = undefined;
+        user.twoFactor.lastUsedStep = undefined;
+        user.twoFactor.enabledAt = undefined;
+        await user.save({ validateBeforeSave: false });
+
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error disabling two-factor authentication',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Replace recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+exports.regenerateRecoveryCodes = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select('+twoFactor.secret');
+
+        if (!user.twoFactor?.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        if (totp.verifyCode(user.twoFactor.secret, req.body.code) === null) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid verification code'
+            });
+        }
+
+        const recoveryCodes = user.generateRecoveryCodes();
+        await user.save({ validateBeforeSave: false });
+
+        res.status(200).json({
+            success: true,
+            data: { recoveryCodes }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error generating recovery codes',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get roles that must use 2FA
+// @route   GET /api/auth/2fa/policy
+// @access  Private (settings:manage)
+exports.getTwoFactorPolicy = async (req, res) => {
+    try {
+        const requiredRoles = await Setting.getValue(TWO_FACTOR_POLICY_KEY, []);
+
+        res.status(200).json({
+            success: true,
+            data: { requiredRoles }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching two-factor policy',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Set roles that must use 2FA
+// @route   PUT /api/auth/2fa/policy
+// @access  Private (settings:manage)
+exports.updateTwoFactorPolicy = async (req, res) => {
+    try {
+        const { requiredRoles } = req.body;
+        const validRoles = await Role.distinct('name');
+
+        if (!Array.isArray(requiredRoles) || requiredRoles.some(role => !validRoles.includes(role))) {
+            return res.status(400).json({
+                success: false,
+                message: `requiredRoles must be a list of: ${validRoles.join(', ')}`
+            });
+        }
+
+        await Setting.setValue(TWO_FACTOR_POLICY_KEY, [...new Set(requiredRoles)], req.user._id);
+
+        res.status(200).json({
+            success: true,
+            data: { requiredRoles: [...new Set(requiredRoles)] }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error updating two-factor policy',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Send a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+exports.forgotPassword = async (req, res) => {
+    const genericResponse = {
+        success: true,
+        message: 'If an account exists for that email, a password reset link has been sent'
+    };
+
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide an email'
+            });
+        }
+
+        const user = await User.findOne({ email: email.toLowerCase() });
+
+        // Respond the same way whether or not the account exists
+        if (!user || !user.isActive) {
+            return res.status(200).json(genericResponse);
+        }
+
+        const resetToken = user.getResetPasswordToken();
+        await user.save({ validateBeforeSave: false });
+
+        const resetUrl = `${process.env.CLIENT_URL || ''}/reset-password/${resetToken}`;
+
+        try {
+            await sendEmail({
+                to: user.email,
+                subject: 'SRISH password reset',
+                text: `Hello ${user.name},\n\n` +
+                    'We received a request to reset your SRISH password. ' +
+                    `Open the link below to choose a new one:\n\n${resetUrl}\n\n` +
+                    'The link expires shortly. If you did not ask for this, you can ignore this email.'
+            });
+        } catch (mailError) {
+            // Logged only: a different reply here would reveal that the account exists
+            console.error('Password reset email error:', mailError);
+
+            user.passwordResetToken = undefined;
+            user.passwordResetExpires = undefined;
+            await user.save({ validateBeforeSave: false });
+        }
+
+        res.status(200).json(genericResponse);
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error requesting password reset',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Reset password using the emailed token
+// @route   PUT /api/auth/reset-password/:token
+// @access  Public
+exports.resetPassword = async (req, res) => {
+    try {
+        const { password } = req.body;
+
+        if (!password || password.length < 6) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password must be at least 6 characters'
+            });
+        }
+
+        const hashedToken = crypto.createHash('sha256').update(req.params.token).digest('hex');
+
+        const user = await User.findOne({
+            passwordResetToken: hashedToken,
+            passwordResetExpires: { $gt: new Date() }
+        });
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password reset link is invalid or has expired'
+            });
+        }
+
+        user.password = password;
+        user.passwordResetToken = undefined;
+        user.passwordResetExpires = undefined;
+        user.resetLoginAttempts();
+        await user.save();
+
+        // Whoever had the old password should not stay signed in
+        await Session.revokeAllForUser(user._id, 'Password Reset');
+
+        res.status(200).json({
+            success: true,
+            message: 'Password has been reset. Please log in with your new password.'
+        });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error resetting password',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get a new access token using a refresh token
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refreshToken = async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a refresh token'
+            });
+        }
+
+        const { session, matches } = await Session.findByRefreshToken(refreshToken);
+
+        if (!session || !session.isActive) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session has expired or been revoked. Please log in again.'
+            });
+        }
+
+        // An old refresh token being replayed means it leaked - kill the whole session
+        if (!matches) {
+            await session.revoke('Token Reuse');
+            return res.status(401).json({
+                success: false,
+                message: 'Refresh token has already been used. Please log in again.'
+            });
+        }
+
+        const user = await User.findById(session.user);
+
+        if (!user || !user.isActive) {
+            await session.revoke('Deactivated');
+            return res.status(401).json({
+                success: false,
+                message: 'Your account has been deactivated. Please contact admin.'
+            });
+        }
+
+        const rotatedToken = await session.rotate(req);
+
+        // Another request with the same token got there first - it was not reused, just stale
+        if (!rotatedToken) {
+            return res.status(401).json({
+                success: false,
+                message: 'Refresh token is no longer valid. Please use the latest token or log in again.'
+            });
+        }
+
+        await sendTokenResponse(user, 200, req, res, { session, refreshToken: rotatedToken });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error refreshing token',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Logout user from the current device
 // @route   GET /api/auth/logout
 // @access  Private
 exports.logout = async (req, res) => {
-    res.status(200).json({
-        success: true,
-        message: 'Logged out successfully',
-        data: {}
-    });
+    try {
+        await req.authSession.revoke('Logout');
+
+        res.status(200).json({
+            success: true,
+            message: 'Logged out successfully',
+            data: {}
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error logging out',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Logout user from all devices
+// @route   POST /api/auth/logout-all
+// @access  Private
+exports.logoutAll = async (req, res) => {
+    try {
+        const revokedCount = await Session.revokeAllForUser(req.user._id, 'Logout All');
+
+        res.status(200).json({
+            success: true,
+            message: 'Logged out from all devices',
+            data: { revokedCount }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error logging out from all devices',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get active sessions for the current user
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res) => {
+    try {
+        const sessions = await Session.find({
+            user: req.user._id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        }).sort({ lastUsedAt: -1 });
+
+        const data = sessions.map(session => ({
+            ...session.toJSON(),
+            isCurrent: session._id.equals(req.authSession._id)
+        }));
+
+        res.status(200).json({
+            success: true,
+            count: data.length,
+            data
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching sessions',
+            error: error.message
+        });
+    }
 };
 
-// Helper function to get token and send response
-const sendTokenResponse = (user, statusCode, res) => {
-    const token = user.getSignedJwtToken();
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.revokeSession = async (req, res) => {
+    try {
+        const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        if (!session.revokedAt) {
+            await session.revoke('Revoked By User');
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Session revoked',
+            data: {}
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error revoking session',
+            error: error.message
+        });
+    }
+};
+
+// Helper function to describe a wait in seconds for humans
+const formatWait = (seconds) => {
+    if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    const minutes = Math.ceil(seconds / 60);
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+// Helper function to send tokens in the response, opening a new session unless
+// one was just rotated
+const sendTokenResponse = async (user, statusCode, req, res, rotated = null, extra = {}) => {
+    const { session, refreshToken } = rotated || await Session.createForUser(user, req);
+
+    const token = user.getSignedJwtToken(session._id);
 
     res.status(statusCode).json({
         success: true,
         token,
+        refreshToken,
         user: {
             id: user._id,
             name: user.name,
@@ -206,7 +905,9 @@ const sendTokenResponse = (user, statusCode, res) => {
             semester: user.semester,
             totalAllottedHours: user.totalAllottedHours,
             completedHours: user.completedHours,
-            hoursCompletionPercentage: user.hoursCompletionPercentage
-        }
+            hoursCompletionPercentage: user.hoursCompletionPercentage,
+            twoFactorEnabled: !!user.twoFactor?.enabled
+        },
+        ...extra
     });
 };
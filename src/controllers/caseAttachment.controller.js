@@ -0,0 +1,287 @@
+const sharp = require('sharp');
+const CaseAttachment = require('../models/CaseAttachment.model');
+const ClinicalCase = require('../models/ClinicalCase.model');
+const caseReview = require('../services/caseReview.service');
+const storage = require('../utils/storage');
+const { hasPermission } = require('../config/permissions');
+const { canAccessStudent } = require('../utils/studentScope');
+
+// Thumbnails fit inside a THUMBNAIL_SIZE px square
+const THUMBNAIL_SIZE = 320;
+
+// Check the user may add attachments to the case before any file is read,
+// so nobody can make the server buffer uploads for cases they can't touch
+exports.authorizeUpload = async (req, res, next) => {
+    try {
+        const clinicalCase = await findAccessibleCase(req, res);
+        if (!clinicalCase) return;
+
+        const isOwner = clinicalCase.student.toString() === req.user.id;
+        const canUpload = isOwner
+            ? caseReview.OWNER_EDITABLE_STATUSES.includes(caseReview.getStatus(clinicalCase))
+            : hasPermission(req, 'cases:review');
+
+        if (!canUpload) {
+            return res.status(403).json({
+                success: false,
+                message: isOwner
+                    ? 'Attachments cannot be added once a case has been reviewed'
+                    : 'Not authorized to add attachments to this case'
+            });
+        }
+
+        req.clinicalCase = clinicalCase;
+        next();
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error uploading attachments',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Upload attachments (scanned audiograms, reports) to a case
+// @route   POST /api/clinical-cases/:id/attachments
+// @access  Private (owner while editable, or a reviewer; checked by authorizeUpload)
+exports.uploadAttachments = async (req, res) => {
+    const storedKeys = [];
+
+    try {
+        const { clinicalCase } = req;
+        const extensions = CaseAttachment.getAllowedTypes();
+        const attachments = [];
+
+        for (const file of req.files) {
+            const attachment = new CaseAttachment({
+                clinicalCase: clinicalCase._id,
+                student: clinicalCase.student,
+                uploadedBy: req.user._id,
+                category: req.body.category,
+                description: req.body.description,
+                originalName: file.originalname,
+                mimeType: file.mimetype,
+                size: file.size
+            });
+
+            const prefix = `cases/${clinicalCase._id}/${attachment._id}`;
+            attachment.storageKey = `${prefix}/original.${extensions[file.mimetype]}`;
+            await storage.putFile(attachment.storageKey, file.buffer, file.mimetype);
+            storedKeys.push(attachment.storageKey);
+
+            const thumbnail = file.mimetype.startsWith('image/') ? await createThumbnail(file) : null;
+            if (thumbnail) {
+                attachment.thumbnailKey = `${prefix}/thumb.jpg`;
+                await storage.putFile(attachment.thumbnailKey, thumbnail, 'image/jpeg');
+                storedKeys.push(attachment.thumbnailKey);
+            }
+
+            attachments.push(attachment);
+        }
+
+        await CaseAttachment.insertMany(attachments);
+
+        res.status(201).json({
+            success: true,
+            count: attachments.length,
+            data: attachments
+        });
+    } catch (error) {
+        // Don't leave files behind for attachments that were never saved
+        await Promise.allSettled(storedKeys.map(key => storage.removeFile(key)));
+
+        res.status(500).json({
+            success: false,
+            message: 'Error uploading attachments',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get the attachments on a case
+// @route   GET /api/clinical-cases/:id/attachments
+// @access  Private
+exports.getAttachments = async (req, res) => {
+    try {
+        const clinicalCase = await findAccessibleCase(req, res);
+        if (!clinicalCase) return;
+
+        const attachments = await CaseAttachment.find({ clinicalCase: clinicalCase._id })
+            .populate('uploadedBy', 'name role')
+            .sort({ createdAt: 1 });
+
+        res.status(200).json({
+            success: true,
+            count: attachments.length,
+            data: attachments
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching attachments',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Download an attachment, or its thumbnail with ?thumbnail=true
+// @route   GET /api/clinical-cases/:id/attachments/:attachmentId/download
+// @access  Private
+exports.downloadAttachment = async (req, res) => {
+    try {
+        const clinicalCase = await findAccessibleCase(req, res);
+        if (!clinicalCase) return;
+
+        const attachment = await CaseAttachment.findOne({
+            _id: req.params.attachmentId,
+            clinicalCase: clinicalCase._id
+        });
+
+        if (!attachment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Attachment not found'
+            });
+        }
+
+        const thumbnail = req.query.thumbnail === 'true';
+        if (thumbnail && !attachment.thumbnailKey) {
+            return res.status(404).json({
+                success: false,
+                message: 'This attachment has no thumbnail'
+            });
+        }
+
+        const stream = await storage.getFile(thumbnail ? attachment.thumbnailKey : attachment.storageKey);
+        const fileName = thumbnail ? `thumb-${attachment.originalName}.jpg` : attachment.originalName;
+
+        res.set({
+            'Content-Type': thumbnail ? 'image/jpeg' : attachment.mimeType,
+            'Content-Disposition': `inline; filename*=UTF-8''${encodeURIComponent(fileName)}`,
+            'X-Content-Type-Options': 'nosniff',
+            'Cache-Control': 'private, no-cache'
+        });
+        if (!thumbnail) res.set('Content-Length', attachment.size);
+
+        stream.on('error', (err) => res.destroy(err));
+        stream.pipe(res);
+    } catch (error) {
+        if (error.code === 'ENOENT' || error.name === 'NoSuchKey') {
+            return res.status(404).json({
+                success: false,
+                message: 'Attachment file is missing from storage'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error downloading attachment',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Delete an attachment
+// @route   DELETE /api/clinical-cases/:id/attachments/:attachmentId
+// @access  Private (uploader while the case is editable, or cases:delete)
+exports.deleteAttachment = async (req, res) => {
+    try {
+        const clinicalCase = await findAccessibleCase(req, res);
+        if (!clinicalCase) return;
+
+        const attachment = await CaseAttachment.findOne({
+            _id: req.params.attachmentId,
+            clinicalCase: clinicalCase._id
+        });
+
+        if (!attachment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Attachment not found'
+            });
+        }
+
+        const isUploader = attachment.uploadedBy.toString() === req.user.id;
+        const isEditable = caseReview.OWNER_EDITABLE_STATUSES.includes(caseReview.getStatus(clinicalCase));
+
+        if (!hasPermission(req, 'cases:delete') && !(isUploader && isEditable)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to delete this attachment'
+            });
+        }
+
+        await attachment.deleteOne();
+        await removeStoredFiles([attachment]);
+
+        res.status(200).json({
+            success: true,
+            message: 'Attachment deleted',
+            data: {}
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting attachment',
+            error: error.message
+        });
+    }
+};
+
+// Delete every attachment on a case along with its files
+exports.removeCaseAttachments = async (caseId) => {
+    const attachments = await CaseAttachment.find({ clinicalCase: caseId });
+
+    await CaseAttachment.deleteMany({ clinicalCase: caseId });
+    await removeStoredFiles(attachments);
+};
+
+// Load a case the user may see, with the same rules as getCase; otherwise
+// send the error response and return null
+const findAccessibleCase = async (req, res) => {
+    const clinicalCase = await ClinicalCase.findById(req.params.id).select('student supervisorApproval');
+
+    if (!clinicalCase) {
+        res.status(404).json({
+            success: false,
+            message: 'Clinical case not found'
+        });
+        return null;
+    }
+
+    if (!(await canAccessStudent(req, clinicalCase.student, 'cases:read'))) {
+        res.status(403).json({
+            success: false,
+            message: 'Not authorized to access this case'
+        });
+        return null;
+    }
+
+    if (clinicalCase.student.toString() !== req.user.id && caseReview.getStatus(clinicalCase) === 'Draft') {
+        res.status(403).json({
+            success: false,
+            message: 'This case is still a draft and has not been submitted'
+        });
+        return null;
+    }
+
+    return clinicalCase;
+};
+
+// Images that can't be decoded are still stored, just without a thumbnail
+const createThumbnail = async (file) => {
+    try {
+        return await sharp(file.buffer)
+            .rotate()
+            .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+            .jpeg({ quality: 80 })
+            .toBuffer();
+    } catch (err) {
+        console.error(`Thumbnail error for ${file.originalname}:`, err.message);
+        return null;
+    }
+};
+
+const removeStoredFiles = (attachments) => Promise.all(attachments.flatMap(attachment =>
+    [attachment.storageKey, attachment.thumbnailKey].filter(Boolean).map(key => storage.removeFile(key))
+));
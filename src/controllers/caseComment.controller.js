@@ -0,0 +1,292 @@
+const CaseComment = require('../models/CaseComment.model');
+const ClinicalCase = require('../models/ClinicalCase.model');
+const caseReview = require('../services/caseReview.service');
+const { canAccessStudent } = require('../utils/studentScope');
+
+// @desc    Get the discussion threads on a case
+// @route   GET /api/clinical-cases/:id/comments
+// @access  Private
+exports.getComments = async (req, res) => {
+    try {
+        const clinicalCase = await ClinicalCase.findById(req.params.id).select('student supervisorApproval');
+
+        if (!clinicalCase) {
+            return res.status(404).json({
+                success: false,
+                message: 'Clinical case not found'
+            });
+        }
+
+        const isOwner = clinicalCase.student.toString() === req.user.id;
+        if (!(await canAccessStudent(req, clinicalCase.student, 'cases:read')) ||
+            (!isOwner && caseReview.getStatus(clinicalCase) === 'Draft')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to access this case'
+            });
+        }
+
+        const comments = await CaseComment.find({ clinicalCase: clinicalCase._id })
+            .populate('author', 'name email role')
+            .populate('resolvedBy', 'name email')
+            .sort({ createdAt: 1 })
+            .lean();
+
+        const userId = req.user._id.toString();
+        let unread = 0;
+
+        const withReadState = comments.map(({ readBy, ...comment }) => {
+            const isRead = comment.author?._id.toString() === userId ||
+                readBy.some(id => id.toString() === userId);
+            if (!isRead) unread++;
+            return { ...comment, isRead };
+        });
+
+        // Group replies under the first comment of their thread
+        let threads = withReadState
+            .filter(comment => !comment.parent)
+            .map(thread => ({
+                ...thread,
+                replies: withReadState.filter(reply => reply.parent?.toString() === thread._id.toString())
+            }));
+
+        if (req.query.section) {
+            threads = threads.filter(thread => thread.anchor?.section === req.query.section);
+        }
+
+        if (req.query.resolved !== undefined) {
+            threads = threads.filter(thread => thread.resolved === (req.query.resolved === 'true'));
+        }
+
+        res.status(200).json({
+            success: true,
+            count: threads.length,
+            unread,
+            data: threads
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching comments',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Start a thread or reply to one
+// @route   POST /api/clinical-cases/:id/comments
+// @access  Private
+exports.addComment = async (req, res) => {
+    try {
+        const { body, parentId, anchor = {} } = req.body;
+
+        const clinicalCase = await ClinicalCase.findById(req.params.id).select('student testsPerformed supervisorApproval');
+
+        if (!clinicalCase) {
+            return res.status(404).json({
+                success: false,
+                message: 'Clinical case not found'
+            });
+        }
+
+        const isOwner = clinicalCase.student.toString() === req.user.id;
+        if (!(await canAccessStudent(req, clinicalCase.student, 'cases:read')) ||
+            (!isOwner && caseReview.getStatus(clinicalCase) === 'Draft')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to comment on this case'
+            });
+        }
+
+        const commentData = {
+            clinicalCase: clinicalCase._id,
+            student: clinicalCase.student,
+            author: req.user._id,
+            body,
+            readBy: [req.user._id]
+        };
+
+        if (parentId) {
+            const parent = await CaseComment.findOne({ _id: parentId, clinicalCase: clinicalCase._id });
+
+            if (!parent) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Comment to reply to not found'
+                });
+            }
+
+            // Replies always join the top-level thread and share its anchor
+            const thread = parent.parent ? await CaseComment.findById(parent.parent) : parent;
+
+            commentData.parent = thread._id;
+            commentData.anchor = thread.anchor;
+
+            // Replying to a resolved thread reopens it
+            if (thread.resolved) {
+                thread.resolved = false;
+                thread.resolvedBy = undefined;
+                thread.resolvedAt = undefined;
+                await thread.save();
+            }
+        } else {
+            if (anchor.testId && !clinicalCase.testsPerformed.id(anchor.testId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'The referenced test is not part of this case'
+                });
+            }
+
+            commentData.anchor = {
+                section: anchor.testId ? 'testsPerformed' : anchor.section || 'general',
+                testId: anchor.testId,
+                ear: anchor.ear
+            };
+        }
+
+        const comment = await CaseComment.create(commentData);
+        await comment.populate('author', 'name email role');
+
+        res.status(201).json({
+            success: true,
+            data: comment
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error adding comment',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Edit own comment
+// @route   PUT /api/clinical-cases/:id/comments/:commentId
+// @access  Private (author)
+exports.updateComment = async (req, res) => {
+    try {
+        const comment = await CaseComment.findOne({ _id: req.params.commentId, clinicalCase: req.params.id });
+
+        if (!comment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Comment not found'
+            });
+        }
+
+        if (!comment.author.equals(req.user._id) ||
+            !(await canAccessStudent(req, comment.student, 'cases:read'))) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only edit your own comments'
+            });
+        }
+
+        comment.body = req.body.body;
+        comment.editedAt = new Date();
+        // Everyone else should see the edit as new
+        comment.readBy = [req.user._id];
+        await comment.save();
+
+        res.status(200).json({
+            success: true,
+            data: comment
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error updating comment',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Resolve or reopen a thread
+// @route   PUT /api/clinical-cases/:id/comments/:commentId/resolve
+// @access  Private
+exports.resolveComment = async (req, res) => {
+    try {
+        const comment = await CaseComment.findOne({ _id: req.params.commentId, clinicalCase: req.params.id });
+
+        if (!comment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Comment not found'
+            });
+        }
+
+        if (comment.parent) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only whole threads can be resolved'
+            });
+        }
+
+        if (!(await canAccessStudent(req, comment.student, 'cases:read'))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to access this case'
+            });
+        }
+
+        const resolved = req.body.resolved !== false;
+
+        comment.resolved = resolved;
+        comment.resolvedBy = resolved ? req.user._id : undefined;
+        comment.resolvedAt = resolved ? new Date() : undefined;
+        await comment.save();
+
+        res.status(200).json({
+            success: true,
+            message: resolved ? 'Thread resolved' : 'Thread reopened',
+            data: comment
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error updating thread',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Mark every comment on a case as read
+// @route   PUT /api/clinical-cases/:id/comments/read
+// @access  Private
+exports.markCommentsRead = async (req, res) => {
+    try {
+        const clinicalCase = await ClinicalCase.findById(req.params.id).select('student supervisorApproval');
+
+        if (!clinicalCase) {
+            return res.status(404).json({
+                success: false,
+                message: 'Clinical case not found'
+            });
+        }
+
+        const isOwner = clinicalCase.student.toString() === req.user.id;
+        if (!(await canAccessStudent(req, clinicalCase.student, 'cases:read')) ||
+            (!isOwner && caseReview.getStatus(clinicalCase) === 'Draft')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to access this case'
+            });
+        }
+
+        const result = await CaseComment.updateMany(
+            { clinicalCase: clinicalCase._id, readBy: { $ne: req.user._id } },
+            { $addToSet: { readBy: req.user._id } }
+        );
+
+        res.status(200).json({
+            success: true,
+            data: { markedRead: result.modifiedCount }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error marking comments as read',
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,180 @@
+const CaseTemplate = require('../models/CaseTemplate.model');
+const { hasPermission } = require('../config/permissions');
+const pick = require('../utils/pick');
+
+// Fields that can be set when creating or editing a template
+const TEMPLATE_FIELDS = ['name', 'description', 'ageGroups', 'tests', 'requiredFields', 'isActive'];
+
+// @desc    Get case templates (active only, unless a manager asks for all)
+// @route   GET /api/case-templates
+// @access  Private
+exports.getTemplates = async (req, res) => {
+    try {
+        const query = {};
+
+        if (!(req.query.includeInactive && hasPermission(req, 'templates:manage'))) {
+            query.isActive = true;
+        }
+
+        if (req.query.ageGroup) {
+            query.$or = [{ ageGroups: req.query.ageGroup }, { ageGroups: { $size: 0 } }];
+        }
+
+        const templates = await CaseTemplate.find(query)
+            .populate('createdBy', 'name')
+            .sort({ name: 1 });
+
+        res.status(200).json({
+            success: true,
+            count: templates.length,
+            data: templates
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching case templates',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get the fields a template can make required
+// @route   GET /api/case-templates/fields
+// @access  Private
+exports.getRequirableFields = async (req, res) => {
+    try {
+        res.status(200).json({
+            success: true,
+            data: Object.entries(CaseTemplate.getRequirableFields()).map(([key, label]) => ({ key, label }))
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching template fields',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get a single case template
+// @route   GET /api/case-templates/:id
+// @access  Private
+exports.getTemplate = async (req, res) => {
+    try {
+        const template = await CaseTemplate.findById(req.params.id).populate('createdBy', 'name');
+
+        if (!template || (!template.isActive && !hasPermission(req, 'templates:manage'))) {
+            return res.status(404).json({
+                success: false,
+                message: 'Case template not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: template
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching case template',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Create a case template
+// @route   POST /api/case-templates
+// @access  Private (templates:manage)
+exports.createTemplate = async (req, res) => {
+    try {
+        if (await CaseTemplate.exists({ name: req.body.name })) {
+            return res.status(400).json({
+                success: false,
+                message: `A template named '${req.body.name}' already exists`
+            });
+        }
+
+        const template = await CaseTemplate.create({
+            ...pick(req.body, TEMPLATE_FIELDS),
+            createdBy: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            data: template
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error creating case template',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Update a case template
+// @route   PUT /api/case-templates/:id
+// @access  Private (templates:manage)
+exports.updateTemplate = async (req, res) => {
+    try {
+        const updates = pick(req.body, TEMPLATE_FIELDS);
+
+        if (updates.name && await CaseTemplate.exists({ name: updates.name, _id: { $ne: req.params.id } })) {
+            return res.status(400).json({
+                success: false,
+                message: `A template named '${updates.name}' already exists`
+            });
+        }
+
+        const template = await CaseTemplate.findByIdAndUpdate(req.params.id, updates, {
+            new: true,
+            runValidators: true
+        });
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'Case template not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: template
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error updating case template',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Retire a case template (cases started from it keep their link)
+// @route   DELETE /api/case-templates/:id
+// @access  Private (templates:manage)
+exports.deleteTemplate = async (req, res) => {
+    try {
+        const template = await CaseTemplate.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true });
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'Case template not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Case template retired'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error retiring case template',
+            error: error.message
+        });
+    }
+};
@@ -1,26 +1,92 @@
 const ClinicalCase = require('../models/ClinicalCase.model');
+const CaseRevision = require('../models/CaseRevision.model');
+const CaseComment = require('../models/CaseComment.model');
+const Patient = require('../models/Patient.model');
+const CaseTemplate = require('../models/CaseTemplate.model');
+const CaseAttachment = require('../models/CaseAttachment.model');
+const caseReview = require('../services/caseReview.service');
+const audiogram = require('../services/audiogram.service');
 const User = require('../models/User.model');
 const mongoose = require('mongoose');
-
-// @desc    Create a new clinical case
+const { hasPermission } = require('../config/permissions');
+const { studentFilter, canAccessStudent } = require('../utils/studentScope');
+const pick = require('../utils/pick');
+const { sendValidationError } = require('../utils/validationError');
+const { removeCaseAttachments } = require('./caseAttachment.controller');
+const { renderAudiogramSvg, renderAudiogramPng } = require('../utils/audiogramChart');
+const { highlight } = require('../utils/highlight');
+
+// Width of PNG audiograms - twice the SVG size so they stay sharp in reports
+const PNG_WIDTH = 1280;
+
+// @desc    Create a new clinical case (send `draft: true` to save it unfinished)
 // @route   POST /api/clinical-cases
 // @access  Private (Student)
 exports.createCase = async (req, res) => {
     try {
-        req.body.student = req.user.id;
+        const caseData = pick(req.body, ClinicalCase.getEditableFields());
+        const status = req.body.draft ? 'Draft' : 'Pending';
+
+        caseData.student = req.user.id;
+        caseData.semester = req.user.semester;
+        caseData.supervisorApproval = { status };
+        caseData.statusHistory = [{ to: status, actor: req.user._id, actorRole: req.user.role }];
 
         // If student has a supervisor, auto-assign
         if (req.user.supervisor) {
-            req.body.supervisor = req.user.supervisor;
+            caseData.supervisor = req.user.supervisor;
+        }
+
+        if (caseData.patient && !(await isRegisteredPatient(caseData.patient))) {
+            return unknownPatientResponse(res);
         }
 
-        const clinicalCase = await ClinicalCase.create(req.body);
+        // Start from a template: its tests are pre-filled unless the student sent their own
+        let template = null;
+        if (req.body.template) {
+            template = await CaseTemplate.findOne({ _id: req.body.template, isActive: true });
+
+            if (!template) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Case template not found'
+                });
+            }
+
+            const ageGroup = caseData.patientInfo?.ageGroup;
+            if (ageGroup && template.ageGroups.length && !template.ageGroups.includes(ageGroup)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `The ${template.name} template is for age groups ${template.ageGroups.join(', ')}`
+                });
+            }
+
+            caseData.template = template._id;
+            if (!caseData.testsPerformed) {
+                caseData.testsPerformed = template.buildTests();
+            }
+        }
+
+        const clinicalCase = new ClinicalCase(caseData);
+
+        // Cases going straight to review must be complete
+        if (status !== 'Draft') {
+            const errors = clinicalCase.getSubmissionErrors(template);
+            if (errors.length) {
+                return incompleteCaseResponse(res, errors);
+            }
+        }
+
+        await clinicalCase.saveWithCaseNumber();
+        await CaseRevision.record(clinicalCase, req.user, 'Created');
 
         res.status(201).json({
             success: true,
             data: clinicalCase
         });
     } catch (error) {
+        if (sendValidationError(res, error)) return;
+
         console.error('Create case error:', error);
         res.status(500).json({
             success: false,
@@ -30,19 +96,27 @@ exports.createCase = async (req, res) => {
     }
 };
 
-// @desc    Get all clinical cases for a student
+// @desc    Get all clinical cases for a student (`q` searches findings, recommendations,
+//          test notes and referral source, ranked by relevance)
 // @route   GET /api/clinical-cases
 // @access  Private
 exports.getCases = async (req, res) => {
     try {
         let query;
 
-        // Students can only see their own cases
-        if (req.user.role === 'Student') {
-            query = ClinicalCase.find({ student: req.user.id });
-        } else {
-            // Supervisors/Admins can see all cases
-            query = ClinicalCase.find();
+        // Own cases only, or cases of students in the user's scope
+        const filter = await studentFilter(req, 'cases:read');
+
+        // Other students' drafts are private until submitted
+        if (hasPermission(req, 'cases:read')) {
+            filter.$and = [...(filter.$and || []), { 'supervisorApproval.status': { $ne: 'Draft' } }];
+        }
+
+        query = ClinicalCase.find(filter);
+
+        // Full-text search
+        if (req.query.q) {
+            query = query.where({ $text: { $search: req.query.q } });
         }
 
         // Apply filters
@@ -58,6 +132,10 @@ exports.getCases = async (req, res) => {
             query = query.where('supervisorApproval.status').equals(req.query.status);
         }
 
+        if (req.query.patient) {
+            query = query.where('patient').equals(req.query.patient);
+        }
+
         // Date range filter
         if (req.query.startDate && req.query.endDate) {
             query = query.where('sessionDate').gte(new Date(req.query.startDate)).lte(new Date(req.query.endDate));
@@ -71,10 +149,15 @@ exports.getCases = async (req, res) => {
         query = query.skip(skip).limit(limit)
             .populate('student', 'name email batch semester')
             .populate('supervisor', 'name email')
-            .sort({ sessionDate: -1 });
+            .populate('patient', 'patientId');
+
+        query = req.query.q
+            ? query.select({ score: { $meta: 'textScore' } }).sort({ score: { $meta: 'textScore' }, sessionDate: -1 })
+            : query.sort({ sessionDate: -1 });
 
         const cases = await query;
         const total = await ClinicalCase.countDocuments(query.getFilter());
+        const unreadByCase = await CaseComment.countUnreadByCase(req.user._id, cases.map(c => c._id));
 
         res.status(200).json({
             success: true,
@@ -82,7 +165,13 @@ exports.getCases = async (req, res) => {
             total,
             page,
             pages: Math.ceil(total / limit),
-            data: cases
+            data: cases.map(clinicalCase => ({
+                ...clinicalCase.toJSON(),
+                unreadComments: unreadByCase[clinicalCase._id.toString()] || 0,
+                ...(req.query.q && {
+                    highlights: highlight(clinicalCase.toObject(), ClinicalCase.getSearchFields(), req.query.q)
+                })
+            }))
         });
     } catch (error) {
         res.status(500).json({
@@ -100,7 +189,8 @@ exports.getCase = async (req, res) => {
     try {
         const clinicalCase = await ClinicalCase.findById(req.params.id)
             .populate('student', 'name email batch semester')
-            .populate('supervisor', 'name email');
+            .populate('supervisor', 'name email')
+            .populate('patient', 'patientId gender birthYear');
 
         if (!clinicalCase) {
             return res.status(404).json({
@@ -110,16 +200,25 @@ exports.getCase = async (req, res) => {
         }
 
         // Check authorization
-        if (req.user.role === 'Student' && clinicalCase.student._id.toString() !== req.user.id) {
+        const isOwner = clinicalCase.student._id.toString() === req.user.id;
+        if (!(await canAccessStudent(req, clinicalCase.student._id, 'cases:read'))) {
             return res.status(403).json({
                 success: false,
                 message: 'Not authorized to access this case'
             });
         }
 
+        if (!isOwner && caseReview.getStatus(clinicalCase) === 'Draft') {
+            return res.status(403).json({
+                success: false,
+                message: 'This case is still a draft and has not been submitted'
+            });
+        }
+
         res.status(200).json({
             success: true,
-            data: clinicalCase
+            data: clinicalCase,
+            interpretation: audiogram.interpret(clinicalCase)
         });
     } catch (error) {
         res.status(500).json({
@@ -130,12 +229,100 @@ exports.getCase = async (req, res) => {
     }
 };
 
+// @desc    Interpret a case's audiogram (PTA, degree, type) and flag disagreeing findings
+// @route   GET /api/clinical-cases/:id/interpretation
+// @access  Private
+exports.getCaseInterpretation = async (req, res) => {
+    try {
+        const clinicalCase = await ClinicalCase.findById(req.params.id).select('student audiogramData findings supervisorApproval');
+
+        if (!clinicalCase) {
+            return res.status(404).json({
+                success: false,
+                message: 'Clinical case not found'
+            });
+        }
+
+        const isOwner = clinicalCase.student.toString() === req.user.id;
+        if (!(await canAccessStudent(req, clinicalCase.student, 'cases:read')) ||
+            (!isOwner && caseReview.getStatus(clinicalCase) === 'Draft')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to access this case'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: audiogram.interpret(clinicalCase)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error interpreting audiogram',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Render a case's audiogram as an SVG or PNG image
+// @route   GET /api/clinical-cases/:id/audiogram.svg
+// @route   GET /api/clinical-cases/:id/audiogram.png
+// @access  Private
+exports.getAudiogramChart = async (req, res) => {
+    try {
+        const clinicalCase = await ClinicalCase.findById(req.params.id)
+            .select('student caseNumber sessionDate audiogramData supervisorApproval');
+
+        if (!clinicalCase) {
+            return res.status(404).json({
+                success: false,
+                message: 'Clinical case not found'
+            });
+        }
+
+        const isOwner = clinicalCase.student.toString() === req.user.id;
+        if (!(await canAccessStudent(req, clinicalCase.student, 'cases:read')) ||
+            (!isOwner && caseReview.getStatus(clinicalCase) === 'Draft')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to access this case'
+            });
+        }
+
+        const svg = renderAudiogramSvg({
+            points: audiogram.getThresholdPoints(clinicalCase.audiogramData),
+            bands: audiogram.getDegreeBands(),
+            title: clinicalCase.caseNumber || 'Audiogram',
+            subtitle: clinicalCase.sessionDate ? `Session ${clinicalCase.sessionDate.toISOString().slice(0, 10)}` : ''
+        });
+
+        const filename = `${clinicalCase.caseNumber || clinicalCase._id}-audiogram.${req.params.format}`;
+        res.set('Content-Disposition', `inline; filename="${filename}"`);
+        res.set('Cache-Control', 'private, no-cache');
+
+        if (req.params.format === 'png') {
+            const png = await renderAudiogramPng(svg, PNG_WIDTH);
+
+            return res.type('png').send(png);
+        }
+
+        res.type('image/svg+xml').send(svg);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error rendering audiogram',
+            error: error.message
+        });
+    }
+};
+
 // @desc    Update clinical case
 // @route   PUT /api/clinical-cases/:id
 // @access  Private
 exports.updateCase = async (req, res) => {
     try {
-        let clinicalCase = await ClinicalCase.findById(req.params.id);
+        const clinicalCase = await ClinicalCase.findById(req.params.id);
 
         if (!clinicalCase) {
             return res.status(404).json({
@@ -145,31 +332,62 @@ exports.updateCase = async (req, res) => {
         }
 
         // Check authorization
-        if (req.user.role === 'Student' && clinicalCase.student.toString() !== req.user.id) {
+        const isOwner = clinicalCase.student.toString() === req.user.id;
+        const canReview = !isOwner && await canAccessStudent(req, clinicalCase.student, 'cases:review');
+        if (!isOwner && !canReview) {
             return res.status(403).json({
                 success: false,
                 message: 'Not authorized to update this case'
             });
         }
 
-        // Don't allow students to update approved cases
-        if (req.user.role === 'Student' && clinicalCase.supervisorApproval.status === 'Approved') {
+        // Drafts belong to the student until they are submitted
+        const status = caseReview.getStatus(clinicalCase);
+        if (!isOwner && status === 'Draft') {
+            return res.status(403).json({
+                success: false,
+                message: 'This case is still a draft and has not been submitted'
+            });
+        }
+
+        // Students can only edit cases that are not yet approved or rejected
+        if (!canReview && !caseReview.OWNER_EDITABLE_STATUSES.includes(status)) {
             return res.status(400).json({
                 success: false,
-                message: 'Cannot modify an approved case'
+                message: `Cannot modify a case that is ${status}`
             });
         }
 
-        clinicalCase = await ClinicalCase.findByIdAndUpdate(req.params.id, req.body, {
-            new: true,
-            runValidators: true
-        });
+        // Approval goes through the review endpoint, never a plain update
+        const updates = pick(req.body, ClinicalCase.getEditableFields());
+
+        if (updates.patient && !(await isRegisteredPatient(updates.patient))) {
+            return unknownPatientResponse(res);
+        }
+
+        // Only drafts may be left incomplete
+        if (status !== 'Draft') {
+            const errors = await submissionErrors(new ClinicalCase({ ...clinicalCase.toObject(), ...updates }));
+            if (errors.length) {
+                return incompleteCaseResponse(res, errors);
+            }
+        }
+
+        await CaseRevision.recordBaseline(clinicalCase);
+
+        // Saved through the document so the draft-aware validators see its status
+        clinicalCase.set(updates);
+        await clinicalCase.save();
+
+        await CaseRevision.record(clinicalCase, req.user);
 
         res.status(200).json({
             success: true,
             data: clinicalCase
         });
     } catch (error) {
+        if (sendValidationError(res, error)) return;
+
         res.status(500).json({
             success: false,
             message: 'Error updating clinical case',
@@ -193,6 +411,9 @@ exports.deleteCase = async (req, res) => {
         }
 
         await clinicalCase.deleteOne();
+        await CaseRevision.deleteMany({ clinicalCase: clinicalCase._id });
+        await CaseComment.deleteMany({ clinicalCase: clinicalCase._id });
+        await removeCaseAttachments(clinicalCase._id);
 
         res.status(200).json({
             success: true,
@@ -215,24 +436,45 @@ exports.reviewCase = async (req, res) => {
     try {
         const { status, comments } = req.body;
 
-        if (!['Approved', 'Rejected', 'Revision Required'].includes(status)) {
-            return res.status(400).json({
+        const existingCase = await ClinicalCase.findById(req.params.id);
+
+        if (!existingCase) {
+            return res.status(404).json({
                 success: false,
-                message: 'Invalid status. Must be Approved, Rejected, or Revision Required'
+                message: 'Clinical case not found'
             });
         }
 
-        const clinicalCase = await ClinicalCase.findByIdAndUpdate(
-            req.params.id,
-            {
-                'supervisorApproval.status': status,
-                'supervisorApproval.reviewedAt': new Date(),
-                'supervisorApproval.comments': comments,
-                supervisor: req.user.id,
-                isCompleted: status === 'Approved'
-            },
-            { new: true, runValidators: true }
-        ).populate('student', 'name email');
+        const result = await caseReview.transition(existingCase, status, req, comments);
+
+        if (result.error) {
+            return res.status(result.error.statusCode).json({
+                success: false,
+                message: result.error.message
+            });
+        }
+
+        await result.clinicalCase.populate('student', 'name email');
+
+        res.status(200).json({
+            success: true,
+            data: result.clinicalCase
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error reviewing clinical case',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Submit a draft, or a case sent back for revision, for review
+// @route   POST /api/clinical-cases/:id/submit
+// @access  Private (Student - own cases)
+exports.submitCase = async (req, res) => {
+    try {
+        const clinicalCase = await ClinicalCase.findById(req.params.id);
 
         if (!clinicalCase) {
             return res.status(404).json({
@@ -241,14 +483,74 @@ exports.reviewCase = async (req, res) => {
             });
         }
 
+        const transitionError = await caseReview.checkTransition(clinicalCase, 'Pending', req, req.body.comments);
+        if (transitionError) {
+            return res.status(transitionError.statusCode).json({
+                success: false,
+                message: transitionError.message
+            });
+        }
+
+        const errors = await submissionErrors(clinicalCase);
+        if (errors.length) {
+            return incompleteCaseResponse(res, errors);
+        }
+
+        const result = await caseReview.transition(clinicalCase, 'Pending', req, req.body.comments);
+
+        if (result.error) {
+            return res.status(result.error.statusCode).json({
+                success: false,
+                message: result.error.message
+            });
+        }
+
         res.status(200).json({
             success: true,
-            data: clinicalCase
+            message: 'Case submitted for review',
+            data: result.clinicalCase
         });
     } catch (error) {
         res.status(500).json({
             success: false,
-            message: 'Error reviewing clinical case',
+            message: 'Error submitting clinical case',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Reopen an approved or rejected case for another review
+// @route   PUT /api/clinical-cases/:id/reopen
+// @access  Private (Admin)
+exports.reopenCase = async (req, res) => {
+    try {
+        const existingCase = await ClinicalCase.findById(req.params.id);
+
+        if (!existingCase) {
+            return res.status(404).json({
+                success: false,
+                message: 'Clinical case not found'
+            });
+        }
+
+        const result = await caseReview.transition(existingCase, 'Pending', req, req.body.comments);
+
+        if (result.error) {
+            return res.status(result.error.statusCode).json({
+                success: false,
+                message: result.error.message
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Case reopened for review',
+            data: result.clinicalCase
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error reopening clinical case',
             error: error.message
         });
     }
@@ -263,7 +565,13 @@ exports.getEnums = async (req, res) => {
             success: true,
             data: {
                 testTypes: ClinicalCase.getTestTypes(),
-                ageGroups: ClinicalCase.getAgeGroups()
+                participationTypes: ClinicalCase.getParticipationTypes(),
+                ageGroups: ClinicalCase.getAgeGroups(),
+                testResults: ClinicalCase.getTestResultOptions(),
+                audiogramFrequencies: ClinicalCase.getAudiogramFrequencies(),
+                approvalStatuses: ClinicalCase.getApprovalStatuses(),
+                attachmentCategories: CaseAttachment.getCategories(),
+                reviewTransitions: caseReview.TRANSITIONS
             }
         });
     } catch (error) {
@@ -274,3 +582,292 @@ exports.getEnums = async (req, res) => {
         });
     }
 };
+
+// @desc    Get the revision history of a case
+// @route   GET /api/clinical-cases/:id/history
+// @access  Private
+exports.getCaseHistory = async (req, res) => {
+    try {
+        const clinicalCase = await ClinicalCase.findById(req.params.id);
+
+        if (!clinicalCase) {
+            return res.status(404).json({
+                success: false,
+                message: 'Clinical case not found'
+            });
+        }
+
+        const isOwner = clinicalCase.student.toString() === req.user.id;
+        if (!(await canAccessStudent(req, clinicalCase.student, 'cases:read')) ||
+            (!isOwner && caseReview.getStatus(clinicalCase) === 'Draft')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to access this case'
+            });
+        }
+
+        const revisions = await CaseRevision.find({ clinicalCase: clinicalCase._id })
+            .select('-snapshot')
+            .populate('changedBy', 'name email role')
+            .sort({ revision: -1 });
+
+        res.status(200).json({
+            success: true,
+            count: revisions.length,
+            data: revisions
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching case history',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get a single revision of a case
+// @route   GET /api/clinical-cases/:id/history/:revision
+// @access  Private
+exports.getCaseRevision = async (req, res) => {
+    try {
+        const clinicalCase = await ClinicalCase.findById(req.params.id);
+
+        if (!clinicalCase) {
+            return res.status(404).json({
+                success: false,
+                message: 'Clinical case not found'
+            });
+        }
+
+        const isOwner = clinicalCase.student.toString() === req.user.id;
+        if (!(await canAccessStudent(req, clinicalCase.student, 'cases:read')) ||
+            (!isOwner && caseReview.getStatus(clinicalCase) === 'Draft')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to access this case'
+            });
+        }
+
+        const revision = await CaseRevision.findOne({
+            clinicalCase: clinicalCase._id,
+            revision: req.params.revision
+        }).populate('changedBy', 'name email role');
+
+        if (!revision) {
+            return res.status(404).json({
+                success: false,
+                message: 'Revision not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: revision
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching case revision',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get a field-level diff between two revisions of a case
+//          (defaults to the latest revision against the one before it)
+// @route   GET /api/clinical-cases/:id/diff?from=&to=
+// @access  Private
+exports.getCaseDiff = async (req, res) => {
+    try {
+        const clinicalCase = await ClinicalCase.findById(req.params.id);
+
+        if (!clinicalCase) {
+            return res.status(404).json({
+                success: false,
+                message: 'Clinical case not found'
+            });
+        }
+
+        const isOwner = clinicalCase.student.toString() === req.user.id;
+        if (!(await canAccessStudent(req, clinicalCase.student, 'cases:read')) ||
+            (!isOwner && caseReview.getStatus(clinicalCase) === 'Draft')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to access this case'
+            });
+        }
+
+        const latest = await CaseRevision.findOne({ clinicalCase: clinicalCase._id })
+            .select('revision')
+            .sort({ revision: -1 });
+
+        if (!latest) {
+            return res.status(404).json({
+                success: false,
+                message: 'This case has no saved revisions yet'
+            });
+        }
+
+        const to = parseInt(req.query.to, 10) || latest.revision;
+        const from = parseInt(req.query.from, 10) || Math.max(to - 1, 1);
+
+        const revisions = await CaseRevision.find({
+            clinicalCase: clinicalCase._id,
+            revision: { $in: [from, to] }
+        }).populate('changedBy', 'name email role');
+
+        const fromRevision = revisions.find(r => r.revision === from);
+        const toRevision = revisions.find(r => r.revision === to);
+
+        if (!fromRevision || !toRevision) {
+            return res.status(404).json({
+                success: false,
+                message: 'Revision not found'
+            });
+        }
+
+        const summary = (revision) => ({
+            revision: revision.revision,
+            action: revision.action,
+            approvalStatus: revision.approvalStatus,
+            changedBy: revision.changedBy,
+            createdAt: revision.createdAt
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                from: summary(fromRevision),
+                to: summary(toRevision),
+                changes: CaseRevision.diffSnapshots(fromRevision.snapshot, toRevision.snapshot)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error comparing case revisions',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Restore a case to a previous revision
+// @route   POST /api/clinical-cases/:id/history/:revision/restore
+// @access  Private (Supervisor, Admin)
+exports.restoreCaseRevision = async (req, res) => {
+    try {
+        const clinicalCase = await ClinicalCase.findById(req.params.id);
+
+        if (!clinicalCase) {
+            return res.status(404).json({
+                success: false,
+                message: 'Clinical case not found'
+            });
+        }
+
+        if (!(await canAccessStudent(req, clinicalCase.student, 'cases:review'))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to restore this case'
+            });
+        }
+
+        // Drafts belong to the student until they are submitted
+        const isOwner = clinicalCase.student.toString() === req.user.id;
+        const status = caseReview.getStatus(clinicalCase);
+        if (!isOwner && status === 'Draft') {
+            return res.status(403).json({
+                success: false,
+                message: 'This case is still a draft and has not been submitted'
+            });
+        }
+
+        // Reviewed cases have to be reopened before their contents change
+        if (!caseReview.OWNER_EDITABLE_STATUSES.includes(status)) {
+            return res.status(409).json({
+                success: false,
+                message: `Cannot restore a case that is ${status}. Reopen it first.`
+            });
+        }
+
+        const revision = await CaseRevision.findOne({
+            clinicalCase: clinicalCase._id,
+            revision: req.params.revision
+        });
+
+        if (!revision) {
+            return res.status(404).json({
+                success: false,
+                message: 'Revision not found'
+            });
+        }
+
+        const currentSnapshot = CaseRevision.buildSnapshot(clinicalCase);
+        if (CaseRevision.diffSnapshots(currentSnapshot, revision.snapshot).length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'The case already matches this revision'
+            });
+        }
+
+        // Fields missing from the old revision were empty at the time
+        const updates = {};
+        ClinicalCase.getEditableFields().forEach(field => {
+            updates[field] = revision.snapshot[field];
+        });
+
+        if (updates.patient && !(await isRegisteredPatient(updates.patient))) {
+            return unknownPatientResponse(res);
+        }
+
+        // Only drafts may be left incomplete
+        if (status !== 'Draft') {
+            const errors = await submissionErrors(new ClinicalCase({ ...clinicalCase.toObject(), ...updates }));
+            if (errors.length) {
+                return incompleteCaseResponse(res, errors);
+            }
+        }
+
+        await CaseRevision.recordBaseline(clinicalCase);
+
+        clinicalCase.set(updates);
+        await clinicalCase.save();
+
+        const restored = await CaseRevision.record(clinicalCase, req.user, 'Restored', revision.revision);
+
+        res.status(200).json({
+            success: true,
+            message: `Case restored to revision ${revision.revision}`,
+            data: clinicalCase,
+            revision: restored ? restored.revision : undefined
+        });
+    } catch (error) {
+        if (sendValidationError(res, error)) return;
+
+        res.status(500).json({
+            success: false,
+            message: 'Error restoring case revision',
+            error: error.message
+        });
+    }
+};
+
+// Reply listing what still has to be filled in before a case can be reviewed
+const incompleteCaseResponse = (res, errors) => res.status(422).json({
+    success: false,
+    message: 'Case is incomplete and cannot be submitted for review',
+    errors
+});
+
+// Check that a case is being linked to an active patient in the registry
+const isRegisteredPatient = (patientId) => Patient.exists({ _id: patientId, isActive: true });
+
+const unknownPatientResponse = (res) => res.status(400).json({
+    success: false,
+    message: 'Patient not found in the registry'
+});
+
+// List what a case is missing for review, including its template's requirements
+const submissionErrors = async (clinicalCase) => clinicalCase.getSubmissionErrors(
+    clinicalCase.template ? await CaseTemplate.findById(clinicalCase.template) : null
+);
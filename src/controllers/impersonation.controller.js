@@ -0,0 +1,177 @@
+const Impersonation = require('../models/Impersonation.model');
+const User = require('../models/User.model');
+const Role = require('../models/Role.model');
+
+// @desc    Start viewing the app as another user
+// @route   POST /api/impersonation/start
+// @access  Private (users:impersonate)
+exports.startImpersonation = async (req, res) => {
+    try {
+        const { userId, reason } = req.body;
+
+        const user = await User.findById(userId);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (user._id.equals(req.user._id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot impersonate yourself'
+            });
+        }
+
+        if (!user.isActive) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot impersonate a deactivated user'
+            });
+        }
+
+        // No admin-to-admin impersonation
+        if ((await Role.getPermissions(user.role)).includes('users:impersonate')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Cannot impersonate a user who can impersonate others'
+            });
+        }
+
+        const impersonation = await Impersonation.start(req.user, user, req.authSession, reason, req);
+
+        res.status(201).json({
+            success: true,
+            message: `Now viewing as ${user.name}. Changes are blocked until you return to your own account.`,
+            token: impersonation.getSignedToken(user),
+            data: {
+                impersonation: impersonation._id,
+                expiresAt: impersonation.expiresAt,
+                user: {
+                    id: user._id,
+                    name: user.name,
+                    email: user.email,
+                    role: user.role
+                }
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error starting impersonation',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Stop impersonating (called with the impersonation token)
+// @route   POST /api/impersonation/stop
+// @access  Private (impersonation token)
+exports.stopImpersonation = async (req, res) => {
+    try {
+        if (!req.impersonation) {
+            return res.status(400).json({
+                success: false,
+                message: 'You are not viewing as another user'
+            });
+        }
+
+        req.impersonation.endedAt = new Date();
+        await req.impersonation.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Returned to your own account',
+            data: {}
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error stopping impersonation',
+            error: error.message
+        });
+    }
+};
+
+// @desc    End an impersonation from the admin's own account
+// @route   DELETE /api/impersonation/:id
+// @access  Private (users:impersonate)
+exports.endImpersonation = async (req, res) => {
+    try {
+        const impersonation = await Impersonation.findOne({ _id: req.params.id, admin: req.user._id });
+
+        if (!impersonation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Impersonation not found'
+            });
+        }
+
+        if (impersonation.isActive) {
+            impersonation.endedAt = new Date();
+            await impersonation.save();
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Impersonation ended',
+            data: impersonation
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error ending impersonation',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get impersonation history
+// @route   GET /api/impersonation
+// @access  Private (audit:read)
+exports.getImpersonations = async (req, res) => {
+    try {
+        let query = Impersonation.find();
+
+        if (req.query.admin) {
+            query = query.where('admin').equals(req.query.admin);
+        }
+
+        if (req.query.user) {
+            query = query.where('user').equals(req.query.user);
+        }
+
+        if (req.query.active === 'true') {
+            query = query.where({ endedAt: null, expiresAt: { $gt: new Date() } });
+        }
+
+        const page = parseInt(req.query.page, 10) || 1;
+        const limit = parseInt(req.query.limit, 10) || 20;
+        const skip = (page - 1) * limit;
+
+        query = query.skip(skip).limit(limit)
+            .populate('admin', 'name email role')
+            .populate('user', 'name email role')
+            .sort({ createdAt: -1 });
+
+        const impersonations = await query;
+        const total = await Impersonation.countDocuments(query.getFilter());
+
+        res.status(200).json({
+            success: true,
+            count: impersonations.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            data: impersonations
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching impersonations',
+            error: error.message
+        });
+    }
+};
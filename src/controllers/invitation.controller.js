@@ -0,0 +1,241 @@
+const Invitation = require('../models/Invitation.model');
+const User = require('../models/User.model');
+const Role = require('../models/Role.model');
+const { SUPERVISOR_PERMISSIONS } = require('../config/permissions');
+const { sendEmail } = require('../utils/mailer');
+const { sendValidationError } = require('../utils/validationError');
+
+// @desc    Create an invitation
+// @route   POST /api/invitations
+// @access  Private (Admin)
+exports.createInvitation = async (req, res) => {
+    try {
+        const { email, role, batch, semester, supervisor, sendEmail: shouldEmail = true } = req.body;
+
+        if (!email) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide an email'
+            });
+        }
+
+        const normalizedEmail = email.toLowerCase().trim();
+
+        const existingUser = await User.findOne({ email: normalizedEmail });
+        if (existingUser) {
+            return res.status(400).json({
+                success: false,
+                message: 'User with this email already exists'
+            });
+        }
+
+        const activeInvitation = await Invitation.findOne({
+            email: normalizedEmail,
+            usedAt: null,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        });
+        if (activeInvitation) {
+            return res.status(400).json({
+                success: false,
+                message: 'An active invitation already exists for this email'
+            });
+        }
+
+        if (supervisor) {
+            const supervisorUser = await User.findOne({
+                _id: supervisor,
+                role: { $in: await Role.namesWithPermissions(SUPERVISOR_PERMISSIONS) }
+            });
+            if (!supervisorUser) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Supervisor not found'
+                });
+            }
+        }
+
+        const { invitation, code } = Invitation.buildWithCode({
+            email: normalizedEmail,
+            role,
+            batch,
+            semester,
+            supervisor,
+            createdBy: req.user._id
+        });
+        await invitation.save();
+
+        if (shouldEmail) {
+            try {
+                await sendInvitationEmail(invitation, code);
+            } catch (mailError) {
+                // An invite nobody received would block inviting the address again
+                console.error('Invitation email error:', mailError);
+                await invitation.deleteOne();
+
+                return res.status(500).json({
+                    success: false,
+                    message: 'Invitation email could not be sent, no invitation was created'
+                });
+            }
+        }
+
+        res.status(201).json({
+            success: true,
+            data: {
+                ...invitation.toJSON(),
+                code
+            }
+        });
+    } catch (error) {
+        if (sendValidationError(res, error)) return;
+
+        res.status(500).json({
+            success: false,
+            message: 'Error creating invitation',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get invitations
+// @route   GET /api/invitations
+// @access  Private (Admin)
+exports.getInvitations = async (req, res) => {
+    try {
+        const now = new Date();
+        let query = Invitation.find();
+
+        // Filter by status
+        if (req.query.status === 'Pending') {
+            query = query.where({ usedAt: null, revokedAt: null, expiresAt: { $gt: now } });
+        } else if (req.query.status === 'Used') {
+            query = query.where('usedAt').ne(null);
+        } else if (req.query.status === 'Revoked') {
+            query = query.where('revokedAt').ne(null);
+        } else if (req.query.status === 'Expired') {
+            query = query.where({ usedAt: null, revokedAt: null, expiresAt: { $lte: now } });
+        }
+
+        if (req.query.role) {
+            query = query.where('role').equals(req.query.role);
+        }
+
+        if (req.query.search) {
+            query = query.where({ email: { $regex: req.query.search, $options: 'i' } });
+        }
+
+        const page = parseInt(req.query.page, 10) || 1;
+        const limit = parseInt(req.query.limit, 10) || 20;
+        const skip = (page - 1) * limit;
+
+        query = query.skip(skip).limit(limit)
+            .populate('supervisor', 'name email')
+            .populate('createdBy', 'name email')
+            .populate('usedBy', 'name email')
+            .sort({ createdAt: -1 });
+
+        const invitations = await query;
+        const total = await Invitation.countDocuments(query.getFilter());
+
+        res.status(200).json({
+            success: true,
+            count: invitations.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            data: invitations
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching invitations',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Revoke an invitation
+// @route   DELETE /api/invitations/:id
+// @access  Private (Admin)
+exports.revokeInvitation = async (req, res) => {
+    try {
+        const invitation = await Invitation.findById(req.params.id);
+
+        if (!invitation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invitation not found'
+            });
+        }
+
+        if (invitation.usedAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invitation has already been used'
+            });
+        }
+
+        invitation.revokedAt = new Date();
+        await invitation.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Invitation revoked',
+            data: invitation
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error revoking invitation',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Look up an invitation code before registering
+// @route   GET /api/invitations/code/:code
+// @access  Public
+exports.getInvitationByCode = async (req, res) => {
+    try {
+        const invitation = await Invitation.findValidByCode(req.params.code);
+
+        if (!invitation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invitation code is invalid or has expired'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                email: invitation.email,
+                role: invitation.role,
+                batch: invitation.batch,
+                semester: invitation.semester,
+                expiresAt: invitation.expiresAt
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching invitation',
+            error: error.message
+        });
+    }
+};
+
+// Helper function to email an invitation code
+const sendInvitationEmail = async (invitation, code) => {
+    const registerUrl = `${process.env.CLIENT_URL || ''}/register?code=${encodeURIComponent(code)}`;
+
+    await sendEmail({
+        to: invitation.email,
+        subject: 'You are invited to SRISH Clinical',
+        text: `You have been invited to join SRISH Clinical as a ${invitation.role}.\n\n` +
+            `Register here: ${registerUrl}\n\n` +
+            `Or use invitation code ${code} on the registration page.\n` +
+            `The invitation expires on ${invitation.expiresAt.toDateString()}.`
+    });
+};
@@ -1,4 +1,7 @@
 const LeaveRequest = require('../models/LeaveRequest.model');
+const { hasPermission } = require('../config/permissions');
+const { studentFilter, canAccessStudent } = require('../utils/studentScope');
+const pick = require('../utils/pick');
 
 // @desc    Create leave request
 // @route   POST /api/leave-requests
@@ -50,14 +53,8 @@ exports.createLeaveRequest = async (req, res) => {
 // @access  Private
 exports.getLeaveRequests = async (req, res) => {
     try {
-        let query;
-
-        // Students can only see their own leave requests
-        if (req.user.role === 'Student') {
-            query = LeaveRequest.find({ student: req.user.id });
-        } else {
-            query = LeaveRequest.find();
-        }
+        // Own leave requests only, or those of students in the user's scope
+        let query = LeaveRequest.find(await studentFilter(req, 'leave:read'));
 
         // Filter by status
         if (req.query.status) {
@@ -111,7 +108,7 @@ exports.getLeaveRequest = async (req, res) => {
         }
 
         // Check authorization
-        if (req.user.role === 'Student' && leaveRequest.student._id.toString() !== req.user.id) {
+        if (!(await canAccessStudent(req, leaveRequest.student._id, 'leave:read'))) {
             return res.status(403).json({
                 success: false,
                 message: 'Not authorized to access this leave request'
@@ -145,8 +142,12 @@ exports.updateLeaveRequest = async (req, res) => {
             });
         }
 
-        // Only allow updates to pending requests by the student who created it
-        if (req.user.role === 'Student') {
+        // Reviewers can update requests of students in their scope,
+        // everyone else only their own pending requests
+        const isReviewer = hasPermission(req, 'leave:review') &&
+            await canAccessStudent(req, leaveRequest.student, 'leave:review');
+
+        if (!isReviewer) {
             if (leaveRequest.student.toString() !== req.user.id) {
                 return res.status(403).json({
                     success: false,
@@ -162,12 +163,15 @@ exports.updateLeaveRequest = async (req, res) => {
             }
         }
 
+        // Status and review fields are only changed through cancel and review
+        const updates = pick(req.body, LeaveRequest.getEditableFields());
+
         // Check for overlapping dates if dates are being changed
-        if (req.body.startDate || req.body.endDate) {
+        if (updates.startDate || updates.endDate) {
             const hasOverlap = await LeaveRequest.hasOverlappingLeave(
                 leaveRequest.student,
-                new Date(req.body.startDate || leaveRequest.startDate),
-                new Date(req.body.endDate || leaveRequest.endDate),
+                new Date(updates.startDate || leaveRequest.startDate),
+                new Date(updates.endDate || leaveRequest.endDate),
                 leaveRequest._id
             );
 
@@ -179,7 +183,7 @@ exports.updateLeaveRequest = async (req, res) => {
             }
         }
 
-        leaveRequest = await LeaveRequest.findByIdAndUpdate(req.params.id, req.body, {
+        leaveRequest = await LeaveRequest.findByIdAndUpdate(req.params.id, updates, {
             new: true,
             runValidators: true
         });
@@ -211,8 +215,8 @@ exports.cancelLeaveRequest = async (req, res) => {
             });
         }
 
-        // Only the student who created it or admin can cancel
-        if (req.user.role === 'Student' && leaveRequest.student.toString() !== req.user.id) {
+        // Only the student who created it or a reviewer can cancel
+        if (!(await canAccessStudent(req, leaveRequest.student, 'leave:review'))) {
             return res.status(403).json({
                 success: false,
                 message: 'Not authorized to cancel this leave request'
@@ -266,6 +270,13 @@ exports.reviewLeaveRequest = async (req, res) => {
             });
         }
 
+        if (!(await canAccessStudent(req, leaveRequest.student, 'leave:review'))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to review this leave request'
+            });
+        }
+
         if (leaveRequest.status !== 'Pending') {
             return res.status(400).json({
                 success: false,
@@ -303,7 +314,10 @@ exports.reviewLeaveRequest = async (req, res) => {
 // @access  Private (Supervisor, Admin)
 exports.getPendingCount = async (req, res) => {
     try {
-        const count = await LeaveRequest.countDocuments({ status: 'Pending' });
+        const count = await LeaveRequest.countDocuments({
+            status: 'Pending',
+            ...(await studentFilter(req, 'leave:review'))
+        });
 
         res.status(200).json({
             success: true,
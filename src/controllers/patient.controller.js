@@ -0,0 +1,189 @@
+const Patient = require('../models/Patient.model');
+const ClinicalCase = require('../models/ClinicalCase.model');
+const audiogram = require('../services/audiogram.service');
+const pick = require('../utils/pick');
+const { studentFilter } = require('../utils/studentScope');
+const { sendValidationError } = require('../utils/validationError');
+
+// @desc    Register a new patient and generate their pseudonymous ID
+// @route   POST /api/patients
+// @access  Private (cases:create)
+exports.createPatient = async (req, res) => {
+    try {
+        const patient = await Patient.create({
+            ...pick(req.body, ['gender', 'birthYear']),
+            createdBy: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `Patient registered as ${patient.patientId}`,
+            data: patient
+        });
+    } catch (error) {
+        if (sendValidationError(res, error)) return;
+
+        res.status(500).json({
+            success: false,
+            message: 'Error registering patient',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get patients, or look one up by their patient ID
+// @route   GET /api/patients
+// @access  Private
+exports.getPatients = async (req, res) => {
+    try {
+        const page = parseInt(req.query.page, 10) || 1;
+        const limit = parseInt(req.query.limit, 10) || 20;
+        const query = { isActive: true };
+
+        if (req.query.patientId) {
+            query.patientId = req.query.patientId.trim().toUpperCase();
+        }
+
+        const total = await Patient.countDocuments(query);
+        const patients = await Patient.find(query)
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit);
+
+        res.status(200).json({
+            success: true,
+            count: patients.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            data: patients
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching patients',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get a single patient
+// @route   GET /api/patients/:id
+// @access  Private
+exports.getPatient = async (req, res) => {
+    try {
+        const patient = await Patient.findById(req.params.id);
+
+        if (!patient) {
+            return res.status(404).json({
+                success: false,
+                message: 'Patient not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: patient
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching patient',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Correct or deactivate a patient registry entry
+// @route   PUT /api/patients/:id
+// @access  Private (patients:manage)
+exports.updatePatient = async (req, res) => {
+    try {
+        const patient = await Patient.findByIdAndUpdate(
+            req.params.id,
+            pick(req.body, ['gender', 'birthYear', 'isActive']),
+            { new: true, runValidators: true }
+        );
+
+        if (!patient) {
+            return res.status(404).json({
+                success: false,
+                message: 'Patient not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: patient
+        });
+    } catch (error) {
+        if (sendValidationError(res, error)) return;
+
+        res.status(500).json({
+            success: false,
+            message: 'Error updating patient',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get every visit of a patient with their audiograms over time
+// @route   GET /api/patients/:id/timeline
+// @access  Private
+exports.getPatientTimeline = async (req, res) => {
+    try {
+        const patient = await Patient.findById(req.params.id);
+
+        if (!patient) {
+            return res.status(404).json({
+                success: false,
+                message: 'Patient not found'
+            });
+        }
+
+        // Only visits this user may see; other students' drafts stay private
+        const visits = await ClinicalCase.find({
+            ...(await studentFilter(req, 'cases:read')),
+            patient: patient._id,
+            $or: [
+                { student: req.user._id },
+                { 'supervisorApproval.status': { $ne: 'Draft' } }
+            ]
+        })
+            .populate('student', 'name batch semester')
+            .select('caseNumber sessionDate student patientInfo.ageGroup testsPerformed audiogramData findings recommendations supervisorApproval.status')
+            .sort({ sessionDate: 1 });
+
+        const timeline = visits.map(visit => {
+            const { rightEar, leftEar } = audiogram.interpret(visit);
+            return {
+                ...visit.toJSON(),
+                interpretation: { rightEar, leftEar }
+            };
+        });
+
+        res.status(200).json({
+            success: true,
+            count: timeline.length,
+            data: {
+                patient,
+                visits: timeline,
+                // Pure tone average per ear at each visit that has one
+                ptaTrend: timeline
+                    .filter(visit => visit.interpretation.rightEar.pta !== null || visit.interpretation.leftEar.pta !== null)
+                    .map(visit => ({
+                        caseId: visit._id,
+                        sessionDate: visit.sessionDate,
+                        rightEar: visit.interpretation.rightEar.pta,
+                        leftEar: visit.interpretation.leftEar.pta
+                    }))
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching patient timeline',
+            error: error.message
+        });
+    }
+};
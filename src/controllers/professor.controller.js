@@ -2,7 +2,12 @@ const User = require('../models/User.model');
 const ClinicalCase = require('../models/ClinicalCase.model');
 const Attendance = require('../models/Attendance.model');
 const LeaveRequest = require('../models/LeaveRequest.model');
+const CaseComment = require('../models/CaseComment.model');
+const caseReview = require('../services/caseReview.service');
+const audiogram = require('../services/audiogram.service');
+const competency = require('../services/competency.service');
 const mongoose = require('mongoose');
+const { getStudentRoles, isStudentRole, studentFilter, studentUserFilter, canAccessStudent } = require('../utils/studentScope');
 
 // @desc    Get professor dashboard overview
 // @route   GET /api/professor/dashboard
@@ -15,25 +20,30 @@ exports.getProfessorDashboard = async (req, res) => {
         const todayStart = new Date(now.setHours(0, 0, 0, 0));
         const todayEnd = new Date(now.setHours(23, 59, 59, 999));
 
+        // Limit everything to the students this user supervises (or all, with students:all)
+        const studentScope = { role: { $in: await getStudentRoles(req) }, ...(await studentUserFilter(req)) };
+        const recordScope = await studentFilter(req, 'students:read');
+
         // Get all students count
-        const totalStudents = await User.countDocuments({ role: 'Student', isActive: true });
+        const totalStudents = await User.countDocuments({ isActive: true, ...studentScope });
 
         // Get students by batch
         const studentsByBatch = await User.aggregate([
-            { $match: { role: 'Student', isActive: true } },
+            { $match: { isActive: true, ...studentScope } },
             { $group: { _id: '$batch', count: { $sum: 1 } } },
             { $sort: { _id: -1 } }
         ]);
 
         // Get students by semester
         const studentsBySemester = await User.aggregate([
-            { $match: { role: 'Student', isActive: true } },
+            { $match: { isActive: true, ...studentScope } },
             { $group: { _id: '$semester', count: { $sum: 1 } } },
             { $sort: { _id: 1 } }
         ]);
 
         // Clinical cases overview
         const casesOverview = await ClinicalCase.aggregate([
+            { $match: ClinicalCase.excludeDrafts(recordScope) },
             {
                 $facet: {
                     total: [{ $count: 'count' }],
@@ -63,6 +73,7 @@ exports.getProfessorDashboard = async (req, res) => {
 
         // Leave requests overview
         const leaveOverview = await LeaveRequest.aggregate([
+            { $match: recordScope },
             {
                 $facet: {
                     total: [{ $count: 'count' }],
@@ -84,8 +95,8 @@ exports.getProfessorDashboard = async (req, res) => {
 
         // Top performing students (by completed hours percentage)
         const topStudents = await User.find({
-            role: 'Student',
-            isActive: true
+            isActive: true,
+            ...studentScope
         })
             .select('name email batch semester completedHours totalAllottedHours')
             .sort({ completedHours: -1 })
@@ -93,7 +104,8 @@ exports.getProfessorDashboard = async (req, res) => {
 
         // Recent pending clinical cases
         const recentPendingCases = await ClinicalCase.find({
-            'supervisorApproval.status': 'Pending'
+            'supervisorApproval.status': 'Pending',
+            ...recordScope
         })
             .populate('student', 'name email batch semester')
             .select('patientInfo.initials patientInfo.ageGroup sessionDate testsPerformed createdAt')
@@ -102,16 +114,22 @@ exports.getProfessorDashboard = async (req, res) => {
 
         // Recent pending leave requests
         const recentPendingLeaves = await LeaveRequest.find({
-            status: 'Pending'
+            status: 'Pending',
+            ...recordScope
         })
             .populate('student', 'name email batch semester')
             .select('leaveType startDate endDate reason createdAt')
             .sort({ createdAt: -1 })
             .limit(5);
 
+        // Discussion on cases in scope: comments this user hasn't read and threads still open
+        const commentScope = await studentFilter(req, 'cases:read');
+        const unreadComments = await CaseComment.countUnread(req.user._id, commentScope);
+        const openThreads = await CaseComment.countDocuments({ ...commentScope, parent: null, resolved: false });
+
         // Average hours completion across all students
         const avgCompletion = await User.aggregate([
-            { $match: { role: 'Student', isActive: true, totalAllottedHours: { $gt: 0 } } },
+            { $match: { isActive: true, totalAllottedHours: { $gt: 0 }, ...studentScope } },
             {
                 $group: {
                     _id: null,
@@ -151,6 +169,10 @@ exports.getProfessorDashboard = async (req, res) => {
                     approved: leaveOverview[0]?.approved[0]?.count || 0,
                     rejected: leaveOverview[0]?.rejected[0]?.count || 0
                 },
+                comments: {
+                    unread: unreadComments,
+                    openThreads
+                },
                 topStudents,
                 recentPendingCases,
                 recentPendingLeaves,
@@ -178,7 +200,7 @@ exports.getAllStudents = async (req, res) => {
     try {
         const { batch, semester, search, sortBy, sortOrder, page = 1, limit = 20 } = req.query;
 
-        let query = { role: 'Student', isActive: true };
+        let query = { role: { $in: await getStudentRoles(req) }, isActive: true, ...(await studentUserFilter(req)) };
 
         // Apply filters
         if (batch) query.batch = batch;
@@ -210,7 +232,7 @@ exports.getAllStudents = async (req, res) => {
         const studentIds = students.map(s => s._id);
 
         const caseCounts = await ClinicalCase.aggregate([
-            { $match: { student: { $in: studentIds } } },
+            { $match: ClinicalCase.excludeDrafts({ student: { $in: studentIds } }) },
             {
                 $group: {
                     _id: '$student',
@@ -272,21 +294,28 @@ exports.getStudentDetails = async (req, res) => {
             .select('-password')
             .populate('supervisor', 'name email');
 
-        if (!student || student.role !== 'Student') {
+        if (!student || !(await isStudentRole(req, student.role))) {
             return res.status(404).json({
                 success: false,
                 message: 'Student not found'
             });
         }
 
+        if (!(await canAccessStudent(req, student._id, 'students:read'))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this student'
+            });
+        }
+
         // Get clinical cases
-        const clinicalCases = await ClinicalCase.find({ student: id })
+        const clinicalCases = await ClinicalCase.find(ClinicalCase.excludeDrafts({ student: id }))
             .sort({ sessionDate: -1 })
             .limit(parseInt(casesLimit));
 
         // Get clinical case statistics
         const caseStats = await ClinicalCase.aggregate([
-            { $match: { student: new mongoose.Types.ObjectId(id) } },
+            { $match: ClinicalCase.excludeDrafts({ student: new mongoose.Types.ObjectId(id) }) },
             {
                 $group: {
                     _id: null,
@@ -344,7 +373,7 @@ exports.getStudentDetails = async (req, res) => {
 
         // Test type distribution
         const testDistribution = await ClinicalCase.aggregate([
-            { $match: { student: new mongoose.Types.ObjectId(id) } },
+            { $match: ClinicalCase.excludeDrafts({ student: new mongoose.Types.ObjectId(id) }) },
             { $unwind: '$testsPerformed' },
             {
                 $group: {
@@ -355,6 +384,9 @@ exports.getStudentDetails = async (req, res) => {
             { $sort: { count: -1 } }
         ]);
 
+        // Progress toward this semester's competency requirements
+        const requirements = await competency.getStudentProgress(student);
+
         res.status(200).json({
             success: true,
             data: {
@@ -371,7 +403,8 @@ exports.getStudentDetails = async (req, res) => {
                     recent: leaveRequests,
                     stats: leaveStats[0] || { total: 0, approved: 0, pending: 0, rejected: 0 }
                 },
-                testDistribution
+                testDistribution,
+                requirements
             }
         });
     } catch (error) {
@@ -391,12 +424,14 @@ exports.getPendingItems = async (req, res) => {
     try {
         const { type, page = 1, limit = 20 } = req.query;
         const skip = (parseInt(page) - 1) * parseInt(limit);
+        const recordScope = await studentFilter(req, 'students:read');
 
         let response = {};
 
         if (!type || type === 'cases') {
             const pendingCases = await ClinicalCase.find({
-                'supervisorApproval.status': 'Pending'
+                'supervisorApproval.status': 'Pending',
+                ...recordScope
             })
                 .populate('student', 'name email batch semester registrationNumber')
                 .sort({ createdAt: -1 })
@@ -404,11 +439,16 @@ exports.getPendingItems = async (req, res) => {
                 .limit(type === 'cases' ? parseInt(limit) : 10);
 
             const totalPendingCases = await ClinicalCase.countDocuments({
-                'supervisorApproval.status': 'Pending'
+                'supervisorApproval.status': 'Pending',
+                ...recordScope
             });
 
+            // Flag findings that disagree with the audiogram for the reviewer
             response.cases = {
-                items: pendingCases,
+                items: pendingCases.map(clinicalCase => ({
+                    ...clinicalCase.toJSON(),
+                    interpretationFlags: audiogram.interpret(clinicalCase).flags
+                })),
                 total: totalPendingCases,
                 page: parseInt(page),
                 pages: Math.ceil(totalPendingCases / parseInt(limit))
@@ -417,7 +457,8 @@ exports.getPendingItems = async (req, res) => {
 
         if (!type || type === 'leaves') {
             const pendingLeaves = await LeaveRequest.find({
-                status: 'Pending'
+                status: 'Pending',
+                ...recordScope
             })
                 .populate('student', 'name email batch semester registrationNumber')
                 .sort({ createdAt: -1 })
@@ -425,7 +466,8 @@ exports.getPendingItems = async (req, res) => {
                 .limit(type === 'leaves' ? parseInt(limit) : 10);
 
             const totalPendingLeaves = await LeaveRequest.countDocuments({
-                status: 'Pending'
+                status: 'Pending',
+                ...recordScope
             });
 
             response.leaves = {
@@ -450,7 +492,7 @@ exports.getPendingItems = async (req, res) => {
     }
 };
 
-// @desc    Approve/Reject clinical case
+// @desc    Approve/Reject clinical case or request a revision
 // @route   PUT /api/professor/cases/:id/review
 // @access  Private (Supervisor, Admin)
 exports.reviewClinicalCase = async (req, res) => {
@@ -458,35 +500,30 @@ exports.reviewClinicalCase = async (req, res) => {
         const { id } = req.params;
         const { status, remarks } = req.body;
 
-        if (!['Approved', 'Rejected'].includes(status)) {
-            return res.status(400).json({
+        const existingCase = await ClinicalCase.findById(id);
+
+        if (!existingCase) {
+            return res.status(404).json({
                 success: false,
-                message: 'Status must be either Approved or Rejected'
+                message: 'Clinical case not found'
             });
         }
 
-        const clinicalCase = await ClinicalCase.findByIdAndUpdate(
-            id,
-            {
-                'supervisorApproval.status': status,
-                'supervisorApproval.reviewedAt': new Date(),
-                'supervisorApproval.comments': remarks || '',
-                supervisor: req.user._id
-            },
-            { new: true }
-        ).populate('student', 'name email batch semester');
+        const result = await caseReview.transition(existingCase, status, req, remarks);
 
-        if (!clinicalCase) {
-            return res.status(404).json({
+        if (result.error) {
+            return res.status(result.error.statusCode).json({
                 success: false,
-                message: 'Clinical case not found'
+                message: result.error.message
             });
         }
 
+        await result.clinicalCase.populate('student', 'name email batch semester');
+
         res.status(200).json({
             success: true,
-            message: `Clinical case ${status.toLowerCase()} successfully`,
-            data: clinicalCase
+            message: `Clinical case marked as ${status.toLowerCase()}`,
+            data: result.clinicalCase
         });
     } catch (error) {
         console.error('Review clinical case error:', error);
@@ -498,41 +535,21 @@ exports.reviewClinicalCase = async (req, res) => {
     }
 };
 
-// @desc    Bulk approve/reject clinical cases
+// @desc    Bulk review clinical cases
 // @route   PUT /api/professor/cases/bulk-review
 // @access  Private (Supervisor, Admin)
 exports.bulkReviewCases = async (req, res) => {
     try {
         const { caseIds, status, remarks } = req.body;
 
-        if (!Array.isArray(caseIds) || caseIds.length === 0) {
-            return res.status(400).json({
-                success: false,
-                message: 'Please provide case IDs to review'
-            });
-        }
-
-        if (!['Approved', 'Rejected'].includes(status)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Status must be either Approved or Rejected'
-            });
-        }
-
-        const result = await ClinicalCase.updateMany(
-            { _id: { $in: caseIds }, 'supervisorApproval.status': 'Pending' },
-            {
-                'supervisorApproval.status': status,
-                'supervisorApproval.reviewedAt': new Date(),
-                'supervisorApproval.comments': remarks || '',
-                supervisor: req.user._id
-            }
-        );
+        const { updated, skipped } = await caseReview.bulkTransition(caseIds, status, req, remarks);
 
         res.status(200).json({
             success: true,
-            message: `${result.modifiedCount} cases ${status.toLowerCase()} successfully`,
-            modifiedCount: result.modifiedCount
+            message: `${updated.length} cases marked as ${status.toLowerCase()}` +
+                (skipped.length ? `, ${skipped.length} skipped` : ''),
+            modifiedCount: updated.length,
+            skipped
         });
     } catch (error) {
         console.error('Bulk review cases error:', error);
@@ -549,8 +566,9 @@ exports.bulkReviewCases = async (req, res) => {
 // @access  Private (Supervisor, Admin)
 exports.getFilterOptions = async (req, res) => {
     try {
-        const batches = await User.distinct('batch', { role: 'Student', isActive: true });
-        const semesters = await User.distinct('semester', { role: 'Student', isActive: true });
+        const studentQuery = { role: { $in: await getStudentRoles(req) }, isActive: true, ...(await studentUserFilter(req)) };
+        const batches = await User.distinct('batch', studentQuery);
+        const semesters = await User.distinct('semester', studentQuery);
 
         res.status(200).json({
             success: true,
@@ -574,7 +592,7 @@ exports.getFilterOptions = async (req, res) => {
 exports.getProgressAnalytics = async (req, res) => {
     try {
         const { batch, semester } = req.query;
-        let matchQuery = { role: 'Student', isActive: true };
+        let matchQuery = { role: { $in: await getStudentRoles(req) }, isActive: true, ...(await studentUserFilter(req)) };
 
         if (batch) matchQuery.batch = batch;
         if (semester) matchQuery.semester = parseInt(semester);
@@ -610,10 +628,10 @@ exports.getProgressAnalytics = async (req, res) => {
 
         const monthlyCases = await ClinicalCase.aggregate([
             {
-                $match: {
+                $match: ClinicalCase.excludeDrafts({
                     student: { $in: studentIds },
                     createdAt: { $gte: sixMonthsAgo }
-                }
+                })
             },
             {
                 $group: {
@@ -0,0 +1,252 @@
+const Requirement = require('../models/Requirement.model');
+const User = require('../models/User.model');
+const competency = require('../services/competency.service');
+const { hasPermission } = require('../config/permissions');
+const { getStudentRoles, isStudentRole, studentUserFilter, canAccessStudent } = require('../utils/studentScope');
+const pick = require('../utils/pick');
+
+// Fields that can be set when creating or editing a requirement set
+const REQUIREMENT_FIELDS = ['semester', 'batch', 'items', 'notes'];
+
+// @desc    Get competency requirement sets
+// @route   GET /api/requirements
+// @access  Private
+exports.getRequirements = async (req, res) => {
+    try {
+        const query = {};
+
+        if (req.query.semester) query.semester = parseInt(req.query.semester, 10);
+        if (req.query.batch) query.batch = { $in: [req.query.batch, null] };
+
+        const requirements = await Requirement.find(query)
+            .populate('createdBy', 'name')
+            .sort({ semester: 1, batch: 1 });
+
+        res.status(200).json({
+            success: true,
+            count: requirements.length,
+            data: requirements
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching requirements',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get a single competency requirement set
+// @route   GET /api/requirements/:id
+// @access  Private
+exports.getRequirement = async (req, res) => {
+    try {
+        const requirement = await Requirement.findById(req.params.id).populate('createdBy', 'name');
+
+        if (!requirement) {
+            return res.status(404).json({
+                success: false,
+                message: 'Requirement set not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: requirement
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching requirement set',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Create the requirements for a semester (optionally for one batch)
+// @route   POST /api/requirements
+// @access  Private (requirements:manage)
+exports.createRequirement = async (req, res) => {
+    try {
+        const data = pick(req.body, REQUIREMENT_FIELDS);
+        data.batch = data.batch || null;
+
+        if (await Requirement.exists({ semester: data.semester, batch: data.batch })) {
+            return duplicateResponse(res, data);
+        }
+
+        const requirement = await Requirement.create({
+            ...data,
+            createdBy: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            data: requirement
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error creating requirement set',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Update a competency requirement set
+// @route   PUT /api/requirements/:id
+// @access  Private (requirements:manage)
+exports.updateRequirement = async (req, res) => {
+    try {
+        const requirement = await Requirement.findById(req.params.id);
+
+        if (!requirement) {
+            return res.status(404).json({
+                success: false,
+                message: 'Requirement set not found'
+            });
+        }
+
+        const updates = pick(req.body, REQUIREMENT_FIELDS);
+        if (updates.batch !== undefined) updates.batch = updates.batch || null;
+        requirement.set(updates);
+
+        if (await Requirement.exists({ semester: requirement.semester, batch: requirement.batch, _id: { $ne: requirement._id } })) {
+            return duplicateResponse(res, requirement);
+        }
+
+        await requirement.save();
+
+        res.status(200).json({
+            success: true,
+            data: requirement
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error updating requirement set',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Delete a competency requirement set
+// @route   DELETE /api/requirements/:id
+// @access  Private (requirements:manage)
+exports.deleteRequirement = async (req, res) => {
+    try {
+        const requirement = await Requirement.findById(req.params.id);
+
+        if (!requirement) {
+            return res.status(404).json({
+                success: false,
+                message: 'Requirement set not found'
+            });
+        }
+
+        await requirement.deleteOne();
+
+        res.status(200).json({
+            success: true,
+            message: 'Requirement set deleted',
+            data: {}
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting requirement set',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get students' progress toward their semester requirements
+//          (students without students:read only get their own)
+// @route   GET /api/requirements/progress
+// @access  Private
+exports.getProgressReport = async (req, res) => {
+    try {
+        const page = parseInt(req.query.page, 10) || 1;
+        const limit = parseInt(req.query.limit, 10) || 20;
+
+        const studentRoles = { $in: await getStudentRoles(req) };
+        const query = hasPermission(req, 'students:read')
+            ? { role: studentRoles, isActive: true, ...(await studentUserFilter(req)) }
+            : { _id: req.user._id, role: studentRoles };
+
+        if (req.query.batch) query.batch = req.query.batch;
+        if (req.query.semester) query.semester = parseInt(req.query.semester, 10);
+
+        const total = await User.countDocuments(query);
+        const students = await User.find(query)
+            .select('name email registrationNumber batch semester')
+            .sort({ name: 1 })
+            .skip((page - 1) * limit)
+            .limit(limit);
+
+        const progress = await competency.getProgress(students);
+        const data = students.map(student => ({
+            student,
+            progress: progress.get(student._id.toString())
+        }));
+
+        res.status(200).json({
+            success: true,
+            count: data.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            data
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching requirement progress',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get one student's progress toward their semester requirements
+// @route   GET /api/requirements/progress/:studentId
+// @access  Private
+exports.getStudentProgress = async (req, res) => {
+    try {
+        const student = await User.findById(req.params.studentId).select('name email registrationNumber batch semester role');
+
+        if (!student || !(await isStudentRole(req, student.role))) {
+            return res.status(404).json({
+                success: false,
+                message: 'Student not found'
+            });
+        }
+
+        if (!(await canAccessStudent(req, student._id, 'students:read'))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this student'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                student,
+                progress: await competency.getStudentProgress(student)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching requirement progress',
+            error: error.message
+        });
+    }
+};
+
+const duplicateResponse = (res, { semester, batch }) => res.status(400).json({
+    success: false,
+    message: batch
+        ? `Requirements for semester ${semester}, batch ${batch} already exist`
+        : `Requirements for semester ${semester} already exist`
+});
@@ -0,0 +1,186 @@
+const Role = require('../models/Role.model');
+const User = require('../models/User.model');
+const { PERMISSIONS } = require('../config/permissions');
+
+// @desc    Get all roles
+// @route   GET /api/roles
+// @access  Private (roles:manage)
+exports.getRoles = async (req, res) => {
+    try {
+        const roles = await Role.find().sort({ isSystem: -1, name: 1 });
+
+        // Number of active users holding each role
+        const userCounts = await User.aggregate([
+            { $match: { isActive: true } },
+            { $group: { _id: '$role', count: { $sum: 1 } } }
+        ]);
+
+        const countMap = userCounts.reduce((acc, item) => {
+            acc[item._id] = item.count;
+            return acc;
+        }, {});
+
+        res.status(200).json({
+            success: true,
+            count: roles.length,
+            data: roles.map(role => ({
+                ...role.toObject(),
+                userCount: countMap[role.name] || 0
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching roles',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get all available permissions
+// @route   GET /api/roles/permissions
+// @access  Private (roles:manage)
+exports.getPermissions = async (req, res) => {
+    try {
+        res.status(200).json({
+            success: true,
+            data: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description }))
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching permissions',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Create a role
+// @route   POST /api/roles
+// @access  Private (roles:manage)
+exports.createRole = async (req, res) => {
+    try {
+        const { name, description, isStudent, permissions } = req.body;
+
+        const existingRole = await Role.findOne({ name });
+        if (existingRole) {
+            return res.status(400).json({
+                success: false,
+                message: 'A role with this name already exists'
+            });
+        }
+
+        const role = await Role.create({
+            name,
+            description,
+            isStudent: !!isStudent,
+            permissions: [...new Set(permissions || [])],
+            createdBy: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            data: role
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error creating role',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Update a role's description, student flag and permissions
+// @route   PUT /api/roles/:id
+// @access  Private (roles:manage)
+exports.updateRole = async (req, res) => {
+    try {
+        const role = await Role.findById(req.params.id);
+
+        if (!role) {
+            return res.status(404).json({
+                success: false,
+                message: 'Role not found'
+            });
+        }
+
+        // Admin always keeps every permission so nobody can lock themselves out
+        if (role.name === 'Admin') {
+            return res.status(400).json({
+                success: false,
+                message: 'The Admin role cannot be modified'
+            });
+        }
+
+        // Users reference roles by name, so names are fixed once created
+        if (req.body.name !== undefined && req.body.name !== role.name) {
+            return res.status(400).json({
+                success: false,
+                message: 'Role names cannot be changed'
+            });
+        }
+
+        if (req.body.description !== undefined) role.description = req.body.description;
+        if (req.body.isStudent !== undefined) role.isStudent = req.body.isStudent;
+        if (req.body.permissions !== undefined) role.permissions = [...new Set(req.body.permissions)];
+
+        await role.save();
+
+        res.status(200).json({
+            success: true,
+            data: role
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error updating role',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Delete a role
+// @route   DELETE /api/roles/:id
+// @access  Private (roles:manage)
+exports.deleteRole = async (req, res) => {
+    try {
+        const role = await Role.findById(req.params.id);
+
+        if (!role) {
+            return res.status(404).json({
+                success: false,
+                message: 'Role not found'
+            });
+        }
+
+        if (role.isSystem) {
+            return res.status(400).json({
+                success: false,
+                message: 'Built-in roles cannot be deleted'
+            });
+        }
+
+        const usersWithRole = await User.countDocuments({ role: role.name });
+        if (usersWithRole > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Role is assigned to ${usersWithRole} user(s). Reassign them first.`
+            });
+        }
+
+        await role.deleteOne();
+
+        res.status(200).json({
+            success: true,
+            message: 'Role deleted',
+            data: {}
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting role',
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,58 @@
+const SecurityEvent = require('../models/SecurityEvent.model');
+
+// @desc    Get security events (lockouts, throttling, unlocks)
+// @route   GET /api/security-events
+// @access  Private (Supervisor, Admin)
+exports.getSecurityEvents = async (req, res) => {
+    try {
+        let query = SecurityEvent.find();
+
+        if (req.query.type) {
+            query = query.where('type').equals(req.query.type);
+        }
+
+        if (req.query.userId) {
+            query = query.where('user').equals(req.query.userId);
+        }
+
+        if (req.query.email) {
+            query = query.where('email').equals(req.query.email.toLowerCase());
+        }
+
+        if (req.query.ipAddress) {
+            query = query.where('ipAddress').equals(req.query.ipAddress);
+        }
+
+        // Date range filter
+        if (req.query.startDate && req.query.endDate) {
+            query = query.where('createdAt').gte(new Date(req.query.startDate)).lte(new Date(req.query.endDate));
+        }
+
+        const page = parseInt(req.query.page, 10) || 1;
+        const limit = parseInt(req.query.limit, 10) || 20;
+        const skip = (page - 1) * limit;
+
+        query = query.skip(skip).limit(limit)
+            .populate('user', 'name email role')
+            .populate('performedBy', 'name email')
+            .sort({ createdAt: -1 });
+
+        const events = await query;
+        const total = await SecurityEvent.countDocuments(query.getFilter());
+
+        res.status(200).json({
+            success: true,
+            count: events.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            data: events
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching security events',
+            error: error.message
+        });
+    }
+};
@@ -1,6 +1,12 @@
 const ClinicalCase = require('../models/ClinicalCase.model');
+const CaseComment = require('../models/CaseComment.model');
 const Attendance = require('../models/Attendance.model');
+const User = require('../models/User.model');
+const competency = require('../services/competency.service');
+const clockHours = require('../services/clockHours.service');
 const mongoose = require('mongoose');
+const { hasPermission } = require('../config/permissions');
+const { isStudentRole, studentFilter, canAccessStudent } = require('../utils/studentScope');
 
 // @desc    Get weekly statistics report
 // @route   GET /api/statistics/weekly
@@ -22,16 +28,19 @@ exports.getWeeklyStatistics = async (req, res) => {
             sessionDate: { $gte: weekStart, $lte: weekEnd }
         };
 
-        // Students can only see their own stats
-        if (req.user.role === 'Student') {
-            matchQuery.student = new mongoose.Types.ObjectId(req.user.id);
-        } else if (req.query.studentId) {
-            matchQuery.student = new mongoose.Types.ObjectId(req.query.studentId);
+        // Own stats only, the requested student, or students in the user's scope
+        const studentMatch = await getStudentMatch(req);
+        if (!studentMatch) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view statistics for this student'
+            });
         }
+        Object.assign(matchQuery, studentMatch);
 
         // Aggregate by Age Group
         const ageGroupStats = await ClinicalCase.aggregate([
-            { $match: matchQuery },
+            { $match: ClinicalCase.excludeDrafts(matchQuery) },
             {
                 $group: {
                     _id: '$patientInfo.ageGroup',
@@ -46,7 +55,7 @@ exports.getWeeklyStatistics = async (req, res) => {
 
         // Aggregate by Test Type
         const testTypeStats = await ClinicalCase.aggregate([
-            { $match: matchQuery },
+            { $match: ClinicalCase.excludeDrafts(matchQuery) },
             { $unwind: '$testsPerformed' },
             {
                 $group: {
@@ -63,7 +72,7 @@ exports.getWeeklyStatistics = async (req, res) => {
 
         // Daily case distribution
         const dailyStats = await ClinicalCase.aggregate([
-            { $match: matchQuery },
+            { $match: ClinicalCase.excludeDrafts(matchQuery) },
             {
                 $group: {
                     _id: { $dateToString: { format: '%Y-%m-%d', date: '$sessionDate' } },
@@ -75,12 +84,16 @@ exports.getWeeklyStatistics = async (req, res) => {
 
         // Overall summary
         const overallSummary = await ClinicalCase.aggregate([
-            { $match: matchQuery },
+            { $match: ClinicalCase.excludeDrafts(matchQuery) },
             {
                 $group: {
                     _id: null,
                     totalCases: { $sum: 1 },
-                    totalPatients: { $addToSet: '$patientInfo.initials' },
+                    // Registry patients, so follow-up visits count once
+                    patients: { $addToSet: '$patient' },
+                    unlinkedCases: {
+                        $sum: { $cond: [{ $ifNull: ['$patient', false] }, 0, 1] }
+                    },
                     approvedCases: {
                         $sum: { $cond: [{ $eq: ['$supervisorApproval.status', 'Approved'] }, 1, 0] }
                     },
@@ -94,7 +107,9 @@ exports.getWeeklyStatistics = async (req, res) => {
                 $project: {
                     _id: 0,
                     totalCases: 1,
-                    uniquePatients: { $size: '$totalPatients' },
+                    // Cases not linked to the registry can't be matched up, so each counts as one patient
+                    uniquePatients: { $add: [{ $size: { $setDifference: ['$patients', [null]] } }, '$unlinkedCases'] },
+                    unlinkedCases: 1,
                     approvedCases: 1,
                     pendingCases: 1,
                     avgSessionDuration: { $round: ['$avgSessionDuration', 1] }
@@ -112,6 +127,7 @@ exports.getWeeklyStatistics = async (req, res) => {
                 summary: overallSummary[0] || {
                     totalCases: 0,
                     uniquePatients: 0,
+                    unlinkedCases: 0,
                     approvedCases: 0,
                     pendingCases: 0,
                     avgSessionDuration: 0
@@ -136,15 +152,23 @@ exports.getWeeklyStatistics = async (req, res) => {
 // @access  Private
 exports.getDashboardStats = async (req, res) => {
     try {
-        const studentId = req.user.role === 'Student' ? req.user.id : req.query.studentId;
+        const canReadAll = hasPermission(req, 'statistics:read');
+        const studentId = canReadAll ? req.query.studentId : req.user.id;
 
-        if (!studentId && req.user.role !== 'Admin') {
+        if (!studentId && !canReadAll) {
             return res.status(400).json({
                 success: false,
                 message: 'Student ID is required'
             });
         }
 
+        if (studentId && !(await canAccessStudent(req, studentId, 'statistics:read'))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view statistics for this student'
+            });
+        }
+
         // Get current month dates
         const now = new Date();
         const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
@@ -165,7 +189,7 @@ exports.getDashboardStats = async (req, res) => {
 
             // Clinical case stats
             const caseStats = await ClinicalCase.aggregate([
-                { $match: { student: studentObjectId } },
+                { $match: ClinicalCase.excludeDrafts({ student: studentObjectId }) },
                 {
                     $facet: {
                         total: [{ $count: 'count' }],
@@ -185,9 +209,15 @@ exports.getDashboardStats = async (req, res) => {
                 }
             ]);
 
+            // Unsubmitted cases the student is still writing up
+            const draftCount = await ClinicalCase.countDocuments({
+                student: studentObjectId,
+                'supervisorApproval.status': 'Draft'
+            });
+
             // Test type distribution for the student
             const testDistribution = await ClinicalCase.aggregate([
-                { $match: { student: studentObjectId } },
+                { $match: ClinicalCase.excludeDrafts({ student: studentObjectId }) },
                 { $unwind: '$testsPerformed' },
                 {
                     $group: {
@@ -206,24 +236,35 @@ exports.getDashboardStats = async (req, res) => {
                 now.getMonth() + 1
             );
 
+            // Progress toward this semester's competency requirements
+            const student = await User.findById(studentId).select('role semester batch');
+            const requirements = student && await isStudentRole(req, student.role) ? await competency.getStudentProgress(student) : null;
+
             stats = {
                 clinicalCases: {
                     total: caseStats[0]?.total[0]?.count || 0,
                     thisMonth: caseStats[0]?.thisMonth[0]?.count || 0,
                     thisWeek: caseStats[0]?.thisWeek[0]?.count || 0,
-                    pending: caseStats[0]?.pending[0]?.count || 0
+                    pending: caseStats[0]?.pending[0]?.count || 0,
+                    drafts: draftCount
                 },
                 testDistribution,
                 attendance: {
                     daysThisMonth: attendanceStats.totalDays,
                     hoursThisMonth: Math.round(attendanceStats.totalHours * 100) / 100
-                }
+                },
+                requirements,
+                clockHours: await clockHours.getBreakdown(studentObjectId)
             };
         }
 
-        // Admin/Supervisor global stats
-        if (['Admin', 'Supervisor'].includes(req.user.role)) {
+        // Case discussion comments this user hasn't read yet
+        stats.unreadComments = await CaseComment.countUnread(req.user._id, await studentFilter(req, 'cases:read'));
+
+        // Clinic-wide stats for users who can read everyone's statistics
+        if (canReadAll) {
             const globalStats = await ClinicalCase.aggregate([
+                { $match: ClinicalCase.excludeDrafts(await studentFilter(req, 'statistics:read')) },
                 {
                     $facet: {
                         pendingReviews: [
@@ -280,15 +321,18 @@ exports.getMonthlyReport = async (req, res) => {
             sessionDate: { $gte: startDate, $lte: endDate }
         };
 
-        if (req.user.role === 'Student') {
-            matchQuery.student = new mongoose.Types.ObjectId(req.user.id);
-        } else if (req.query.studentId) {
-            matchQuery.student = new mongoose.Types.ObjectId(req.query.studentId);
+        const studentMatch = await getStudentMatch(req);
+        if (!studentMatch) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view statistics for this student'
+            });
         }
+        Object.assign(matchQuery, studentMatch);
 
         // Comprehensive monthly statistics
         const monthlyStats = await ClinicalCase.aggregate([
-            { $match: matchQuery },
+            { $match: ClinicalCase.excludeDrafts(matchQuery) },
             {
                 $facet: {
                     byAgeGroup: [
@@ -357,3 +401,139 @@ exports.getMonthlyReport = async (req, res) => {
         });
     }
 };
+
+// @desc    Get a student's clinical clock hours by category, direct and observation
+// @route   GET /api/statistics/clock-hours
+// @access  Private
+exports.getClockHours = async (req, res) => {
+    try {
+        const studentId = hasPermission(req, 'statistics:read') ? req.query.studentId : req.user.id;
+
+        if (!studentId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Student ID is required'
+            });
+        }
+
+        if (!(await canAccessStudent(req, studentId, 'statistics:read'))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view statistics for this student'
+            });
+        }
+
+        const student = await User.findById(studentId).select('name role completedHours totalAllottedHours');
+
+        if (!student || !(await isStudentRole(req, student.role))) {
+            return res.status(404).json({
+                success: false,
+                message: 'Student not found'
+            });
+        }
+
+        const breakdown = await clockHours.getBreakdown(student._id, {
+            startDate: req.query.startDate,
+            endDate: req.query.endDate
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                student: { _id: student._id, name: student.name },
+                ...breakdown,
+                // Total time checked in, from attendance
+                attendance: {
+                    completedHours: student.completedHours,
+                    totalAllottedHours: student.totalAllottedHours
+                }
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error generating clock hours',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Get the clock hour categories and their targets
+// @route   GET /api/statistics/clock-hours/categories
+// @access  Private
+exports.getClockHourCategories = async (req, res) => {
+    try {
+        const categories = await clockHours.getCategories();
+        const mapped = categories.flatMap(category => category.testTypes);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                categories,
+                unmappedTestTypes: ClinicalCase.getTestTypes().filter(testType => !mapped.includes(testType))
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching clock hour categories',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Set the clock hour categories, the test types counted in each and their targets
+// @route   PUT /api/statistics/clock-hours/categories
+// @access  Private (settings:manage)
+exports.updateClockHourCategories = async (req, res) => {
+    try {
+        const categories = req.body.categories.map(category => ({
+            name: category.name,
+            testTypes: [...new Set(category.testTypes)],
+            targetHours: category.targetHours ?? null
+        }));
+
+        const names = categories.map(category => category.name.toLowerCase());
+        if (new Set(names).size !== names.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'Category names must be unique'
+            });
+        }
+
+        const testTypes = categories.flatMap(category => category.testTypes);
+        const repeated = testTypes.filter((testType, index) => testTypes.indexOf(testType) !== index);
+        if (repeated.length) {
+            return res.status(400).json({
+                success: false,
+                message: `A test type can only count toward one category: ${[...new Set(repeated)].join(', ')}`
+            });
+        }
+
+        await clockHours.setCategories(categories, req.user._id);
+
+        res.status(200).json({
+            success: true,
+            data: { categories }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error updating clock hour categories',
+            error: error.message
+        });
+    }
+};
+
+// Helper function to limit statistics to the requested student or the user's scope.
+// Returns null when the requested student is outside the scope.
+const getStudentMatch = async (req) => {
+    if (req.query.studentId && hasPermission(req, 'statistics:read')) {
+        if (!(await canAccessStudent(req, req.query.studentId, 'statistics:read'))) {
+            return null;
+        }
+        return { student: new mongoose.Types.ObjectId(req.query.studentId) };
+    }
+
+    return studentFilter(req, 'statistics:read');
+};
@@ -1,11 +1,25 @@
 const User = require('../models/User.model');
+const Session = require('../models/Session.model');
+const SecurityEvent = require('../models/SecurityEvent.model');
+const Role = require('../models/Role.model');
+const { SUPERVISOR_PERMISSIONS } = require('../config/permissions');
+const { getStudentRoles, studentFilter, canAccessStudent } = require('../utils/studentScope');
+const pick = require('../utils/pick');
+const { sendValidationError } = require('../utils/validationError');
+
+// Fields an admin can set on an account (passwords only on creation)
+const USER_FIELDS = [
+    'name', 'email', 'phone', 'role', 'batch', 'semester', 'registrationNumber',
+    'supervisor', 'isActive', 'totalAllottedHours', 'completedHours'
+];
 
 // @desc    Get all users
 // @route   GET /api/users
 // @access  Private (Admin, Supervisor)
 exports.getUsers = async (req, res) => {
     try {
-        let query = User.find();
+        // Everyone, or only the students in the user's scope
+        let query = User.find(await studentFilter(req, 'users:read', '_id'));
 
         // Filter by role
         if (req.query.role) {
@@ -63,6 +77,13 @@ exports.getUsers = async (req, res) => {
 // @access  Private
 exports.getUser = async (req, res) => {
     try {
+        if (!(await canAccessStudent(req, req.params.id, 'users:read'))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this user'
+            });
+        }
+
         const user = await User.findById(req.params.id)
             .populate('supervisor', 'name email');
 
@@ -91,13 +112,15 @@ exports.getUser = async (req, res) => {
 // @access  Private (Admin)
 exports.createUser = async (req, res) => {
     try {
-        const user = await User.create(req.body);
+        const user = await User.create(pick(req.body, [...USER_FIELDS, 'password']));
 
         res.status(201).json({
             success: true,
             data: user
         });
     } catch (error) {
+        if (sendValidationError(res, error)) return;
+
         res.status(500).json({
             success: false,
             message: 'Error creating user',
@@ -111,10 +134,8 @@ exports.createUser = async (req, res) => {
 // @access  Private (Admin)
 exports.updateUser = async (req, res) => {
     try {
-        // Don't allow password update through this route
-        delete req.body.password;
-
-        const user = await User.findByIdAndUpdate(req.params.id, req.body, {
+        // Passwords are never updated through this route
+        const user = await User.findByIdAndUpdate(req.params.id, pick(req.body, USER_FIELDS), {
             new: true,
             runValidators: true
         });
@@ -126,11 +147,17 @@ exports.updateUser = async (req, res) => {
             });
         }
 
+        if (!user.isActive) {
+            await Session.revokeAllForUser(user._id, 'Deactivated');
+        }
+
         res.status(200).json({
             success: true,
             data: user
         });
     } catch (error) {
+        if (sendValidationError(res, error)) return;
+
         res.status(500).json({
             success: false,
             message: 'Error updating user',
@@ -157,6 +184,8 @@ exports.deleteUser = async (req, res) => {
         user.isActive = false;
         await user.save();
 
+        await Session.revokeAllForUser(user._id, 'Deactivated');
+
         res.status(200).json({
             success: true,
             message: 'User deactivated',
@@ -178,7 +207,7 @@ exports.getMyStudents = async (req, res) => {
     try {
         const students = await User.find({
             supervisor: req.user.id,
-            role: 'Student',
+            role: { $in: await getStudentRoles(req) },
             isActive: true
         }).sort({ name: 1 });
 
@@ -203,8 +232,11 @@ exports.assignSupervisor = async (req, res) => {
     try {
         const { supervisorId } = req.body;
 
-        // Verify supervisor exists and has the correct role
-        const supervisor = await User.findOne({ _id: supervisorId, role: 'Supervisor' });
+        // Verify supervisor exists and their role can supervise students
+        const supervisor = await User.findOne({
+            _id: supervisorId,
+            role: { $in: await Role.namesWithPermissions(SUPERVISOR_PERMISSIONS) }
+        });
         if (!supervisor) {
             return res.status(404).json({
                 success: false,
@@ -245,6 +277,13 @@ exports.updateHours = async (req, res) => {
     try {
         const { totalAllottedHours, completedHours } = req.body;
 
+        if (!(await canAccessStudent(req, req.params.id, 'users:hours'))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to update hours for this student'
+            });
+        }
+
         const updateData = {};
         if (totalAllottedHours !== undefined) updateData.totalAllottedHours = totalAllottedHours;
         if (completedHours !== undefined) updateData.completedHours = completedHours;
@@ -275,6 +314,85 @@ exports.updateHours = async (req, res) => {
     }
 };
 
+// @desc    Unlock an account locked by failed logins
+// @route   PUT /api/users/:id/unlock
+// @access  Private (Admin)
+exports.unlockUser = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const previousAttempts = user.failedLoginAttempts;
+
+        user.resetLoginAttempts();
+        await user.save({ validateBeforeSave: false });
+
+        await SecurityEvent.record('Account Unlocked', req, {
+            user: user._id,
+            email: user.email,
+            performedBy: req.user._id,
+            details: { failedAttempts: previousAttempts }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Account unlocked',
+            data: user
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error unlocking account',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Reset a user's 2FA (e.g. lost phone and recovery codes)
+// @route   PUT /api/users/:id/reset-2fa
+// @access  Private (Admin)
+exports.resetTwoFactor = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        user.twoFactor.enabled = false;
+        user.twoFactor.secret = undefined;
+        user.twoFactor.pendingSecret = undefined;
+        user.twoFactor.recoveryCodes = undefined;
+        user.twoFactor.lastUsedStep = undefined;
+        user.twoFactor.enabledAt = undefined;
+        await user.save({ validateBeforeSave: false });
+
+        // Anyone holding a session from the old second factor has to log in again
+        await Session.revokeAllForUser(user._id, 'Revoked By Admin');
+
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication reset',
+            data: user
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error resetting two-factor authentication',
+            error: error.message
+        });
+    }
+};
+
 // @desc    Update own profile
 // @route   PUT /api/users/profile
 // @access  Private
@@ -359,6 +477,9 @@ exports.changePassword = async (req, res) => {
         user.password = newPassword;
         await user.save();
 
+        // Keep this device signed in but end every other session
+        await Session.revokeAllForUser(user._id, 'Password Changed', req.authSession._id);
+
         res.status(200).json({
             success: true,
             message: 'Password changed successfully'
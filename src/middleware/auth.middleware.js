@@ -1,5 +1,13 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User.model');
+const Session = require('../models/Session.model');
+const Role = require('../models/Role.model');
+const Impersonation = require('../models/Impersonation.model');
+const AuditLog = require('../models/AuditLog.model');
+const { hasPermission } = require('../config/permissions');
+
+// Methods that only read data and stay allowed while impersonating
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
 
 // Protect routes - verify JWT token
 exports.protect = async (req, res, next) => {
@@ -20,6 +28,27 @@ exports.protect = async (req, res, next) => {
         // Verify token
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+        // Make sure the session behind the token has not been revoked.
+        // Impersonation tokens run on the admin's own session.
+        const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+        const sessionOwner = decoded.imp ? decoded.act : decoded.id;
+
+        if (!session || !session.isActive || session.user.toString() !== sessionOwner) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session has expired or been revoked. Please log in again.'
+            });
+        }
+
+        req.authSession = session;
+
+        if (decoded.imp && !(await loadImpersonation(req, decoded))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Impersonation has ended. Please return to your own account.'
+            });
+        }
+
         // Get user from token
         req.user = await User.findById(decoded.id);
 
@@ -37,6 +66,12 @@ exports.protect = async (req, res, next) => {
             });
         }
 
+        req.permissions = await Role.getPermissions(req.user.role);
+
+        if (req.impersonation) {
+            return guardImpersonation(req, res, next);
+        }
+
         next();
     } catch (err) {
         return res.status(401).json({
@@ -46,10 +81,66 @@ exports.protect = async (req, res, next) => {
     }
 };
 
-// Grant access to specific roles
-exports.authorize = (...roles) => {
+// Let a state-changing route run under an impersonation token (placed before `protect`)
+exports.allowWhileImpersonating = (req, res, next) => {
+    req.allowWhileImpersonating = true;
+    next();
+};
+
+// Refuse a read-only route under an impersonation token, e.g. logout,
+// which would otherwise end the admin's own session
+exports.denyWhileImpersonating = (req, res, next) => {
+    if (req.impersonation) {
+        return res.status(403).json({
+            success: false,
+            message: 'This action is not allowed while viewing as another user'
+        });
+    }
+    next();
+};
+
+// Accept either a normal access token or a 2FA enrolment challenge token in the body.
+// Used by the enrolment routes so users whose role requires 2FA can finish logging in.
+exports.protectOrChallenge = async (req, res, next) => {
+    const { challengeToken } = req.body;
+
+    if (!challengeToken) {
+        return exports.protect(req, res, next);
+    }
+
+    try {
+        const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+
+        if (decoded.purpose !== '2fa-setup') {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid challenge token'
+            });
+        }
+
+        req.user = await User.findById(decoded.id);
+
+        if (!req.user || !req.user.isActive) {
+            return res.status(401).json({
+                success: false,
+                message: 'Not authorized to access this route'
+            });
+        }
+
+        req.twoFactorChallenge = true;
+        next();
+    } catch (err) {
+        return res.status(401).json({
+            success: false,
+            message: 'Challenge has expired. Please log in again.'
+        });
+    }
+};
+
+// Grant access to users whose role holds any of the given permissions
+exports.authorizePermission = (...permissions) => {
     return (req, res, next) => {
-        if (!roles.includes(req.user.role)) {
+        if (!permissions.some(permission => hasPermission(req, permission))) {
             return res.status(403).json({
                 success: false,
                 message: `User role '${req.user.role}' is not authorized to access this route`
@@ -59,8 +150,8 @@ exports.authorize = (...roles) => {
     };
 };
 
-// Check if user owns the resource or is admin/supervisor
-exports.checkOwnership = (model, paramName = 'id') => {
+// Check if user owns the resource or holds the permission to access everyone's
+exports.checkOwnership = (model, permission, paramName = 'id') => {
     return async (req, res, next) => {
         try {
             const resource = await model.findById(req.params[paramName]);
@@ -72,12 +163,11 @@ exports.checkOwnership = (model, paramName = 'id') => {
                 });
             }
 
-            // Check if user owns the resource or is admin/supervisor
+            // Check if user owns the resource or holds the permission
             const isOwner = resource.student?.toString() === req.user._id.toString() ||
                 resource.createdBy?.toString() === req.user._id.toString();
-            const isAdminOrSupervisor = ['Admin', 'Supervisor'].includes(req.user.role);
 
-            if (!isOwner && !isAdminOrSupervisor) {
+            if (!isOwner && !hasPermission(req, permission)) {
                 return res.status(403).json({
                     success: false,
                     message: 'Not authorized to access this resource'
@@ -94,3 +184,44 @@ exports.checkOwnership = (model, paramName = 'id') => {
         }
     };
 };
+
+// Check the impersonation behind a token is still running and its admin may still impersonate
+const loadImpersonation = async (req, decoded) => {
+    const impersonation = await Impersonation.findById(decoded.imp);
+
+    if (!impersonation || !impersonation.isActive ||
+        impersonation.admin.toString() !== decoded.act ||
+        impersonation.user.toString() !== decoded.id) {
+        return false;
+    }
+
+    const impersonator = await User.findById(decoded.act);
+
+    if (!impersonator || !impersonator.isActive ||
+        !(await Role.getPermissions(impersonator.role)).includes('users:impersonate')) {
+        return false;
+    }
+
+    req.impersonation = impersonation;
+    req.impersonator = impersonator;
+    return true;
+};
+
+// Mark the response, log the request once it completes and block anything that changes data
+const guardImpersonation = (req, res, next) => {
+    res.set('X-Impersonated-By', req.impersonator._id.toString());
+
+    res.on('finish', () => {
+        AuditLog.recordImpersonatedRequest(req, res.statusCode)
+            .catch(err => console.error('Audit log error:', err.message));
+    });
+
+    if (!SAFE_METHODS.includes(req.method) && !req.allowWhileImpersonating) {
+        return res.status(403).json({
+            success: false,
+            message: 'This action is not allowed while viewing as another user'
+        });
+    }
+
+    next();
+};
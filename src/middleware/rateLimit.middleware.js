@@ -0,0 +1,27 @@
+const { rateLimit } = require('express-rate-limit');
+const SecurityEvent = require('../models/SecurityEvent.model');
+
+// Per-IP throttling for the public authentication endpoints
+exports.authLimiter = rateLimit({
+    windowMs: (parseInt(process.env.AUTH_RATE_LIMIT_WINDOW_MINUTES, 10) || 15) * 60 * 1000,
+    limit: parseInt(process.env.AUTH_RATE_LIMIT_MAX, 10) || 20,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    handler: async (req, res, next, options) => {
+        // Only record the first rejected request in each window
+        if (req.rateLimit.used === req.rateLimit.limit + 1) {
+            try {
+                await SecurityEvent.record('IP Throttled', req, {
+                    email: req.body?.email
+                });
+            } catch (err) {
+                console.error('Security event error:', err);
+            }
+        }
+
+        res.status(options.statusCode).json({
+            success: false,
+            message: 'Too many requests from this IP. Please try again later.'
+        });
+    }
+});
@@ -0,0 +1,12 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+// Keep the current request available to code that has no access to `req`
+// (e.g. model middleware writing the audit log)
+exports.requestContext = (req, res, next) => {
+    storage.run({ req }, next);
+};
+
+// Get the request being handled, or undefined outside a request (scripts, startup)
+exports.getCurrentRequest = () => storage.getStore()?.req;
@@ -0,0 +1,68 @@
+const multer = require('multer');
+const CaseAttachment = require('../models/CaseAttachment.model');
+
+const MAX_FILE_SIZE_MB = parseInt(process.env.ATTACHMENT_MAX_SIZE_MB, 10) || 10;
+const MAX_FILES = 5;
+
+// Leading bytes of each accepted file type, so a renamed file can't pass as another
+const SIGNATURES = {
+    'application/pdf': Buffer.from('%PDF-'),
+    'image/png': Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    'image/jpeg': Buffer.from([0xff, 0xd8, 0xff])
+};
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_FILE_SIZE_MB * 1024 * 1024, files: MAX_FILES },
+    fileFilter: (req, file, cb) => {
+        if (!CaseAttachment.getAllowedTypes()[file.mimetype]) {
+            return cb(new UnsupportedTypeError(file.originalname));
+        }
+        cb(null, true);
+    }
+});
+
+class UnsupportedTypeError extends Error {
+    constructor(fileName) {
+        super(`${fileName} is not a PDF, PNG or JPEG file`);
+        this.statusCode = 415;
+    }
+}
+
+// Accept up to MAX_FILES files in the `files` field of a multipart form,
+// kept in memory, then check each one really is the type it claims to be
+exports.uploadAttachments = (req, res, next) => {
+    upload.array('files', MAX_FILES)(req, res, (err) => {
+        if (err) {
+            let statusCode = err.statusCode || 400;
+            let message = err.message;
+
+            if (err.code === 'LIMIT_FILE_SIZE') {
+                statusCode = 413;
+                message = `Files cannot be larger than ${MAX_FILE_SIZE_MB} MB`;
+            } else if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+                message = `Upload up to ${MAX_FILES} files in the 'files' field`;
+            }
+
+            return res.status(statusCode).json({ success: false, message });
+        }
+
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No files were uploaded'
+            });
+        }
+
+        const mismatch = req.files.find(file => !file.buffer.subarray(0, SIGNATURES[file.mimetype].length)
+            .equals(SIGNATURES[file.mimetype]));
+        if (mismatch) {
+            return res.status(415).json({
+                success: false,
+                message: `${mismatch.originalname} does not match its declared type (${mismatch.mimetype})`
+            });
+        }
+
+        next();
+    });
+};
@@ -0,0 +1,63 @@
+const { checkSchema, validationResult, matchedData } = require('express-validator');
+
+// Validate a request against an express-validator schema and reply 422 with
+// every field error. The body and query are replaced by only the fields the
+// schema declares - nested objects included - so anything else a client sends
+// never reaches a controller.
+exports.validate = (schema) => {
+    const chains = checkSchema(schema, ['body']);
+    const bodyFields = declaredPaths(schema, 'body');
+    const queryFields = declaredPaths(schema, 'query');
+
+    return [
+        ...chains,
+        (req, res, next) => {
+            const result = validationResult(req);
+
+            if (!result.isEmpty()) {
+                return res.status(422).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: result.array({ onlyFirstError: true }).map(err => ({
+                        field: err.path,
+                        location: err.location,
+                        message: err.msg
+                    }))
+                });
+            }
+
+            req.body = strip(matchedData(req, { locations: ['body'], includeOptionals: false }), bodyFields);
+            req.query = strip(matchedData(req, { locations: ['query'], includeOptionals: false }), queryFields);
+            next();
+        }
+    ];
+};
+
+// List the schema's field paths for a location, split into segments
+const declaredPaths = (schema, location) => Object.entries(schema)
+    .filter(([, rules]) => [].concat(rules.in || 'body').includes(location))
+    .map(([field]) => field.split('.'));
+
+// Drop every key of a nested object or array item that no declared path
+// reaches. A declared field with no declared subfields is kept whole.
+const strip = (value, paths, depth = 0) => {
+    const deeper = paths.filter(path => path.length > depth);
+
+    if (!deeper.length || value === null || typeof value !== 'object') {
+        return value;
+    }
+
+    const reaching = (key) => deeper.filter(path => path[depth] === '*' || path[depth] === String(key));
+
+    if (Array.isArray(value)) {
+        return value.map((item, index) => strip(item, reaching(index), depth + 1));
+    }
+
+    return Object.keys(value).reduce((kept, key) => {
+        const matching = reaching(key);
+        if (matching.length) {
+            kept[key] = strip(value[key], matching, depth + 1);
+        }
+        return kept;
+    }, {});
+};
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit.plugin');
 
 const AttendanceSchema = new mongoose.Schema({
     student: {
@@ -147,4 +148,7 @@ AttendanceSchema.statics.getMonthlySummary = async function (studentId, year, mo
     return result[0] || { totalDays: 0, totalHours: 0 };
 };
 
+// Record every change in the audit log
+AttendanceSchema.plugin(auditPlugin, { reviewFields: ['verifiedAt'] });
+
 module.exports = mongoose.model('Attendance', AttendanceSchema);
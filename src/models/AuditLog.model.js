@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const AuditLogSchema = new mongoose.Schema({
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    actorRole: {
+        type: String
+    },
+    // Set when an admin made the change while viewing the app as this user
+    impersonatedUser: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    action: {
+        type: String,
+        enum: {
+            values: ['Create', 'Update', 'Delete', 'Review', 'Access'],
+            message: 'Invalid audit action'
+        },
+        required: true
+    },
+    entity: {
+        type: String,
+        required: [true, 'Entity is required']
+    },
+    entityId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: [true, 'Entity ID is required']
+    },
+    changes: [{
+        _id: false,
+        path: String,
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed
+    }],
+    ipAddress: {
+        type: String
+    },
+    userAgent: {
+        type: String
+    },
+    method: {
+        type: String
+    },
+    route: {
+        type: String
+    },
+    statusCode: {
+        type: Number
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+AuditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+AuditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Static method to record a request made while impersonating a user
+AuditLogSchema.statics.recordImpersonatedRequest = function (req, statusCode) {
+    return this.create({
+        actor: req.impersonator._id,
+        actorRole: req.impersonator.role,
+        impersonatedUser: req.user._id,
+        action: 'Access',
+        entity: 'Impersonation',
+        entityId: req.impersonation._id,
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent'],
+        method: req.method,
+        route: req.originalUrl,
+        statusCode
+    });
+};
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit.plugin');
+
+// What an attachment shows, so reviewers can find the right printout
+const ATTACHMENT_CATEGORIES = ['Audiogram', 'Tympanogram', 'ABR', 'OAE', 'ASSR', 'Report', 'Other'];
+
+// File types accepted, with the extension used when storing them
+const ALLOWED_TYPES = {
+    'application/pdf': 'pdf',
+    'image/png': 'png',
+    'image/jpeg': 'jpg'
+};
+
+const CaseAttachmentSchema = new mongoose.Schema({
+    clinicalCase: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ClinicalCase',
+        required: true,
+        index: true
+    },
+    // Owner of the case, kept here so scope filters work without a join
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    category: {
+        type: String,
+        enum: ATTACHMENT_CATEGORIES,
+        default: 'Other'
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+    originalName: {
+        type: String,
+        required: true
+    },
+    mimeType: {
+        type: String,
+        enum: Object.keys(ALLOWED_TYPES),
+        required: true
+    },
+    size: {
+        type: Number, // Bytes
+        required: true
+    },
+    storageKey: {
+        type: String,
+        required: true
+    },
+    // Small preview, only for images
+    thumbnailKey: String
+}, {
+    timestamps: true,
+    toObject: { virtuals: true }
+});
+
+// Virtual for whether a thumbnail can be downloaded
+CaseAttachmentSchema.virtual('hasThumbnail').get(function () {
+    return !!this.thumbnailKey;
+});
+
+// Static method to get attachment category enums
+CaseAttachmentSchema.statics.getCategories = function () {
+    return ATTACHMENT_CATEGORIES;
+};
+
+// Static method to get the accepted MIME types and their file extensions
+CaseAttachmentSchema.statics.getAllowedTypes = function () {
+    return ALLOWED_TYPES;
+};
+
+// Storage keys are internal and never sent to clients
+CaseAttachmentSchema.set('toJSON', {
+    virtuals: true,
+    transform: (doc, ret) => {
+        delete ret.storageKey;
+        delete ret.thumbnailKey;
+        return ret;
+    }
+});
+
+// Record every change in the audit log
+CaseAttachmentSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('CaseAttachment', CaseAttachmentSchema);
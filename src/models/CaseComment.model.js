@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit.plugin');
+
+// Parts of a case a comment can point at
+const ANCHOR_SECTIONS = [
+    'general',
+    'patientInfo',
+    'testsPerformed',
+    'audiogramData',
+    'findings',
+    'recommendations'
+];
+
+const CaseCommentSchema = new mongoose.Schema({
+    clinicalCase: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ClinicalCase',
+        required: [true, 'Clinical case ID is required']
+    },
+    // Copied from the case so unread counts can be scoped without a lookup
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Author is required']
+    },
+    // Replies point at the first comment of their thread
+    parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CaseComment',
+        default: null
+    },
+    body: {
+        type: String,
+        required: [true, 'Comment cannot be empty'],
+        trim: true,
+        maxlength: [2000, 'Comment cannot exceed 2000 characters']
+    },
+    anchor: {
+        section: {
+            type: String,
+            enum: {
+                values: ANCHOR_SECTIONS,
+                message: 'Invalid case section'
+            },
+            default: 'general'
+        },
+        // A particular entry of testsPerformed
+        testId: {
+            type: mongoose.Schema.Types.ObjectId
+        },
+        ear: {
+            type: String,
+            enum: ['rightEar', 'leftEar']
+        }
+    },
+    // Set when the comment came with a change of review status
+    reviewStatus: {
+        type: String
+    },
+    // Resolution applies to whole threads and is kept on the first comment
+    resolved: {
+        type: Boolean,
+        default: false
+    },
+    resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    resolvedAt: {
+        type: Date
+    },
+    editedAt: {
+        type: Date
+    },
+    readBy: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }]
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes
+CaseCommentSchema.index({ clinicalCase: 1, createdAt: 1 });
+CaseCommentSchema.index({ student: 1, readBy: 1 });
+
+// Static method to get anchor section enums
+CaseCommentSchema.statics.getAnchorSections = function () {
+    return ANCHOR_SECTIONS;
+};
+
+// Static method to count comments a user has not read, within a filter on `student`
+CaseCommentSchema.statics.countUnread = function (userId, scope = {}) {
+    return this.countDocuments({
+        ...scope,
+        author: { $ne: userId },
+        readBy: { $ne: userId }
+    });
+};
+
+// Static method to count unread comments per case, for a set of cases
+CaseCommentSchema.statics.countUnreadByCase = async function (userId, caseIds) {
+    const counts = await this.aggregate([
+        {
+            $match: {
+                clinicalCase: { $in: caseIds },
+                author: { $ne: userId },
+                readBy: { $ne: userId }
+            }
+        },
+        { $group: { _id: '$clinicalCase', count: { $sum: 1 } } }
+    ]);
+
+    return counts.reduce((acc, item) => {
+        acc[item._id.toString()] = item.count;
+        return acc;
+    }, {});
+};
+
+// Static method to add the reviewer's remarks to the case discussion
+CaseCommentSchema.statics.recordReview = function (clinicalCases, reviewer, status, remarks) {
+    if (!remarks) return Promise.resolve([]);
+
+    return this.insertMany([].concat(clinicalCases).map(clinicalCase => ({
+        clinicalCase: clinicalCase._id,
+        student: clinicalCase.student,
+        author: reviewer._id,
+        body: remarks,
+        reviewStatus: status,
+        readBy: [reviewer._id]
+    })));
+};
+
+// Record every change in the audit log. Reading a comment is not a change.
+CaseCommentSchema.plugin(auditPlugin, { ignoreFields: ['readBy'] });
+
+module.exports = mongoose.model('CaseComment', CaseCommentSchema);
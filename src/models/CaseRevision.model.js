@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+const { diff } = require('../utils/diff');
+
+// Times a revision is retried when a concurrent edit took its number
+const RECORD_ATTEMPTS = 5;
+
+const CaseRevisionSchema = new mongoose.Schema({
+    clinicalCase: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ClinicalCase',
+        required: [true, 'Clinical case ID is required']
+    },
+    revision: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    action: {
+        type: String,
+        enum: ['Created', 'Updated', 'Restored'],
+        required: true
+    },
+    // The student-editable fields of the case as saved in this revision
+    snapshot: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    changedFields: [{
+        type: String
+    }],
+    // Approval status of the case when this revision was saved
+    approvalStatus: {
+        type: String
+    },
+    restoredFrom: {
+        type: Number
+    },
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    changedByRole: {
+        type: String
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+    minimize: false
+});
+
+// Indexes
+CaseRevisionSchema.index({ clinicalCase: 1, revision: -1 }, { unique: true });
+
+// Subdocument ids change whenever an array is replaced and mean nothing to a reader
+const stripIds = (value) => {
+    if (Array.isArray(value)) {
+        return value.map(stripIds);
+    }
+
+    if (value && typeof value === 'object' && value.constructor === Object) {
+        return Object.entries(value).reduce((result, [key, item]) => {
+            if (key !== '_id') result[key] = stripIds(item);
+            return result;
+        }, {});
+    }
+
+    return value;
+};
+
+// Static method to build the snapshot stored for a case
+CaseRevisionSchema.statics.buildSnapshot = function (clinicalCase) {
+    const data = clinicalCase.toObject({ depopulate: true, virtuals: false });
+    const fields = clinicalCase.constructor.getEditableFields();
+
+    return fields.reduce((snapshot, field) => {
+        if (data[field] !== undefined) {
+            snapshot[field] = stripIds(data[field]);
+        }
+        return snapshot;
+    }, {});
+};
+
+// Static method to list the fields that changed between two snapshots
+CaseRevisionSchema.statics.diffSnapshots = function (before, after) {
+    return diff(before, after);
+};
+
+// Static method to save a new revision of a case if its content changed.
+// Returns the new revision, or null when nothing changed. When a concurrent
+// edit takes the same revision number, the unique index rejects one of them
+// and it is compared against the new latest revision and tried again.
+CaseRevisionSchema.statics.record = async function (clinicalCase, user, action = 'Updated', restoredFrom) {
+    const snapshot = this.buildSnapshot(clinicalCase);
+
+    for (let attempt = 1; ; attempt++) {
+        const latest = await this.findOne({ clinicalCase: clinicalCase._id }).sort({ revision: -1 });
+        const changedFields = this.diffSnapshots(latest ? latest.snapshot : {}, snapshot).map(change => change.path);
+
+        if (latest && changedFields.length === 0) {
+            return null;
+        }
+
+        try {
+            return await this.create({
+                clinicalCase: clinicalCase._id,
+                revision: latest ? latest.revision + 1 : 1,
+                action: latest ? action : 'Created',
+                snapshot,
+                changedFields,
+                approvalStatus: clinicalCase.supervisorApproval?.status,
+                restoredFrom,
+                changedBy: user?._id,
+                changedByRole: user?.role
+            });
+        } catch (error) {
+            if (error.code !== 11000 || attempt >= RECORD_ATTEMPTS) throw error;
+        }
+    }
+};
+
+// Static method to make sure a case logged before history was kept has a
+// first revision, so the first edit can still be compared with the original
+CaseRevisionSchema.statics.recordBaseline = async function (clinicalCase) {
+    if (await this.exists({ clinicalCase: clinicalCase._id })) {
+        return;
+    }
+
+    try {
+        await this.create({
+            clinicalCase: clinicalCase._id,
+            revision: 1,
+            action: 'Created',
+            snapshot: this.buildSnapshot(clinicalCase),
+            changedFields: [],
+            approvalStatus: clinicalCase.supervisorApproval?.status,
+            changedBy: clinicalCase.student,
+            changedByRole: 'Student',
+            createdAt: clinicalCase.createdAt
+        });
+    } catch (error) {
+        // A concurrent edit recorded the baseline first
+        if (error.code !== 11000) throw error;
+    }
+};
+
+module.exports = mongoose.model('CaseRevision', CaseRevisionSchema);
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const ClinicalCase = require('./ClinicalCase.model');
+const auditPlugin = require('./plugins/audit.plugin');
+
+// Fields a template can make mandatory on top of the usual submission checks
+const REQUIRABLE_FIELDS = {
+    'patient': 'Patient registry ID',
+    'patientInfo.referralSource': 'Referral source',
+    'findings.additionalFindings': 'Additional findings',
+    'recommendations': 'Recommendations',
+    'sessionDuration': 'Session duration'
+};
+
+const CaseTemplateSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Template name is required'],
+        unique: true,
+        trim: true,
+        maxlength: [100, 'Template name cannot exceed 100 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+    // Age groups the battery is meant for; empty means any
+    ageGroups: [{
+        type: String,
+        enum: {
+            values: ClinicalCase.getAgeGroups(),
+            message: 'Invalid patient age group'
+        }
+    }],
+    // The battery: every one of these tests must be in a case submitted from the template
+    tests: {
+        type: [{
+            _id: false,
+            testType: {
+                type: String,
+                enum: {
+                    values: ClinicalCase.getTestTypes(),
+                    message: 'Invalid test type'
+                },
+                required: true
+            },
+            duration: {
+                type: Number, // Expected duration in minutes
+                min: [0, 'Duration cannot be negative']
+            },
+            notes: String
+        }],
+        validate: {
+            validator: (tests) => tests.length > 0,
+            message: 'A template needs at least one test'
+        }
+    },
+    requiredFields: [{
+        type: String,
+        enum: {
+            values: Object.keys(REQUIRABLE_FIELDS),
+            message: '{VALUE} cannot be made required'
+        }
+    }],
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Static method to get the fields a template can make required
+CaseTemplateSchema.statics.getRequirableFields = function () {
+    return REQUIRABLE_FIELDS;
+};
+
+// Method to build the testsPerformed a new case starts with
+CaseTemplateSchema.methods.buildTests = function () {
+    return this.tests.map(test => ({
+        testType: test.testType,
+        duration: test.duration,
+        notes: test.notes,
+        completed: false
+    }));
+};
+
+// Method to list what a case still needs to satisfy this template, as { field, message }
+CaseTemplateSchema.methods.getSubmissionErrors = function (clinicalCase) {
+    const errors = [];
+    const performed = (clinicalCase.testsPerformed || []).map(test => test.testType);
+
+    const missingTests = this.tests.map(test => test.testType).filter(testType => !performed.includes(testType));
+    if (missingTests.length) {
+        errors.push({
+            field: 'testsPerformed',
+            message: `The ${this.name} battery also needs: ${[...new Set(missingTests)].join(', ')}`
+        });
+    }
+
+    this.requiredFields.forEach(field => {
+        const value = clinicalCase.get(field);
+        if (value === undefined || value === null || value === '') {
+            errors.push({ field, message: `${REQUIRABLE_FIELDS[field]} is required for ${this.name} cases` });
+        }
+    });
+
+    return errors;
+};
+
+// Record every change in the audit log
+CaseTemplateSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('CaseTemplate', CaseTemplateSchema);
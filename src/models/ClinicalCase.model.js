@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit.plugin');
+const Counter = require('./Counter.model');
 
 // Enum values for Patient Age Groups
 const PATIENT_AGE_GROUPS = [
@@ -30,6 +32,22 @@ const TEST_TYPES = [
     'Other'          // Other tests
 ];
 
+// How the student took part in a test, for clinical clock hours
+const PARTICIPATION_TYPES = [
+    'Direct',        // Student performed the test
+    'Observation'    // Student observed a clinician performing it
+];
+
+// Free-text fields covered by the search index, with their relevance weights
+const SEARCH_FIELDS = {
+    'findings.hearingLossType.rightEar': 3,
+    'findings.hearingLossType.leftEar': 3,
+    'findings.additionalFindings': 5,
+    'recommendations': 5,
+    'testsPerformed.notes': 2,
+    'patientInfo.referralSource': 1
+};
+
 // Enum values for Hearing Loss Type
 const HEARING_LOSS_TYPES = [
     'Normal',
@@ -51,20 +69,257 @@ const HEARING_LOSS_DEGREES = [
     'Profound (>90 dB)'
 ];
 
+// Case numbers look like SRISH-YYMM-####, numbered per month by a counter
+const CASE_NUMBER_PREFIX = 'SRISH';
+const CASE_NUMBER_PATTERN = /^SRISH-(\d{4})-(\d{4,})$/;
+const CASE_NUMBER_ATTEMPTS = 5;
+
+// YYMM of a date, the month part of a case number
+const monthKey = (date) => date.getFullYear().toString().slice(-2) +
+    (date.getMonth() + 1).toString().padStart(2, '0');
+
+// Enum values for the review workflow (transitions live in services/caseReview.service.js)
+const APPROVAL_STATUSES = ['Draft', 'Pending', 'Revision Required', 'Approved', 'Rejected'];
+
+// Fields a student may set when logging or editing a case. Everything else
+// (case number, owner, supervisor, approval) is set by the server.
+const EDITABLE_FIELDS = [
+    'patient',
+    'patientInfo',
+    'testsPerformed',
+    'audiogramData',
+    'findings',
+    'recommendations',
+    'sessionDate',
+    'sessionDuration'
+];
+
+// Frequencies (Hz) that can be tested, octaves and inter-octaves
+const AUDIOGRAM_FREQUENCIES = {
+    airConduction: [125, 250, 500, 750, 1000, 1500, 2000, 3000, 4000, 6000, 8000],
+    boneConduction: [250, 500, 750, 1000, 1500, 2000, 3000, 4000]
+};
+
+// Frequencies (Hz) a complete pure tone audiogram must have for each ear.
+// Bone conduction is only needed where air conduction shows a loss.
+const PTA_AIR_FREQUENCIES = [250, 500, 1000, 2000, 4000, 8000];
+const PTA_BONE_FREQUENCIES = [500, 1000, 2000, 4000];
+const NORMAL_HEARING_LIMIT = 25;
+
+const EARS = { rightEar: 'right ear', leftEar: 'left ear' };
+
+// Structured results recorded for a test, keyed by the test types they belong to.
+// ABR and BERA are the same test under two names.
+const TEST_RESULT_FIELDS = {
+    immittance: ['Immittance'],
+    oae: ['OAE'],
+    abr: ['ABR', 'BERA'],
+    assr: ['ASSR'],
+    speech: ['Speech']
+};
+
+const TYMPANOGRAM_TYPES = ['A', 'As', 'Ad', 'B', 'C'];
+const REFLEX_PATHWAYS = ['Ipsilateral', 'Contralateral'];
+const REFLEX_FREQUENCIES = [500, 1000, 2000, 4000];
+const OAE_TYPES = ['TEOAE', 'DPOAE'];
+const OAE_RESULTS = ['Pass', 'Refer'];
+const ASSR_FREQUENCIES = [500, 1000, 2000, 4000];
+
+// Build a { rightEar, leftEar } pair of the same result fields
+const perEar = (fields) => {
+    const schema = new mongoose.Schema(fields, { _id: false });
+    return { rightEar: schema, leftEar: schema };
+};
+
+const ImmittanceResultSchema = new mongoose.Schema(perEar({
+    tympanogramType: {
+        type: String,
+        enum: { values: TYMPANOGRAM_TYPES, message: 'Invalid tympanogram type' }
+    },
+    peakPressure: { type: Number, min: -600, max: 400 },       // daPa
+    compliance: { type: Number, min: 0, max: 10 },             // ml
+    earCanalVolume: { type: Number, min: 0, max: 10 },         // ml
+    reflexes: [{
+        _id: false,
+        pathway: { type: String, enum: REFLEX_PATHWAYS, required: true },
+        frequency: { type: Number, enum: REFLEX_FREQUENCIES, required: true },
+        threshold: { type: Number, min: 0, max: 130 },         // dB HL, empty when absent
+        present: { type: Boolean, default: true }
+    }]
+}), { _id: false });
+
+const OAEResultSchema = new mongoose.Schema({
+    type: { type: String, enum: OAE_TYPES },
+    ...perEar({
+        result: {
+            type: String,
+            enum: { values: OAE_RESULTS, message: 'OAE result must be Pass or Refer' }
+        },
+        bands: [{
+            _id: false,
+            frequency: { type: Number, min: 500, max: 8000, required: true },   // Hz
+            snr: { type: Number, min: -30, max: 60, required: true }            // dB
+        }]
+    })
+}, { _id: false });
+
+const ABRResultSchema = new mongoose.Schema(perEar({
+    // Absolute latencies in ms
+    waveI: { type: Number, min: 0, max: 20 },
+    waveIII: { type: Number, min: 0, max: 20 },
+    waveV: { type: Number, min: 0, max: 20 },
+    threshold: { type: Number, min: 0, max: 120 }              // dB nHL
+}), { _id: false });
+
+const ASSRResultSchema = new mongoose.Schema(perEar({
+    thresholds: [{
+        _id: false,
+        frequency: { type: Number, enum: ASSR_FREQUENCIES, required: true },
+        threshold: { type: Number, min: 0, max: 120, required: true }   // dB HL
+    }]
+}), { _id: false });
+
+// Speech audiometry for one ear, used both in Speech test results and in audiogramData
+const SPEECH_FIELDS = {
+    srt: { type: Number, min: -10, max: 120 },                 // Speech reception threshold, dB HL
+    sds: { type: Number, min: 0, max: 100 },                   // Speech discrimination score, %
+    presentationLevel: { type: Number, min: 0, max: 120 },     // dB HL the SDS was measured at
+    masked: { type: Boolean, default: false },
+    maskingLevel: { type: Number, min: 0, max: 120 }           // dB EM in the non-test ear
+};
+
+const SpeechResultSchema = new mongoose.Schema(perEar(SPEECH_FIELDS), { _id: false });
+
+const TestSchema = new mongoose.Schema({
+    testType: {
+        type: String,
+        enum: {
+            values: TEST_TYPES,
+            message: 'Invalid test type'
+        },
+        required: true
+    },
+    completed: {
+        type: Boolean,
+        default: false
+    },
+    duration: {
+        type: Number, // Duration in minutes
+        min: [0, 'Duration cannot be negative']
+    },
+    participation: {
+        type: String,
+        enum: {
+            values: PARTICIPATION_TYPES,
+            message: 'Participation must be Direct or Observation'
+        },
+        default: 'Direct'
+    },
+    notes: String,
+    immittance: ImmittanceResultSchema,
+    oae: OAEResultSchema,
+    abr: ABRResultSchema,
+    assr: ASSRResultSchema,
+    speech: SpeechResultSchema
+});
+
+// Results must match the test they are recorded against
+TestSchema.pre('validate', function (next) {
+    Object.entries(TEST_RESULT_FIELDS).forEach(([field, testTypes]) => {
+        if (this[field] && !testTypes.includes(this.testType)) {
+            this.invalidate(field, `${testTypes.join('/')} results cannot be recorded for a ${this.testType} test`);
+        }
+    });
+    next();
+});
+
+// One threshold on the audiogram. A no-response threshold is the highest
+// level presented (the audiometer limit) with no response from the patient.
+const thresholdSchema = (frequencies) => new mongoose.Schema({
+    frequency: {
+        type: Number,
+        enum: { values: frequencies, message: '{VALUE} Hz is not a tested frequency' },
+        required: true
+    },
+    threshold: { type: Number, min: -10, max: 120, required: true },    // dB HL
+    masked: { type: Boolean, default: false },
+    maskingLevel: {
+        type: Number,                                                  // dB EM in the non-test ear
+        min: 0,
+        max: 120,
+        validate: {
+            validator: function (value) {
+                return value === undefined || value === null || this.masked;
+            },
+            message: 'Masking level can only be recorded for a masked threshold'
+        }
+    },
+    noResponse: { type: Boolean, default: false }
+}, { _id: false });
+
+// Each frequency may only be recorded once per ear and conduction
+const uniqueFrequencies = {
+    validator: (values) => new Set((values || []).map(value => value.frequency)).size === (values || []).length,
+    message: 'Each frequency can only be recorded once'
+};
+
+const EarAudiogramSchema = new mongoose.Schema({
+    airConduction: {
+        type: [thresholdSchema(AUDIOGRAM_FREQUENCIES.airConduction)],
+        validate: uniqueFrequencies
+    },
+    boneConduction: {
+        type: [thresholdSchema(AUDIOGRAM_FREQUENCIES.boneConduction)],
+        validate: uniqueFrequencies
+    },
+    // Uncomfortable loudness levels
+    ucl: {
+        type: [{
+            _id: false,
+            frequency: { type: Number, enum: AUDIOGRAM_FREQUENCIES.airConduction, required: true },
+            level: { type: Number, min: 0, max: 130, required: true }     // dB HL
+        }],
+        validate: uniqueFrequencies
+    },
+    speech: new mongoose.Schema(SPEECH_FIELDS, { _id: false })
+}, { _id: false });
+
+// Drafts can be saved half-filled; everything else needs the basic patient details
+function isSubmitted() {
+    return this.supervisorApproval?.status !== 'Draft';
+}
+
 const ClinicalCaseSchema = new mongoose.Schema({
     student: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
         required: [true, 'Student ID is required']
     },
+    // Student's semester when the case was logged; approved cases count toward
+    // that semester's competency requirements (older cases: scripts/backfillCaseSemesters.js)
+    semester: {
+        type: Number,
+        min: 1,
+        max: 8
+    },
     caseNumber: {
         type: String,
         unique: true
     },
+    // Template the case was started from; its battery and required fields apply on submit
+    template: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CaseTemplate'
+    },
+    // Registry entry linking every visit of the same patient
+    patient: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Patient'
+    },
     patientInfo: {
         initials: {
             type: String,
-            required: [true, 'Patient initials are required'],
+            required: [isSubmitted, 'Patient initials are required'],
             maxlength: [5, 'Initials cannot exceed 5 characters']
         },
         ageGroup: {
@@ -73,83 +328,22 @@ const ClinicalCaseSchema = new mongoose.Schema({
                 values: PATIENT_AGE_GROUPS,
                 message: 'Invalid patient age group'
             },
-            required: [true, 'Patient age group is required']
+            required: [isSubmitted, 'Patient age group is required']
         },
         gender: {
             type: String,
             enum: ['Male', 'Female', 'Other'],
-            required: true
+            required: [isSubmitted, 'Patient gender is required']
         },
         referralSource: {
             type: String,
             trim: true
         }
     },
-    testsPerformed: [{
-        testType: {
-            type: String,
-            enum: {
-                values: TEST_TYPES,
-                message: 'Invalid test type'
-            },
-            required: true
-        },
-        completed: {
-            type: Boolean,
-            default: false
-        },
-        duration: {
-            type: Number, // Duration in minutes
-            min: [0, 'Duration cannot be negative']
-        },
-        notes: String
-    }],
+    testsPerformed: [TestSchema],
     audiogramData: {
-        rightEar: {
-            airConduction: {
-                // Frequency in Hz as key, threshold in dB HL as value
-                125: { type: Number, min: -10, max: 120 },
-                250: { type: Number, min: -10, max: 120 },
-                500: { type: Number, min: -10, max: 120 },
-                1000: { type: Number, min: -10, max: 120 },
-                2000: { type: Number, min: -10, max: 120 },
-                4000: { type: Number, min: -10, max: 120 },
-                8000: { type: Number, min: -10, max: 120 }
-            },
-            boneConduction: {
-                250: { type: Number, min: -10, max: 120 },
-                500: { type: Number, min: -10, max: 120 },
-                1000: { type: Number, min: -10, max: 120 },
-                2000: { type: Number, min: -10, max: 120 },
-                4000: { type: Number, min: -10, max: 120 }
-            },
-            masking: {
-                type: Boolean,
-                default: false
-            }
-        },
-        leftEar: {
-            airConduction: {
-                125: { type: Number, min: -10, max: 120 },
-                250: { type: Number, min: -10, max: 120 },
-                500: { type: Number, min: -10, max: 120 },
-                1000: { type: Number, min: -10, max: 120 },
-                2000: { type: Number, min: -10, max: 120 },
-                4000: { type: Number, min: -10, max: 120 },
-                8000: { type: Number, min: -10, max: 120 }
-            },
-            boneConduction: {
-                250: { type: Number, min: -10, max: 120 },
-                500: { type: Number, min: -10, max: 120 },
-                1000: { type: Number, min: -10, max: 120 },
-                2000: { type: Number, min: -10, max: 120 },
-                4000: { type: Number, min: -10, max: 120 }
-            },
-            masking: {
-                type: Boolean,
-                default: false
-            }
-        }
+        rightEar: EarAudiogramSchema,
+        leftEar: EarAudiogramSchema
     },
     findings: {
         hearingLossType: {
@@ -188,12 +382,31 @@ const ClinicalCaseSchema = new mongoose.Schema({
     supervisorApproval: {
         status: {
             type: String,
-            enum: ['Pending', 'Approved', 'Rejected', 'Revision Required'],
+            enum: APPROVAL_STATUSES,
             default: 'Pending'
         },
         reviewedAt: Date,
         comments: String
     },
+    // Every change of approval status, oldest first
+    statusHistory: [{
+        _id: false,
+        from: String,
+        to: {
+            type: String,
+            enum: APPROVAL_STATUSES
+        },
+        actor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        actorRole: String,
+        comment: String,
+        at: {
+            type: Date,
+            default: Date.now
+        }
+    }],
     sessionDate: {
         type: Date,
         required: [true, 'Session date is required'],
@@ -226,36 +439,197 @@ ClinicalCaseSchema.virtual('completedTestsCount').get(function () {
 
 // Pre-save middleware to generate case number
 ClinicalCaseSchema.pre('save', async function (next) {
+    for (let attempt = 0; !this.caseNumber && attempt < CASE_NUMBER_ATTEMPTS; attempt++) {
+        const candidate = await this.constructor.nextCaseNumber();
+
+        // Skip numbers already taken by data written before the counter existed
+        if (!(await this.constructor.exists({ caseNumber: candidate }))) {
+            this.caseNumber = candidate;
+        }
+    }
+
     if (!this.caseNumber) {
-        const date = new Date();
-        const year = date.getFullYear().toString().slice(-2);
-        const month = (date.getMonth() + 1).toString().padStart(2, '0');
-        const count = await this.constructor.countDocuments({
-            createdAt: {
-                $gte: new Date(date.getFullYear(), date.getMonth(), 1),
-                $lt: new Date(date.getFullYear(), date.getMonth() + 1, 1)
-            }
-        });
-        this.caseNumber = `SRISH-${year}${month}-${(count + 1).toString().padStart(4, '0')}`;
+        return next(new Error('Could not assign a unique case number, please try again'));
     }
     next();
 });
 
 // Indexes for efficient querying
 ClinicalCaseSchema.index({ student: 1, sessionDate: -1 });
+ClinicalCaseSchema.index({ student: 1, semester: 1 });
+ClinicalCaseSchema.index({ patient: 1, sessionDate: 1 });
 ClinicalCaseSchema.index({ 'patientInfo.ageGroup': 1 });
 ClinicalCaseSchema.index({ 'testsPerformed.testType': 1 });
 ClinicalCaseSchema.index({ supervisor: 1, 'supervisorApproval.status': 1 });
 ClinicalCaseSchema.index({ sessionDate: -1 });
+ClinicalCaseSchema.index(
+    Object.fromEntries(Object.keys(SEARCH_FIELDS).map(field => [field, 'text'])),
+    { name: 'case_text_search', weights: SEARCH_FIELDS, default_language: 'english' }
+);
+
+// Static method to format a case number, e.g. SRISH-2610-0042
+ClinicalCaseSchema.statics.formatCaseNumber = function (date, seq) {
+    return `${CASE_NUMBER_PREFIX}-${monthKey(date)}-${seq.toString().padStart(4, '0')}`;
+};
+
+// Static method to split a case number into its month key and sequence, or null if malformed
+ClinicalCaseSchema.statics.parseCaseNumber = function (caseNumber) {
+    const match = CASE_NUMBER_PATTERN.exec(caseNumber || '');
+    return match ? { month: match[1], seq: parseInt(match[2], 10) } : null;
+};
+
+// Static method to get the name of the counter numbering a month's cases
+ClinicalCaseSchema.statics.caseNumberCounter = function (month) {
+    return `clinicalCase-${month}`;
+};
+
+// Static method to take the next case number for the month of `date` from its counter
+ClinicalCaseSchema.statics.nextCaseNumber = async function (date = new Date()) {
+    const month = monthKey(date);
+    const counter = this.caseNumberCounter(month);
+
+    // A new counter continues from the highest number already used that month
+    const floor = (await Counter.exists({ _id: counter })) ? 0 : await this.highestCaseNumber(month);
+
+    return this.formatCaseNumber(date, await Counter.next(counter, floor));
+};
+
+// Static method to get the highest sequence number used in a month. Compared as
+// numbers: sorting the strings would put 9999 after 10000.
+ClinicalCaseSchema.statics.highestCaseNumber = async function (month) {
+    const cases = await this.find({ caseNumber: new RegExp(`^${CASE_NUMBER_PREFIX}-${month}-`) })
+        .select('caseNumber')
+        .lean();
+
+    return cases.reduce((highest, { caseNumber }) =>
+        Math.max(highest, this.parseCaseNumber(caseNumber)?.seq || 0), 0);
+};
+
+// Method to save a new case, taking the next number if another writer saved
+// the same case number between it being assigned and written
+ClinicalCaseSchema.methods.saveWithCaseNumber = async function () {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await this.save();
+        } catch (error) {
+            if (error.code !== 11000 || !error.keyPattern?.caseNumber || attempt >= CASE_NUMBER_ATTEMPTS) {
+                throw error;
+            }
+            this.caseNumber = undefined;
+        }
+    }
+};
 
 // Static method to get test type enums
 ClinicalCaseSchema.statics.getTestTypes = function () {
     return TEST_TYPES;
 };
 
+// Static method to get the fields covered by full-text search
+ClinicalCaseSchema.statics.getSearchFields = function () {
+    return Object.keys(SEARCH_FIELDS);
+};
+
+// Static method to get participation type enums
+ClinicalCaseSchema.statics.getParticipationTypes = function () {
+    return PARTICIPATION_TYPES;
+};
+
 // Static method to get age group enums
 ClinicalCaseSchema.statics.getAgeGroups = function () {
     return PATIENT_AGE_GROUPS;
 };
 
+// Method to list what is missing before a case can be submitted for review,
+// including what the case's template (if given) requires
+ClinicalCaseSchema.methods.getSubmissionErrors = function (template) {
+    const errors = [];
+    const missing = (field, message) => errors.push({ field, message });
+
+    if (!this.patientInfo?.initials) missing('patientInfo.initials', 'Patient initials are required');
+    if (!this.patientInfo?.ageGroup) missing('patientInfo.ageGroup', 'Patient age group is required');
+    if (!this.patientInfo?.gender) missing('patientInfo.gender', 'Patient gender is required');
+    if (!this.sessionDate) missing('sessionDate', 'Session date is required');
+
+    if (!this.testsPerformed || this.testsPerformed.length === 0) {
+        missing('testsPerformed', 'At least one test must be recorded');
+    }
+
+    Object.entries(EARS).forEach(([ear, label]) => {
+        if (!this.findings?.hearingLossType?.[ear]) {
+            missing(`findings.hearingLossType.${ear}`, `Hearing loss type is required for the ${label}`);
+        }
+        if (!this.findings?.hearingLossDegree?.[ear]) {
+            missing(`findings.hearingLossDegree.${ear}`, `Hearing loss degree is required for the ${label}`);
+        }
+    });
+
+    const hasPTA = (this.testsPerformed || []).some(test => test.testType === 'PTA');
+
+    if (hasPTA) {
+        Object.entries(EARS).forEach(([ear, label]) => {
+            const air = this.audiogramData?.[ear]?.airConduction || [];
+            const bone = this.audiogramData?.[ear]?.boneConduction || [];
+            const thresholdAt = (points, freq) => points.find(point => point.frequency === freq)?.threshold;
+
+            const missingAir = PTA_AIR_FREQUENCIES.filter(freq => typeof thresholdAt(air, freq) !== 'number');
+            if (missingAir.length) {
+                missing(`audiogramData.${ear}.airConduction`,
+                    `Air conduction thresholds missing for the ${label} at ${missingAir.join(', ')} Hz`);
+            }
+
+            const needsBone = PTA_BONE_FREQUENCIES.some(freq => thresholdAt(air, freq) > NORMAL_HEARING_LIMIT);
+            const missingBone = PTA_BONE_FREQUENCIES.filter(freq => typeof thresholdAt(bone, freq) !== 'number');
+            if (needsBone && missingBone.length) {
+                missing(`audiogramData.${ear}.boneConduction`,
+                    `Bone conduction thresholds missing for the ${label} at ${missingBone.join(', ')} Hz`);
+            }
+        });
+    }
+
+    if (template) {
+        errors.push(...template.getSubmissionErrors(this));
+    }
+
+    return errors;
+};
+
+// Static method to add "not a draft" to a filter. Drafts are private to the
+// student and stay out of review queues and statistics.
+ClinicalCaseSchema.statics.excludeDrafts = function (filter = {}) {
+    return { 'supervisorApproval.status': { $ne: 'Draft' }, ...filter };
+};
+
+// Static method to get which results can be recorded for each test type,
+// with the enum values used inside them
+ClinicalCaseSchema.statics.getTestResultOptions = function () {
+    return {
+        fields: TEST_RESULT_FIELDS,
+        tympanogramTypes: TYMPANOGRAM_TYPES,
+        reflexPathways: REFLEX_PATHWAYS,
+        reflexFrequencies: REFLEX_FREQUENCIES,
+        oaeTypes: OAE_TYPES,
+        oaeResults: OAE_RESULTS,
+        assrFrequencies: ASSR_FREQUENCIES
+    };
+};
+
+// Static method to get the frequencies that can be recorded on an audiogram
+ClinicalCaseSchema.statics.getAudiogramFrequencies = function () {
+    return AUDIOGRAM_FREQUENCIES;
+};
+
+// Static method to get approval status enums
+ClinicalCaseSchema.statics.getApprovalStatuses = function () {
+    return APPROVAL_STATUSES;
+};
+
+// Static method to get the fields students are allowed to edit
+ClinicalCaseSchema.statics.getEditableFields = function () {
+    return EDITABLE_FIELDS;
+};
+
+// Record every change in the audit log
+ClinicalCaseSchema.plugin(auditPlugin, { reviewFields: ['supervisorApproval.reviewedAt'] });
+
 module.exports = mongoose.model('ClinicalCase', ClinicalCaseSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Named sequences (e.g. one per month of case numbers). Incrementing goes
+// through a single findOneAndUpdate, so concurrent callers never get the same value.
+const CounterSchema = new mongoose.Schema({
+    _id: {
+        type: String
+    },
+    seq: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+// Static method to get the next value of a sequence, starting after `floor`
+// when the sequence is new (so it continues from numbers already in use)
+CounterSchema.statics.next = async function (name, floor = 0) {
+    try {
+        if (floor > 0) {
+            await this.updateOne({ _id: name }, { $max: { seq: floor } }, { upsert: true });
+        }
+
+        const counter = await this.findOneAndUpdate(
+            { _id: name },
+            { $inc: { seq: 1 } },
+            { new: true, upsert: true }
+        );
+        return counter.seq;
+    } catch (err) {
+        // Two first-time upserts of the same sequence: one loses, the counter now exists
+        if (err.code === 11000) {
+            return this.next(name);
+        }
+        throw err;
+    }
+};
+
+// Static method to get the current value of a sequence without changing it
+CounterSchema.statics.current = async function (name) {
+    const counter = await this.findById(name);
+    return counter ? counter.seq : 0;
+};
+
+// Static method to raise a sequence so it is at least `value`
+CounterSchema.statics.raiseTo = function (name, value) {
+    return this.updateOne({ _id: name }, { $max: { seq: value } }, { upsert: true });
+};
+
+module.exports = mongoose.model('Counter', CounterSchema);
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const auditPlugin = require('./plugins/audit.plugin');
+
+const ImpersonationSchema = new mongoose.Schema({
+    admin: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Admin ID is required']
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required']
+    },
+    // The admin's own login session - impersonation ends if it is revoked
+    session: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Session',
+        required: true
+    },
+    reason: {
+        type: String,
+        required: [true, 'A reason is required to view the app as another user'],
+        trim: true,
+        maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    endedAt: {
+        type: Date
+    },
+    ipAddress: {
+        type: String
+    },
+    userAgent: {
+        type: String
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Virtual for whether the impersonation token can still be used
+ImpersonationSchema.virtual('isActive').get(function () {
+    return !this.endedAt && this.expiresAt > new Date();
+});
+
+// Indexes
+ImpersonationSchema.index({ admin: 1, createdAt: -1 });
+ImpersonationSchema.index({ user: 1, createdAt: -1 });
+
+const getExpireMinutes = () => parseInt(process.env.IMPERSONATION_EXPIRE_MINUTES, 10) || 15;
+
+// Static method to start viewing the app as a user
+ImpersonationSchema.statics.start = async function (admin, user, session, reason, req) {
+    return this.create({
+        admin: admin._id,
+        user: user._id,
+        session: session._id,
+        reason,
+        expiresAt: new Date(Date.now() + getExpireMinutes() * 60 * 1000),
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent']
+    });
+};
+
+// Sign the access token used while impersonating. It carries the target user
+// as `id` so the rest of the app sees that user, and is marked with `imp`
+// (this record) and `act` (the admin actually making the requests).
+ImpersonationSchema.methods.getSignedToken = function (user) {
+    return jwt.sign(
+        {
+            id: user._id,
+            role: user.role,
+            sid: this.session,
+            imp: this._id,
+            act: this.admin
+        },
+        process.env.JWT_SECRET,
+        { expiresIn: Math.max(1, Math.round((this.expiresAt - Date.now()) / 1000)) }
+    );
+};
+
+// Record every change in the audit log (start and end of each impersonation)
+ImpersonationSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('Impersonation', ImpersonationSchema);
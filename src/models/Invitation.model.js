@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const Role = require('./Role.model');
+const auditPlugin = require('./plugins/audit.plugin');
+
+const hashCode = (code) => crypto.createHash('sha256').update(code.trim()).digest('hex');
+
+const InvitationSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: [true, 'Email is required'],
+        lowercase: true,
+        trim: true,
+        match: [
+            /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+            'Please provide a valid email'
+        ]
+    },
+    role: {
+        type: String,
+        default: 'Student',
+        validate: {
+            validator: function (value) {
+                return Role.isDefined(value);
+            },
+            message: 'Role \'{VALUE}\' does not exist'
+        }
+    },
+    batch: {
+        type: String,
+        required: function () { return this.role === 'Student'; },
+        trim: true
+    },
+    semester: {
+        type: Number,
+        min: [1, 'Semester must be at least 1'],
+        max: [8, 'Semester cannot exceed 8'],
+        required: function () { return this.role === 'Student'; }
+    },
+    supervisor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    codeHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: {
+        type: Date
+    },
+    usedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    revokedAt: {
+        type: Date
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Virtual for invitation status
+InvitationSchema.virtual('status').get(function () {
+    if (this.usedAt) return 'Used';
+    if (this.revokedAt) return 'Revoked';
+    if (this.expiresAt <= new Date()) return 'Expired';
+    return 'Pending';
+});
+
+// Indexes
+InvitationSchema.index({ email: 1, usedAt: 1, revokedAt: 1 });
+InvitationSchema.index({ createdAt: -1 });
+
+// Static method to build a new invitation and its single-use code (only the hash is stored)
+InvitationSchema.statics.buildWithCode = function (data) {
+    const code = crypto.randomBytes(9).toString('base64url');
+    const days = parseInt(process.env.INVITE_EXPIRE_DAYS, 10) || 7;
+
+    const invitation = new this({
+        ...data,
+        codeHash: hashCode(code),
+        expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+    });
+
+    return { invitation, code };
+};
+
+// Static method to find a usable invitation by its code
+InvitationSchema.statics.findValidByCode = function (code) {
+    return this.findOne({
+        codeHash: hashCode(String(code || '')),
+        usedAt: null,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    });
+};
+
+// Static method to mark a usable invitation as used; returns null if it was already taken
+InvitationSchema.statics.claim = function (invitationId) {
+    return this.findOneAndUpdate(
+        { _id: invitationId, usedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } },
+        { usedAt: new Date() },
+        { new: true }
+    );
+};
+
+// Record every change in the audit log
+InvitationSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('Invitation', InvitationSchema);
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit.plugin');
+
+// Fields a student may set on their own leave request
+const EDITABLE_FIELDS = ['leaveType', 'startDate', 'endDate', 'reason', 'isEmergency'];
 
 const LeaveRequestSchema = new mongoose.Schema({
     student: {
@@ -121,4 +125,12 @@ LeaveRequestSchema.statics.hasOverlappingLeave = async function (studentId, star
     return count > 0;
 };
 
+// Static method to get the fields students are allowed to edit
+LeaveRequestSchema.statics.getEditableFields = function () {
+    return EDITABLE_FIELDS;
+};
+
+// Record every change in the audit log
+LeaveRequestSchema.plugin(auditPlugin, { reviewFields: ['reviewedAt'] });
+
 module.exports = mongoose.model('LeaveRequest', LeaveRequestSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const auditPlugin = require('./plugins/audit.plugin');
+
+// Patients are pseudonymous: the registry never holds names or contact details,
+// only an ID the institution generates. The ID is written on the patient's file
+// card so follow-up visits can be linked to the same patient.
+
+// No 0/O or 1/I, so IDs can be read back from a card without mistakes
+const ID_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ID_LENGTH = 8;
+
+const PatientSchema = new mongoose.Schema({
+    patientId: {
+        type: String,
+        unique: true,
+        immutable: true
+    },
+    gender: {
+        type: String,
+        enum: ['Male', 'Female', 'Other']
+    },
+    // Year only, so the age group of each visit can be checked without a birth date
+    birthYear: {
+        type: Number,
+        min: [1900, 'Birth year is not valid'],
+        validate: {
+            // Checked on each save so a long-running server accepts the new year
+            validator: (year) => year <= new Date().getFullYear(),
+            message: 'Birth year cannot be in the future'
+        }
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+// Static method to generate a random patient ID such as P-7KQ3XM2D
+PatientSchema.statics.generatePatientId = function () {
+    const bytes = crypto.randomBytes(ID_LENGTH);
+    const code = Array.from(bytes, byte => ID_ALPHABET[byte % ID_ALPHABET.length]).join('');
+    return `P-${code}`;
+};
+
+// Pre-save middleware to assign an unused patient ID
+PatientSchema.pre('save', async function (next) {
+    while (!this.patientId) {
+        const candidate = this.constructor.generatePatientId();
+        if (!(await this.constructor.exists({ patientId: candidate }))) {
+            this.patientId = candidate;
+        }
+    }
+    next();
+});
+
+// Record every change in the audit log
+PatientSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('Patient', PatientSchema);
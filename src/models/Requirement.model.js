@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const ClinicalCase = require('./ClinicalCase.model');
+const auditPlugin = require('./plugins/audit.plugin');
+
+// One requirement: approved cases needed with any of `testTypes` on a patient
+// in any of `ageGroups` (an empty list matches every test type / age group)
+const RequirementItemSchema = new mongoose.Schema({
+    label: {
+        type: String,
+        required: [true, 'Requirement label is required'],
+        trim: true,
+        maxlength: [100, 'Label cannot exceed 100 characters']
+    },
+    testTypes: [{
+        type: String,
+        enum: {
+            values: ClinicalCase.getTestTypes(),
+            message: 'Invalid test type'
+        }
+    }],
+    ageGroups: [{
+        type: String,
+        enum: {
+            values: ClinicalCase.getAgeGroups(),
+            message: 'Invalid patient age group'
+        }
+    }],
+    minimumCases: {
+        type: Number,
+        required: [true, 'Minimum number of cases is required'],
+        min: [1, 'Minimum cases must be at least 1']
+    }
+});
+
+// Method to check whether a case counts toward a requirement item
+RequirementItemSchema.methods.matches = function (clinicalCase) {
+    const testTypes = (clinicalCase.testsPerformed || []).map(test => test.testType);
+
+    return (this.testTypes.length === 0 || this.testTypes.some(testType => testTypes.includes(testType))) &&
+        (this.ageGroups.length === 0 || this.ageGroups.includes(clinicalCase.patientInfo?.ageGroup));
+};
+
+const RequirementSchema = new mongoose.Schema({
+    semester: {
+        type: Number,
+        required: [true, 'Semester is required'],
+        min: [1, 'Semester must be at least 1'],
+        max: [8, 'Semester cannot exceed 8']
+    },
+    // Set to override the semester's requirements for one batch only
+    batch: {
+        type: String,
+        trim: true,
+        default: null
+    },
+    items: {
+        type: [RequirementItemSchema],
+        validate: {
+            validator: (items) => items.length > 0,
+            message: 'At least one requirement is needed'
+        }
+    },
+    notes: {
+        type: String,
+        maxlength: [1000, 'Notes cannot exceed 1000 characters']
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+RequirementSchema.index({ semester: 1, batch: 1 }, { unique: true });
+
+// Static method to get the requirements that apply to a semester and batch:
+// the batch's own set if there is one, otherwise the semester's default
+RequirementSchema.statics.findApplicable = async function (semester, batch) {
+    const sets = await this.find({ semester, batch: { $in: [batch || null, null] } });
+    return sets.find(set => set.batch && set.batch === batch) || sets.find(set => !set.batch) || null;
+};
+
+// Record every change in the audit log
+RequirementSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('Requirement', RequirementSchema);
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const { ALL_PERMISSIONS, DEFAULT_ROLES } = require('../config/permissions');
+const auditPlugin = require('./plugins/audit.plugin');
+
+const RoleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Role name is required'],
+        unique: true,
+        trim: true,
+        maxlength: [50, 'Role name cannot exceed 50 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [300, 'Description cannot exceed 300 characters']
+    },
+    permissions: [{
+        type: String,
+        enum: {
+            values: ALL_PERMISSIONS,
+            message: 'Invalid permission'
+        }
+    }],
+    isSystem: {
+        type: Boolean,
+        default: false
+    },
+    // Users with this role are students: they are assigned supervisors and
+    // are the records a supervisor's scope is made of
+    isStudent: {
+        type: Boolean,
+        default: false
+    },
+    // Default permissions already given to a built-in role, so permissions an
+    // admin later removes are not added back on the next start
+    seededPermissions: [String],
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Static method to get the permissions granted to a role name
+RoleSchema.statics.getPermissions = async function (roleName) {
+    const role = await this.findOne({ name: roleName }).select('permissions').lean();
+    return role ? role.permissions : [];
+};
+
+// Static method to check a role name has been defined
+RoleSchema.statics.isDefined = async function (roleName) {
+    return !!(await this.findOne({ name: roleName }).select('_id').lean());
+};
+
+// Static method to get the names of roles holding every one of `permissions`
+RoleSchema.statics.namesWithPermissions = async function (permissions) {
+    return this.distinct('name', { permissions: { $all: permissions } });
+};
+
+// Static method to get the names of the student roles
+RoleSchema.statics.studentRoleNames = async function () {
+    return this.distinct('name', { isStudent: true });
+};
+
+// Static method to create the built-in roles if missing, give existing ones any
+// default permissions added since they were created, and keep Admin complete
+RoleSchema.statics.seedDefaults = async function () {
+    for (const role of DEFAULT_ROLES) {
+        await this.updateOne(
+            { name: role.name },
+            {
+                $setOnInsert: {
+                    description: role.description,
+                    permissions: role.permissions,
+                    seededPermissions: role.permissions,
+                    isSystem: true,
+                    isStudent: !!role.isStudent
+                }
+            },
+            { upsert: true }
+        );
+
+        // Built-in roles created before the flag existed
+        await this.updateOne(
+            { name: role.name, isSystem: true, isStudent: { $exists: false } },
+            { isStudent: !!role.isStudent }
+        );
+
+        const existing = await this.findOne({ name: role.name, isSystem: true }).select('seededPermissions').lean();
+        const added = existing
+            ? role.permissions.filter(permission => !(existing.seededPermissions || []).includes(permission))
+            : [];
+
+        if (added.length) {
+            await this.updateOne(
+                { _id: existing._id },
+                { $addToSet: { permissions: { $each: added }, seededPermissions: { $each: added } } }
+            );
+        }
+    }
+
+    await this.updateOne({ name: 'Admin' }, { permissions: ALL_PERMISSIONS });
+};
+
+// Record every change in the audit log
+RoleSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('Role', RoleSchema);
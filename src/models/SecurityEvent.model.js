@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// Enum values for Security Event Types
+const SECURITY_EVENT_TYPES = [
+    'Account Locked',
+    'Account Unlocked',
+    'IP Throttled'
+];
+
+const SecurityEventSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: {
+            values: SECURITY_EVENT_TYPES,
+            message: 'Invalid security event type'
+        },
+        required: [true, 'Event type is required']
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    email: {
+        type: String,
+        lowercase: true
+    },
+    ipAddress: {
+        type: String
+    },
+    userAgent: {
+        type: String,
+        maxlength: [500, 'User agent cannot exceed 500 characters']
+    },
+    route: {
+        type: String
+    },
+    details: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    performedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+SecurityEventSchema.index({ createdAt: -1 });
+SecurityEventSchema.index({ type: 1, createdAt: -1 });
+SecurityEventSchema.index({ user: 1, createdAt: -1 });
+SecurityEventSchema.index({ ipAddress: 1, createdAt: -1 });
+
+// Static method to record an event from an incoming request
+SecurityEventSchema.statics.record = async function (type, req, data = {}) {
+    return this.create({
+        type,
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent'],
+        route: req.originalUrl,
+        ...data
+    });
+};
+
+// Static method to get event type enums
+SecurityEventSchema.statics.getEventTypes = function () {
+    return SECURITY_EVENT_TYPES;
+};
+
+module.exports = mongoose.model('SecurityEvent', SecurityEventSchema);
@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const REFRESH_TOKEN_BYTES = 40;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const SessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required']
+    },
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+    userAgent: {
+        type: String,
+        maxlength: [500, 'User agent cannot exceed 500 characters']
+    },
+    deviceName: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Device name cannot exceed 100 characters']
+    },
+    ipAddress: {
+        type: String
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date
+    },
+    revokedReason: {
+        type: String,
+        enum: ['Logout', 'Logout All', 'Password Changed', 'Password Reset', 'Deactivated', 'Token Reuse', 'Revoked By User', 'Revoked By Admin']
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Virtual for whether the session can still be used
+SessionSchema.virtual('isActive').get(function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Indexes
+SessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB clean up sessions a while after they expire
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const getRefreshExpiry = () => {
+    const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30;
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found without scanning hashes
+const buildRefreshToken = (sessionId) => {
+    const secret = crypto.randomBytes(REFRESH_TOKEN_BYTES).toString('hex');
+    return { token: `${sessionId}.${secret}`, hash: hashToken(secret) };
+};
+
+// Static method to open a new session for a user from an incoming request
+SessionSchema.statics.createForUser = async function (user, req) {
+    const session = new this({
+        user: user._id,
+        userAgent: req.headers['user-agent'],
+        deviceName: req.body?.deviceName,
+        ipAddress: req.ip,
+        expiresAt: getRefreshExpiry()
+    });
+
+    const { token, hash } = buildRefreshToken(session._id);
+    session.refreshTokenHash = hash;
+    await session.save();
+
+    return { session, refreshToken: token };
+};
+
+// Static method to find the session a refresh token belongs to
+SessionSchema.statics.findByRefreshToken = async function (refreshToken) {
+    const [sessionId, secret] = (refreshToken || '').split('.');
+
+    if (!sessionId || !secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+        return { session: null, matches: false };
+    }
+
+    const session = await this.findById(sessionId).select('+refreshTokenHash');
+
+    return {
+        session,
+        matches: !!session && session.refreshTokenHash === hashToken(secret)
+    };
+};
+
+// Static method to revoke every active session for a user, optionally keeping one
+SessionSchema.statics.revokeAllForUser = async function (userId, reason, exceptSessionId = null) {
+    const query = { user: userId, revokedAt: null };
+
+    if (exceptSessionId) {
+        query._id = { $ne: exceptSessionId };
+    }
+
+    const result = await this.updateMany(query, {
+        revokedAt: new Date(),
+        revokedReason: reason
+    });
+
+    return result.modifiedCount;
+};
+
+// Method to issue a new refresh token, invalidating the previous one.
+// The swap only applies while the session still holds the token it was
+// loaded with, so two requests replaying the same token cannot both rotate
+// it. Returns the new token, or null when another request rotated it first.
+SessionSchema.methods.rotate = async function (req) {
+    const { token, hash } = buildRefreshToken(this._id);
+
+    const update = {
+        refreshTokenHash: hash,
+        lastUsedAt: new Date(),
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent'] || this.userAgent,
+        expiresAt: getRefreshExpiry()
+    };
+
+    const updated = await this.constructor.findOneAndUpdate(
+        { _id: this._id, refreshTokenHash: this.refreshTokenHash, revokedAt: null },
+        update
+    );
+
+    if (!updated) {
+        return null;
+    }
+
+    this.set(update);
+
+    return token;
+};
+
+// Method to revoke this session
+SessionSchema.methods.revoke = async function (reason) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+    await this.save();
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
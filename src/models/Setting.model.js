@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit.plugin');
+
+// Institution-wide settings that admins can change at runtime
+const SettingSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: [true, 'Setting key is required'],
+        unique: true,
+        trim: true
+    },
+    value: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Static method to read a setting, falling back to a default
+SettingSchema.statics.getValue = async function (key, defaultValue = null) {
+    const setting = await this.findOne({ key });
+    return setting ? setting.value : defaultValue;
+};
+
+// Static method to create or update a setting
+SettingSchema.statics.setValue = async function (key, value, userId) {
+    return this.findOneAndUpdate(
+        { key },
+        { value, updatedBy: userId },
+        { new: true, upsert: true, runValidators: true }
+    );
+};
+
+// Record every change in the audit log
+SettingSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('Setting', SettingSchema);
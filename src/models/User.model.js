@@ -1,6 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const Role = require('./Role.model');
+const auditPlugin = require('./plugins/audit.plugin');
 
 const UserSchema = new mongoose.Schema({
     name: {
@@ -27,11 +30,13 @@ const UserSchema = new mongoose.Schema({
     },
     role: {
         type: String,
-        enum: {
-            values: ['Student', 'Supervisor', 'Admin'],
-            message: 'Role must be Student, Supervisor, or Admin'
-        },
-        default: 'Student'
+        default: 'Student',
+        validate: {
+            validator: function (value) {
+                return Role.isDefined(value);
+            },
+            message: 'Role \'{VALUE}\' does not exist'
+        }
     },
     batch: {
         type: String,
@@ -78,6 +83,36 @@ const UserSchema = new mongoose.Schema({
     lastLogin: {
         type: Date
     },
+    failedLoginAttempts: {
+        type: Number,
+        default: 0
+    },
+    lockUntil: {
+        type: Date
+    },
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        secret: {
+            type: String,
+            select: false
+        },
+        pendingSecret: {
+            type: String,
+            select: false
+        },
+        recoveryCodes: {
+            type: [String],
+            select: false
+        },
+        lastUsedStep: {
+            type: Number,
+            select: false
+        },
+        enabledAt: Date
+    },
     passwordResetToken: String,
     passwordResetExpires: Date
 }, {
@@ -97,10 +132,15 @@ UserSchema.virtual('remainingHours').get(function () {
     return Math.max(0, this.totalAllottedHours - this.completedHours);
 });
 
+// Virtual for whether login is currently blocked by failed attempts
+UserSchema.virtual('isLocked').get(function () {
+    return !!this.lockUntil && this.lockUntil > new Date();
+});
+
 // Pre-save middleware to hash password
 UserSchema.pre('save', async function (next) {
     if (!this.isModified('password')) {
-        next();
+        return next();
     }
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
@@ -111,17 +151,132 @@ UserSchema.methods.matchPassword = async function (enteredPassword) {
     return await bcrypt.compare(enteredPassword, this.password);
 };
 
-// Method to generate JWT token
-UserSchema.methods.getSignedJwtToken = function () {
+// Method to generate a short-lived JWT access token bound to a session
+UserSchema.methods.getSignedJwtToken = function (sessionId) {
+    return jwt.sign(
+        { id: this._id, role: this.role, sid: sessionId },
+        process.env.JWT_SECRET,
+        { expiresIn: process.env.JWT_EXPIRE || '15m' }
+    );
+};
+
+// Method to record a failed login. After a few failures each further attempt
+// has to wait progressively longer, and at the maximum the account is locked.
+UserSchema.methods.registerFailedLogin = async function () {
+    const maxAttempts = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+    const delayAfter = parseInt(process.env.LOGIN_DELAY_AFTER, 10) || 3;
+    const lockMinutes = parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15;
+
+    const now = new Date();
+
+    // Count the attempt atomically so parallel guesses can't all read the same
+    // count; a lock that has run out starts the count again
+    const updated = await this.constructor.findOneAndUpdate(
+        { _id: this._id },
+        [{
+            $set: {
+                failedLoginAttempts: {
+                    $add: [{
+                        $cond: [
+                            {
+                                $and: [
+                                    { $gte: [{ $ifNull: ['$failedLoginAttempts', 0] }, maxAttempts] },
+                                    { $lte: [{ $ifNull: ['$lockUntil', now] }, now] }
+                                ]
+                            },
+                            0,
+                            { $ifNull: ['$failedLoginAttempts', 0] }
+                        ]
+                    }, 1]
+                }
+            }
+        }],
+        { new: true, projection: { failedLoginAttempts: 1, lockUntil: 1 } }
+    );
+
+    this.failedLoginAttempts = updated.failedLoginAttempts;
+
+    let locked = false;
+    let lockUntil = null;
+    if (this.failedLoginAttempts >= maxAttempts) {
+        lockUntil = new Date(now.getTime() + lockMinutes * 60 * 1000);
+        locked = true;
+    } else if (this.failedLoginAttempts >= delayAfter) {
+        const delaySeconds = Math.pow(2, this.failedLoginAttempts - delayAfter + 1);
+        lockUntil = new Date(now.getTime() + delaySeconds * 1000);
+    }
+
+    if (lockUntil) {
+        // $max so a slower request with a lower count never shortens a lock
+        const withLock = await this.constructor.findOneAndUpdate(
+            { _id: this._id },
+            { $max: { lockUntil } },
+            { new: true, projection: { lockUntil: 1 } }
+        );
+        this.lockUntil = withLock.lockUntil;
+    }
+
+    return { locked, attempts: this.failedLoginAttempts };
+};
+
+// Method to clear failed login state
+UserSchema.methods.resetLoginAttempts = function () {
+    this.failedLoginAttempts = 0;
+    this.lockUntil = undefined;
+};
+
+// Method to generate a short-lived token for the second login step or 2FA enrolment
+UserSchema.methods.getTwoFactorChallengeToken = function (purpose) {
     return jwt.sign(
-        { id: this._id, role: this.role },
+        { id: this._id, purpose },
         process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRE || '7d' }
+        { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m' }
     );
 };
 
+// Method to generate a fresh set of recovery codes (the hashes are stored, the codes are shown once)
+UserSchema.methods.generateRecoveryCodes = function (count = 10) {
+    const codes = Array.from({ length: count }, () => {
+        const raw = crypto.randomBytes(4).toString('hex');
+        return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+    });
+
+    this.twoFactor.recoveryCodes = codes.map(code =>
+        crypto.createHash('sha256').update(code).digest('hex')
+    );
+
+    return codes;
+};
+
+// Method to use up a recovery code, returns whether it was valid
+UserSchema.methods.consumeRecoveryCode = function (code) {
+    const hash = crypto.createHash('sha256').update(String(code).trim().toLowerCase()).digest('hex');
+    const index = (this.twoFactor.recoveryCodes || []).indexOf(hash);
+
+    if (index === -1) return false;
+
+    this.twoFactor.recoveryCodes.splice(index, 1);
+    return true;
+};
+
+// Method to generate a password reset token (the hash is stored, the raw token is emailed)
+UserSchema.methods.getResetPasswordToken = function () {
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    const expireMinutes = parseInt(process.env.RESET_PASSWORD_EXPIRE_MINUTES, 10) || 30;
+
+    this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+    this.passwordResetExpires = new Date(Date.now() + expireMinutes * 60 * 1000);
+
+    return resetToken;
+};
+
 // Index for efficient queries
 UserSchema.index({ role: 1, batch: 1 });
 UserSchema.index({ supervisor: 1 });
 
+// Record every change in the audit log
+UserSchema.plugin(auditPlugin, {
+    ignoreFields: ['lastLogin', 'failedLoginAttempts', 'lockUntil', 'twoFactor.lastUsedStep']
+});
+
 module.exports = mongoose.model('User', UserSchema);
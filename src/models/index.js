@@ -1,11 +1,39 @@
 const User = require('./User.model');
 const ClinicalCase = require('./ClinicalCase.model');
+const Patient = require('./Patient.model');
+const CaseTemplate = require('./CaseTemplate.model');
+const Requirement = require('./Requirement.model');
+const CaseRevision = require('./CaseRevision.model');
+const CaseComment = require('./CaseComment.model');
+const CaseAttachment = require('./CaseAttachment.model');
 const Attendance = require('./Attendance.model');
 const LeaveRequest = require('./LeaveRequest.model');
+const Session = require('./Session.model');
+const SecurityEvent = require('./SecurityEvent.model');
+const Setting = require('./Setting.model');
+const Invitation = require('./Invitation.model');
+const Role = require('./Role.model');
+const AuditLog = require('./AuditLog.model');
+const Impersonation = require('./Impersonation.model');
+const Counter = require('./Counter.model');
 
 module.exports = {
     User,
     ClinicalCase,
+    Patient,
+    CaseTemplate,
+    Requirement,
+    CaseRevision,
+    CaseComment,
+    CaseAttachment,
     Attendance,
-    LeaveRequest
+    LeaveRequest,
+    Session,
+    SecurityEvent,
+    Setting,
+    Invitation,
+    Role,
+    AuditLog,
+    Impersonation,
+    Counter
 };
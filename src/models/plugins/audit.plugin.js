@@ -0,0 +1,144 @@
+const AuditLog = require('../AuditLog.model');
+const { diff: diffObjects } = require('../../utils/diff');
+const { getCurrentRequest } = require('../../middleware/requestContext.middleware');
+
+// Fields whose values never go into the audit log
+const REDACTED_FIELDS = [
+    'password',
+    'passwordResetToken',
+    'refreshTokenHash',
+    'codeHash',
+    'twoFactor.secret',
+    'twoFactor.pendingSecret',
+    'twoFactor.recoveryCodes'
+];
+
+// Fields that change as a side effect and are not worth a log entry on their own
+const NOISE_FIELDS = ['updatedAt', '__v'];
+
+// Compare two plain documents, hiding the values of sensitive fields
+const diff = (before, after, ignoreFields) => diffObjects(before, after, ignoreFields).map(change => {
+    const redacted = REDACTED_FIELDS.some(field => change.path === field || change.path.startsWith(`${field}.`));
+    if (!redacted) return change;
+
+    return {
+        path: change.path,
+        before: change.before !== undefined ? '[redacted]' : undefined,
+        after: change.after !== undefined ? '[redacted]' : undefined
+    };
+});
+
+const toPlain = (doc) => (doc && typeof doc.toObject === 'function'
+    ? doc.toObject({ depopulate: true, virtuals: false, getters: false })
+    : doc);
+
+// Mongoose plugin recording every create, update and delete on a model in the
+// AuditLog collection, with the user, IP and route of the request behind it.
+// Options:
+//   ignoreFields - paths whose changes alone should not be logged (e.g. lastLogin)
+//   reviewFields - paths only set by a review, so the change is logged as 'Review'
+module.exports = function auditPlugin(schema, options = {}) {
+    const ignoreFields = [...NOISE_FIELDS, ...(options.ignoreFields || [])];
+    const reviewFields = options.reviewFields || [];
+
+    const writeLog = async (model, action, entityId, changes) => {
+        if (action === 'Update' && changes.length === 0) return;
+
+        if (action === 'Update' && changes.some(change => reviewFields.includes(change.path))) {
+            action = 'Review';
+        }
+
+        const req = getCurrentRequest();
+        // While impersonating, the admin is the one actually making the change
+        const actor = req?.impersonator || req?.user;
+
+        try {
+            await AuditLog.create({
+                actor: actor?._id,
+                actorRole: actor?.role,
+                impersonatedUser: req?.impersonator ? req.user._id : undefined,
+                action,
+                entity: model.modelName,
+                entityId,
+                changes,
+                ipAddress: req?.ip,
+                userAgent: req?.headers['user-agent'],
+                method: req?.method,
+                route: req?.originalUrl
+            });
+        } catch (err) {
+            // Never fail the request because the audit write failed
+            console.error('Audit log error:', err.message);
+        }
+    };
+
+    // Document saves - keep a snapshot of what was loaded so saves can be diffed
+    schema.post('init', function () {
+        this.$locals.auditSnapshot = toPlain(this);
+    });
+
+    schema.pre('save', function (next) {
+        this.$locals.auditWasNew = this.isNew;
+        next();
+    });
+
+    schema.post('save', async function () {
+        const after = toPlain(this);
+        const before = this.$locals.auditWasNew ? {} : this.$locals.auditSnapshot;
+
+        await writeLog(this.constructor, this.$locals.auditWasNew ? 'Create' : 'Update', this._id,
+            diff(before, after, this.$locals.auditWasNew ? NOISE_FIELDS : ignoreFields));
+
+        this.$locals.auditSnapshot = after;
+    });
+
+    schema.pre('deleteOne', { document: true, query: false }, function (next) {
+        this.$locals.auditSnapshot = this.$locals.auditSnapshot || toPlain(this);
+        next();
+    });
+
+    schema.post('deleteOne', { document: true, query: false }, async function () {
+        await writeLog(this.constructor, 'Delete', this._id, diff(this.$locals.auditSnapshot, {}, NOISE_FIELDS));
+    });
+
+    // Query updates and deletes - load the affected documents before and after
+    const captureBefore = async function () {
+        this._auditBefore = await this.model.find(this.getFilter()).lean();
+    };
+
+    // Single-document operations only ever touch the first match
+    schema.pre(['findOneAndUpdate', 'updateOne'], async function () {
+        const doc = await this.model.findOne(this.getFilter())
+            .sort(this.getOptions().sort)
+            .lean();
+        this._auditBefore = doc ? [doc] : [];
+    });
+    schema.pre('updateMany', captureBefore);
+    schema.pre(['findOneAndDelete', 'deleteMany'], captureBefore);
+
+    schema.post(['findOneAndUpdate', 'updateOne', 'updateMany'], async function (result) {
+        const before = this._auditBefore || [];
+        const ids = before.map(doc => doc._id);
+
+        // Upserts create a document that did not exist before
+        const upsertedId = result?.upsertedId || (before.length === 0 && result?._id);
+        if (upsertedId) ids.push(upsertedId);
+
+        const afterDocs = await this.model.find({ _id: { $in: ids } }).lean();
+
+        for (const after of afterDocs) {
+            const previous = before.find(doc => doc._id.equals(after._id));
+            await writeLog(this.model, previous ? 'Update' : 'Create', after._id,
+                diff(previous || {}, after, previous ? ignoreFields : NOISE_FIELDS));
+        }
+    });
+
+    schema.post(['findOneAndDelete', 'deleteMany'], async function () {
+        for (const before of this._auditBefore || []) {
+            const stillExists = await this.model.exists({ _id: before._id });
+            if (!stillExists) {
+                await writeLog(this.model, 'Delete', before._id, diff(before, {}, NOISE_FIELDS));
+            }
+        }
+    });
+};
@@ -8,15 +8,23 @@ const {
     verifyAttendance,
     getMonthlySummary
 } = require('../controllers/attendance.controller');
-const { protect, authorize } = require('../middleware/auth.middleware');
+const { protect, authorizePermission } = require('../middleware/auth.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const {
+    checkInSchema,
+    checkOutSchema,
+    getAttendanceSchema,
+    monthlySummarySchema,
+    attendanceIdSchema
+} = require('../validators/attendance.validators');
 
 router.use(protect);
 
-router.post('/check-in', authorize('Student'), checkIn);
-router.put('/check-out', authorize('Student'), checkOut);
+router.post('/check-in', authorizePermission('attendance:record'), validate(checkInSchema), checkIn);
+router.put('/check-out', authorizePermission('attendance:record'), validate(checkOutSchema), checkOut);
 router.get('/today', getTodayStatus);
-router.get('/monthly-summary', getMonthlySummary);
-router.get('/', getAttendance);
-router.put('/:id/verify', authorize('Supervisor', 'Admin'), verifyAttendance);
+router.get('/monthly-summary', validate(monthlySummarySchema), getMonthlySummary);
+router.get('/', validate(getAttendanceSchema), getAttendance);
+router.put('/:id/verify', authorizePermission('attendance:verify'), validate(attendanceIdSchema), verifyAttendance);
 
 module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const { getAuditLogs, getAuditLog } = require('../controllers/audit.controller');
+const { protect, authorizePermission } = require('../middleware/auth.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const { getAuditLogsSchema, auditLogIdSchema } = require('../validators/audit.validators');
+
+router.use(protect);
+router.use(authorizePermission('audit:read'));
+
+router.get('/', validate(getAuditLogsSchema), getAuditLogs);
+router.get('/:id', validate(auditLogIdSchema), getAuditLog);
+
+module.exports = router;
@@ -6,15 +6,62 @@ const {
     getMe,
     updateDetails,
     updatePassword,
-    logout
+    verifyTwoFactorLogin,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    getTwoFactorPolicy,
+    updateTwoFactorPolicy,
+    forgotPassword,
+    resetPassword,
+    refreshToken,
+    logout,
+    logoutAll,
+    getSessions,
+    revokeSession
 } = require('../controllers/auth.controller');
-const { protect } = require('../middleware/auth.middleware');
+const { protect, protectOrChallenge, authorizePermission, denyWhileImpersonating } = require('../middleware/auth.middleware');
+const { authLimiter } = require('../middleware/rateLimit.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const {
+    registerSchema,
+    loginSchema,
+    refreshSchema,
+    forgotPasswordSchema,
+    resetPasswordSchema,
+    updateDetailsSchema,
+    updatePasswordSchema,
+    sessionIdSchema,
+    verifyTwoFactorSchema,
+    setupTwoFactorSchema,
+    enableTwoFactorSchema,
+    disableTwoFactorSchema,
+    recoveryCodesSchema,
+    twoFactorPolicySchema
+} = require('../validators/auth.validators');
 
-router.post('/register', register);
-router.post('/login', login);
+router.post('/register', authLimiter, validate(registerSchema), register);
+router.post('/login', authLimiter, validate(loginSchema), login);
+router.post('/refresh', authLimiter, validate(refreshSchema), refreshToken);
+router.post('/forgot-password', authLimiter, validate(forgotPasswordSchema), forgotPassword);
+router.put('/reset-password/:token', authLimiter, validate(resetPasswordSchema), resetPassword);
 router.get('/me', protect, getMe);
-router.put('/updatedetails', protect, updateDetails);
-router.put('/updatepassword', protect, updatePassword);
-router.get('/logout', protect, logout);
+router.put('/updatedetails', protect, validate(updateDetailsSchema), updateDetails);
+router.put('/updatepassword', protect, validate(updatePasswordSchema), updatePassword);
+router.get('/logout', protect, denyWhileImpersonating, logout);
+router.post('/logout-all', protect, logoutAll);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions/:id', protect, validate(sessionIdSchema), revokeSession);
+
+// Two-factor authentication
+router.post('/2fa/verify', authLimiter, validate(verifyTwoFactorSchema), verifyTwoFactorLogin);
+router.post('/2fa/setup', protectOrChallenge, validate(setupTwoFactorSchema), setupTwoFactor);
+router.post('/2fa/enable', protectOrChallenge, validate(enableTwoFactorSchema), enableTwoFactor);
+router.post('/2fa/disable', protect, validate(disableTwoFactorSchema), disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, validate(recoveryCodesSchema), regenerateRecoveryCodes);
+router.route('/2fa/policy')
+    .get(protect, authorizePermission('settings:manage'), getTwoFactorPolicy)
+    .put(protect, authorizePermission('settings:manage'), validate(twoFactorPolicySchema), updateTwoFactorPolicy);
 
 module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getTemplates,
+    getRequirableFields,
+    getTemplate,
+    createTemplate,
+    updateTemplate,
+    deleteTemplate
+} = require('../controllers/caseTemplate.controller');
+const { protect, authorizePermission } = require('../middleware/auth.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const {
+    createTemplateSchema,
+    updateTemplateSchema,
+    templateIdSchema,
+    getTemplatesSchema
+} = require('../validators/caseTemplate.validators');
+
+router.use(protect);
+
+router.get('/fields', getRequirableFields);
+
+router.route('/')
+    .get(validate(getTemplatesSchema), getTemplates)
+    .post(authorizePermission('templates:manage'), validate(createTemplateSchema), createTemplate);
+
+router.route('/:id')
+    .get(validate(templateIdSchema), getTemplate)
+    .put(authorizePermission('templates:manage'), validate(updateTemplateSchema), updateTemplate)
+    .delete(authorizePermission('templates:manage'), validate(templateIdSchema), deleteTemplate);
+
+module.exports = router;
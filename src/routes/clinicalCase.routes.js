@@ -4,26 +4,100 @@ const {
     createCase,
     getCases,
     getCase,
+    getCaseInterpretation,
+    getAudiogramChart,
     updateCase,
     deleteCase,
     reviewCase,
-    getEnums
+    submitCase,
+    reopenCase,
+    getEnums,
+    getCaseHistory,
+    getCaseRevision,
+    getCaseDiff,
+    restoreCaseRevision
 } = require('../controllers/clinicalCase.controller');
-const { protect, authorize } = require('../middleware/auth.middleware');
+const {
+    getComments,
+    addComment,
+    updateComment,
+    resolveComment,
+    markCommentsRead
+} = require('../controllers/caseComment.controller');
+const {
+    authorizeUpload,
+    uploadAttachments,
+    getAttachments,
+    downloadAttachment,
+    deleteAttachment
+} = require('../controllers/caseAttachment.controller');
+const { protect, authorizePermission } = require('../middleware/auth.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const upload = require('../middleware/upload.middleware');
+const {
+    createCaseSchema,
+    updateCaseSchema,
+    caseIdSchema,
+    audiogramChartSchema,
+    getCasesSchema,
+    submitCaseSchema,
+    reviewCaseSchema,
+    reopenCaseSchema,
+    caseRevisionSchema,
+    caseDiffSchema,
+    getCommentsSchema,
+    addCommentSchema,
+    updateCommentSchema,
+    resolveCommentSchema,
+    uploadAttachmentsSchema,
+    attachmentIdSchema,
+    downloadAttachmentSchema
+} = require('../validators/clinicalCase.validators');
 
 router.use(protect);
 
 router.get('/enums', getEnums);
 
 router.route('/')
-    .get(getCases)
-    .post(authorize('Student'), createCase);
+    .get(validate(getCasesSchema), getCases)
+    .post(authorizePermission('cases:create'), validate(createCaseSchema), createCase);
 
 router.route('/:id')
-    .get(getCase)
-    .put(updateCase)
-    .delete(authorize('Admin'), deleteCase);
+    .get(validate(caseIdSchema), getCase)
+    .put(validate(updateCaseSchema), updateCase)
+    .delete(authorizePermission('cases:delete'), validate(caseIdSchema), deleteCase);
+
+router.get('/:id/interpretation', validate(caseIdSchema), getCaseInterpretation);
+router.get('/:id/audiogram.:format', validate(audiogramChartSchema), getAudiogramChart);
+router.post('/:id/submit', validate(submitCaseSchema), submitCase);
+router.put('/:id/review', authorizePermission('cases:review'), validate(reviewCaseSchema), reviewCase);
+router.put('/:id/reopen', authorizePermission('cases:reopen'), validate(reopenCaseSchema), reopenCase);
+
+// Revision history
+router.get('/:id/history', validate(caseIdSchema), getCaseHistory);
+router.get('/:id/history/:revision', validate(caseRevisionSchema), getCaseRevision);
+router.post('/:id/history/:revision/restore', authorizePermission('cases:review'), validate(caseRevisionSchema), restoreCaseRevision);
+router.get('/:id/diff', validate(caseDiffSchema), getCaseDiff);
+
+// Review discussion
+router.route('/:id/comments')
+    .get(validate(getCommentsSchema), getComments)
+    .post(validate(addCommentSchema), addComment);
+router.put('/:id/comments/read', validate(caseIdSchema), markCommentsRead);
+router.put('/:id/comments/:commentId', validate(updateCommentSchema), updateComment);
+router.put('/:id/comments/:commentId/resolve', validate(resolveCommentSchema), resolveComment);
 
-router.put('/:id/review', authorize('Supervisor', 'Admin'), reviewCase);
+// Attachments (multipart form, files in the 'files' field)
+router.route('/:id/attachments')
+    .get(validate(caseIdSchema), getAttachments)
+    .post(
+        validate(caseIdSchema),
+        authorizeUpload,
+        upload.uploadAttachments,
+        validate(uploadAttachmentsSchema),
+        uploadAttachments
+    );
+router.delete('/:id/attachments/:attachmentId', validate(attachmentIdSchema), deleteAttachment);
+router.get('/:id/attachments/:attachmentId/download', validate(downloadAttachmentSchema), downloadAttachment);
 
 module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const {
+    startImpersonation,
+    stopImpersonation,
+    endImpersonation,
+    getImpersonations
+} = require('../controllers/impersonation.controller');
+const { protect, authorizePermission, allowWhileImpersonating } = require('../middleware/auth.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const {
+    startImpersonationSchema,
+    impersonationIdSchema,
+    getImpersonationsSchema
+} = require('../validators/impersonation.validators');
+
+// The only write allowed with an impersonation token (must be before router.use(protect))
+router.post('/stop', allowWhileImpersonating, protect, stopImpersonation);
+
+router.use(protect);
+
+router.get('/', authorizePermission('audit:read'), validate(getImpersonationsSchema), getImpersonations);
+router.post('/start', authorizePermission('users:impersonate'), validate(startImpersonationSchema), startImpersonation);
+router.delete('/:id', authorizePermission('users:impersonate'), validate(impersonationIdSchema), endImpersonation);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const {
+    createInvitation,
+    getInvitations,
+    revokeInvitation,
+    getInvitationByCode
+} = require('../controllers/invitation.controller');
+const { protect, authorizePermission } = require('../middleware/auth.middleware');
+const { authLimiter } = require('../middleware/rateLimit.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const {
+    createInvitationSchema,
+    getInvitationsSchema,
+    invitationIdSchema,
+    invitationCodeSchema
+} = require('../validators/invitation.validators');
+
+// Public lookup (must be before protected routes)
+router.get('/code/:code', authLimiter, validate(invitationCodeSchema), getInvitationByCode);
+
+router.use(protect);
+router.use(authorizePermission('invitations:manage'));
+
+router.route('/')
+    .get(validate(getInvitationsSchema), getInvitations)
+    .post(validate(createInvitationSchema), createInvitation);
+
+router.delete('/:id', validate(invitationIdSchema), revokeInvitation);
+
+module.exports = router;
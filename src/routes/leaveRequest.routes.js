@@ -9,21 +9,29 @@ const {
     reviewLeaveRequest,
     getPendingCount
 } = require('../controllers/leaveRequest.controller');
-const { protect, authorize } = require('../middleware/auth.middleware');
+const { protect, authorizePermission } = require('../middleware/auth.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const {
+    createLeaveSchema,
+    updateLeaveSchema,
+    leaveIdSchema,
+    getLeavesSchema,
+    reviewLeaveSchema
+} = require('../validators/leaveRequest.validators');
 
 router.use(protect);
 
-router.get('/pending-count', authorize('Supervisor', 'Admin'), getPendingCount);
+router.get('/pending-count', authorizePermission('leave:review'), getPendingCount);
 
 router.route('/')
-    .get(getLeaveRequests)
-    .post(authorize('Student'), createLeaveRequest);
+    .get(validate(getLeavesSchema), getLeaveRequests)
+    .post(authorizePermission('leave:request'), validate(createLeaveSchema), createLeaveRequest);
 
 router.route('/:id')
-    .get(getLeaveRequest)
-    .put(updateLeaveRequest);
+    .get(validate(leaveIdSchema), getLeaveRequest)
+    .put(validate(updateLeaveSchema), updateLeaveRequest);
 
-router.put('/:id/cancel', cancelLeaveRequest);
-router.put('/:id/review', authorize('Supervisor', 'Admin'), reviewLeaveRequest);
+router.put('/:id/cancel', validate(leaveIdSchema), cancelLeaveRequest);
+router.put('/:id/review', authorizePermission('leave:review'), validate(reviewLeaveSchema), reviewLeaveRequest);
 
 module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const {
+    createPatient,
+    getPatients,
+    getPatient,
+    updatePatient,
+    getPatientTimeline
+} = require('../controllers/patient.controller');
+const { protect, authorizePermission } = require('../middleware/auth.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const {
+    createPatientSchema,
+    updatePatientSchema,
+    patientIdSchema,
+    getPatientsSchema
+} = require('../validators/patient.validators');
+
+router.use(protect);
+
+router.route('/')
+    .get(validate(getPatientsSchema), getPatients)
+    .post(authorizePermission('cases:create'), validate(createPatientSchema), createPatient);
+
+router.route('/:id')
+    .get(validate(patientIdSchema), getPatient)
+    .put(authorizePermission('patients:manage'), validate(updatePatientSchema), updatePatient);
+
+router.get('/:id/timeline', validate(patientIdSchema), getPatientTimeline);
+
+module.exports = router;
@@ -10,30 +10,39 @@ const {
     getFilterOptions,
     getProgressAnalytics
 } = require('../controllers/professor.controller');
-const { protect, authorize } = require('../middleware/auth.middleware');
-
-// All routes require authentication and Supervisor/Admin role
+const { protect, authorizePermission } = require('../middleware/auth.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const {
+    getStudentsSchema,
+    studentDetailsSchema,
+    pendingItemsSchema,
+    reviewCaseSchema,
+    bulkReviewSchema,
+    progressAnalyticsSchema
+} = require('../validators/professor.validators');
+
+// All routes require authentication and access to student records
 router.use(protect);
-router.use(authorize('Supervisor', 'Admin'));
+router.use(authorizePermission('students:read'));
 
 // Dashboard
 router.get('/dashboard', getProfessorDashboard);
 
 // Students
-router.get('/students', getAllStudents);
-router.get('/students/:id', getStudentDetails);
+router.get('/students', validate(getStudentsSchema), getAllStudents);
+router.get('/students/:id', validate(studentDetailsSchema), getStudentDetails);
 
 // Pending items (cases and leave requests)
-router.get('/pending', getPendingItems);
+router.get('/pending', validate(pendingItemsSchema), getPendingItems);
 
 // Clinical case review
-router.put('/cases/:id/review', reviewClinicalCase);
-router.put('/cases/bulk-review', bulkReviewCases);
+router.put('/cases/:id/review', authorizePermission('cases:review'), validate(reviewCaseSchema), reviewClinicalCase);
+router.put('/cases/bulk-review', authorizePermission('cases:review'), validate(bulkReviewSchema), bulkReviewCases);
 
 // Filter options
 router.get('/filters', getFilterOptions);
 
 // Analytics
-router.get('/analytics/progress', getProgressAnalytics);
+router.get('/analytics/progress', validate(progressAnalyticsSchema), getProgressAnalytics);
 
 module.exports = router;
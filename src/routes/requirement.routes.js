@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getRequirements,
+    getRequirement,
+    createRequirement,
+    updateRequirement,
+    deleteRequirement,
+    getProgressReport,
+    getStudentProgress
+} = require('../controllers/requirement.controller');
+const { protect, authorizePermission } = require('../middleware/auth.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const {
+    createRequirementSchema,
+    updateRequirementSchema,
+    requirementIdSchema,
+    getRequirementsSchema,
+    getProgressReportSchema,
+    studentProgressSchema
+} = require('../validators/requirement.validators');
+
+router.use(protect);
+
+router.get('/progress', validate(getProgressReportSchema), getProgressReport);
+router.get('/progress/:studentId', validate(studentProgressSchema), getStudentProgress);
+
+router.route('/')
+    .get(validate(getRequirementsSchema), getRequirements)
+    .post(authorizePermission('requirements:manage'), validate(createRequirementSchema), createRequirement);
+
+router.route('/:id')
+    .get(validate(requirementIdSchema), getRequirement)
+    .put(authorizePermission('requirements:manage'), validate(updateRequirementSchema), updateRequirement)
+    .delete(authorizePermission('requirements:manage'), validate(requirementIdSchema), deleteRequirement);
+
+module.exports = router;
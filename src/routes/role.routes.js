@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getRoles,
+    getPermissions,
+    createRole,
+    updateRole,
+    deleteRole
+} = require('../controllers/role.controller');
+const { protect, authorizePermission } = require('../middleware/auth.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const { createRoleSchema, updateRoleSchema, roleIdSchema } = require('../validators/role.validators');
+
+router.use(protect);
+router.use(authorizePermission('roles:manage'));
+
+router.get('/permissions', getPermissions);
+
+router.route('/')
+    .get(getRoles)
+    .post(validate(createRoleSchema), createRole);
+
+router.route('/:id')
+    .put(validate(updateRoleSchema), updateRole)
+    .delete(validate(roleIdSchema), deleteRole);
+
+module.exports = router;
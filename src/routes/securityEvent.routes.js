@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const { getSecurityEvents } = require('../controllers/securityEvent.controller');
+const { protect, authorizePermission } = require('../middleware/auth.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const { getSecurityEventsSchema } = require('../validators/securityEvent.validators');
+
+router.use(protect);
+router.use(authorizePermission('security:read'));
+
+router.get('/', validate(getSecurityEventsSchema), getSecurityEvents);
+
+module.exports = router;
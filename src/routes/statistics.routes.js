@@ -3,14 +3,31 @@ const router = express.Router();
 const {
     getWeeklyStatistics,
     getDashboardStats,
-    getMonthlyReport
+    getMonthlyReport,
+    getClockHours,
+    getClockHourCategories,
+    updateClockHourCategories
 } = require('../controllers/statistics.controller');
-const { protect } = require('../middleware/auth.middleware');
+const { protect, authorizePermission } = require('../middleware/auth.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const {
+    weeklyStatsSchema,
+    dashboardSchema,
+    monthlyReportSchema,
+    clockHoursSchema,
+    clockHourCategoriesSchema
+} = require('../validators/statistics.validators');
 
 router.use(protect);
 
-router.get('/weekly', getWeeklyStatistics);
-router.get('/dashboard', getDashboardStats);
-router.get('/monthly', getMonthlyReport);
+router.get('/weekly', validate(weeklyStatsSchema), getWeeklyStatistics);
+router.get('/dashboard', validate(dashboardSchema), getDashboardStats);
+router.get('/monthly', validate(monthlyReportSchema), getMonthlyReport);
+
+// Clinical clock hours
+router.get('/clock-hours', validate(clockHoursSchema), getClockHours);
+router.route('/clock-hours/categories')
+    .get(getClockHourCategories)
+    .put(authorizePermission('settings:manage'), validate(clockHourCategoriesSchema), updateClockHourCategories);
 
 module.exports = router;
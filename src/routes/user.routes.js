@@ -9,29 +9,44 @@ const {
     getMyStudents,
     assignSupervisor,
     updateHours,
+    unlockUser,
+    resetTwoFactor,
     updateProfile,
     changePassword
 } = require('../controllers/user.controller');
-const { protect, authorize } = require('../middleware/auth.middleware');
+const { protect, authorizePermission } = require('../middleware/auth.middleware');
+const { validate } = require('../middleware/validate.middleware');
+const {
+    getUsersSchema,
+    createUserSchema,
+    updateUserSchema,
+    userIdSchema,
+    assignSupervisorSchema,
+    updateHoursSchema,
+    updateProfileSchema,
+    changePasswordSchema
+} = require('../validators/user.validators');
 
 router.use(protect);
 
 // Profile routes (must be before /:id routes)
-router.put('/profile', updateProfile);
-router.put('/change-password', changePassword);
+router.put('/profile', validate(updateProfileSchema), updateProfile);
+router.put('/change-password', validate(changePasswordSchema), changePassword);
 
 router.route('/')
-    .get(authorize('Admin', 'Supervisor'), getUsers)
-    .post(authorize('Admin'), createUser);
+    .get(authorizePermission('users:read'), validate(getUsersSchema), getUsers)
+    .post(authorizePermission('users:manage'), validate(createUserSchema), createUser);
 
-router.get('/my-students', authorize('Supervisor'), getMyStudents);
+router.get('/my-students', authorizePermission('students:read'), getMyStudents);
 
 router.route('/:id')
-    .get(getUser)
-    .put(authorize('Admin'), updateUser)
-    .delete(authorize('Admin'), deleteUser);
+    .get(validate(userIdSchema), getUser)
+    .put(authorizePermission('users:manage'), validate(updateUserSchema), updateUser)
+    .delete(authorizePermission('users:manage'), validate(userIdSchema), deleteUser);
 
-router.put('/:id/assign-supervisor', authorize('Admin'), assignSupervisor);
-router.put('/:id/update-hours', authorize('Admin', 'Supervisor'), updateHours);
+router.put('/:id/assign-supervisor', authorizePermission('users:manage'), validate(assignSupervisorSchema), assignSupervisor);
+router.put('/:id/update-hours', authorizePermission('users:hours'), validate(updateHoursSchema), updateHours);
+router.put('/:id/unlock', authorizePermission('users:manage'), validate(userIdSchema), unlockUser);
+router.put('/:id/reset-2fa', authorizePermission('users:manage'), validate(userIdSchema), resetTwoFactor);
 
 module.exports = router;
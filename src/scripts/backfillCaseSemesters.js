@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const path = require('path');
+
+// Load environment variables
+dotenv.config({ path: path.join(__dirname, '../../.env') });
+
+const ClinicalCase = require('../models/ClinicalCase.model');
+const User = require('../models/User.model');
+
+// Cases record the student's semester when they are logged, and only cases
+// from the current semester count toward the competency requirements. Cases
+// logged before that field existed have no semester; this sets it to the
+// student's current semester, so their existing approved cases count.
+//
+// Run with --dry-run to only count what would change. Safe to run twice.
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const backfillCaseSemesters = async () => {
+    try {
+        // Connect to MongoDB
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('📦 Connected to MongoDB');
+
+        const missing = { semester: { $exists: false } };
+        const studentIds = await ClinicalCase.collection.distinct('student', missing);
+        const students = await User.find({ _id: { $in: studentIds } }).select('semester').lean();
+
+        let updated = 0;
+        for (const student of students) {
+            if (!student.semester) continue;
+
+            const filter = { ...missing, student: student._id };
+            if (DRY_RUN) {
+                updated += await ClinicalCase.collection.countDocuments(filter);
+            } else {
+                const result = await ClinicalCase.collection.updateMany(filter, { $set: { semester: student.semester } });
+                updated += result.modifiedCount;
+            }
+        }
+
+        const skipped = await ClinicalCase.collection.countDocuments(missing) - (DRY_RUN ? updated : 0);
+
+        console.log(`${DRY_RUN ? '🔍 Would set' : '✅ Set'} the semester on ${updated} clinical cases`);
+        if (skipped) console.log(`⚠️  ${skipped} cases belong to users without a semester and were left unset`);
+
+        // Disconnect
+        await mongoose.disconnect();
+        console.log('👋 Disconnected from MongoDB');
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error:', error.message);
+        process.exit(1);
+    }
+};
+
+backfillCaseSemesters();
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const path = require('path');
+
+// Load environment variables
+dotenv.config({ path: path.join(__dirname, '../../.env') });
+
+const ClinicalCase = require('../models/ClinicalCase.model');
+const CaseRevision = require('../models/CaseRevision.model');
+
+// Converts audiogramData from the old shape, thresholds keyed by frequency with
+// one masking flag per ear:
+//   { airConduction: { 500: 40 }, boneConduction: { 500: 10 }, masking: true }
+// to lists of thresholds that each carry their own flags:
+//   { airConduction: [{ frequency: 500, threshold: 40, masked: true, noResponse: false }], ... }
+//
+// The old flag did not say which thresholds were masked, so every threshold of
+// an ear that had it set is marked as masked. Case revision snapshots are
+// converted too so old revisions can still be compared and restored.
+//
+// Run with --dry-run to only count what would change. Safe to run twice.
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const EARS = ['rightEar', 'leftEar'];
+const CONDUCTIONS = ['airConduction', 'boneConduction'];
+
+const isOldShape = (audiogramData) => EARS.some(ear => {
+    const earData = audiogramData?.[ear];
+    return earData && ('masking' in earData ||
+        CONDUCTIONS.some(conduction => earData[conduction] && !Array.isArray(earData[conduction])));
+});
+
+const convertEar = (earData) => {
+    const { masking, ...rest } = earData;
+    const converted = { ...rest };
+
+    CONDUCTIONS.forEach(conduction => {
+        const thresholds = earData[conduction];
+        if (!thresholds || Array.isArray(thresholds)) return;
+
+        converted[conduction] = Object.entries(thresholds)
+            .filter(([, threshold]) => typeof threshold === 'number')
+            .map(([frequency, threshold]) => ({
+                frequency: Number(frequency),
+                threshold,
+                masked: !!masking,
+                noResponse: false
+            }))
+            .sort((a, b) => a.frequency - b.frequency);
+    });
+
+    return converted;
+};
+
+const convert = (audiogramData) => EARS.reduce((result, ear) => {
+    if (audiogramData[ear]) {
+        result[ear] = convertEar(audiogramData[ear]);
+    }
+    return result;
+}, { ...audiogramData });
+
+// Convert every document in a collection whose audiogram lives at `field`
+const migrateCollection = async (collection, field) => {
+    const cursor = collection.find({ [field]: { $exists: true } }, { projection: { [field]: 1 } });
+    let converted = 0;
+
+    for await (const doc of cursor) {
+        const audiogramData = field.split('.').reduce((value, key) => value?.[key], doc);
+        if (!isOldShape(audiogramData)) continue;
+
+        converted++;
+        if (!DRY_RUN) {
+            await collection.updateOne({ _id: doc._id }, { $set: { [field]: convert(audiogramData) } });
+        }
+    }
+
+    return converted;
+};
+
+const migrateAudiogramData = async () => {
+    try {
+        // Connect to MongoDB
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('📦 Connected to MongoDB');
+
+        // Native collections, so documents are not cast to the new schema before conversion
+        const cases = await migrateCollection(ClinicalCase.collection, 'audiogramData');
+        const revisions = await migrateCollection(CaseRevision.collection, 'snapshot.audiogramData');
+
+        console.log(`${DRY_RUN ? '🔍 Would convert' : '✅ Converted'} ${cases} clinical cases and ${revisions} case revisions`);
+
+        // Disconnect
+        await mongoose.disconnect();
+        console.log('👋 Disconnected from MongoDB');
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error:', error.message);
+        process.exit(1);
+    }
+};
+
+migrateAudiogramData();
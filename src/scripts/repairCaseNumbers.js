@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const path = require('path');
+
+// Load environment variables
+dotenv.config({ path: path.join(__dirname, '../../.env') });
+
+const { checkCaseNumbers, repairCaseNumbers } = require('../services/caseNumbering.service');
+
+// Reports duplicate, missing and malformed case numbers, gaps, and counters
+// behind the data. Run with --fix to renumber the affected cases and raise
+// the counters; without it nothing is changed.
+
+const FIX = process.argv.includes('--fix');
+
+const printReport = (report) => {
+    console.log(`🔢 Checked ${report.total} clinical cases`);
+
+    report.duplicates.forEach(({ caseNumber, keptBy, others }) => {
+        console.log(`⚠️  ${caseNumber} is used by ${others.length + 1} cases (kept by ${keptBy._id})`);
+    });
+    if (report.missing.length) console.log(`⚠️  ${report.missing.length} cases have no case number`);
+    if (report.malformed.length) console.log(`⚠️  ${report.malformed.length} cases have a malformed case number`);
+
+    report.laggingCounters.forEach(({ month, counter, highest }) => {
+        console.log(`⚠️  Counter for ${month} is at ${counter} but numbers go up to ${highest}`);
+    });
+    report.gaps.forEach(({ month, highest, unused }) => {
+        console.log(`ℹ️  ${month}: unused numbers below ${highest}: ${unused.join(', ')}`);
+    });
+};
+
+const run = async () => {
+    try {
+        // Connect to MongoDB
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('📦 Connected to MongoDB');
+
+        const report = FIX ? await repairCaseNumbers() : await checkCaseNumbers();
+        printReport(report);
+
+        if (FIX) {
+            report.renumbered.forEach(({ id, from, to }) => console.log(`✅ ${id}: ${from || '(none)'} -> ${to}`));
+            console.log(`✅ Renumbered ${report.renumbered.length} cases`);
+        } else {
+            console.log('Run again with --fix to repair duplicates, missing numbers and counters');
+        }
+
+        // Disconnect
+        await mongoose.disconnect();
+        console.log('👋 Disconnected from MongoDB');
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error:', error.message);
+        process.exit(1);
+    }
+};
+
+run();
@@ -6,6 +6,7 @@ const path = require('path');
 dotenv.config({ path: path.join(__dirname, '../../.env') });
 
 const User = require('../models/User.model');
+const Role = require('../models/Role.model');
 
 const seedProfessor = async () => {
     try {
@@ -13,6 +14,9 @@ const seedProfessor = async () => {
         await mongoose.connect(process.env.MONGODB_URI);
         console.log('📦 Connected to MongoDB');
 
+        // The Supervisor role must exist before a user can be given it
+        await Role.seedDefaults();
+
         // Check if professor already exists
         const existingProfessor = await User.findOne({ email: 'professor@srish.edu.in' });
 
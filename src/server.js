@@ -3,12 +3,15 @@ const cors = require('cors');
 const morgan = require('morgan');
 const dotenv = require('dotenv');
 const connectDB = require('./config/db');
+const { requestContext } = require('./middleware/requestContext.middleware');
+const Role = require('./models/Role.model');
 
 // Load environment variables
 dotenv.config();
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB and make sure the built-in roles exist
+connectDB().then(() => Role.seedDefaults())
+    .catch(err => console.error(`❌ Role seeding error: ${err.message}`));
 
 const app = express();
 
@@ -17,7 +20,8 @@ app.use(cors({
   origin: true,  // Allow all origins
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  exposedHeaders: ['X-Impersonated-By']
 }));
 
 // Handle preflight requests
@@ -25,15 +29,24 @@ app.options('*', cors());
 
 app.use(express.json());
 app.use(morgan('dev'));
+app.use(requestContext);
 
 // Routes
 app.use('/api/auth', require('./routes/auth.routes'));
 app.use('/api/users', require('./routes/user.routes'));
 app.use('/api/clinical-cases', require('./routes/clinicalCase.routes'));
+app.use('/api/patients', require('./routes/patient.routes'));
+app.use('/api/case-templates', require('./routes/caseTemplate.routes'));
+app.use('/api/requirements', require('./routes/requirement.routes'));
 app.use('/api/attendance', require('./routes/attendance.routes'));
 app.use('/api/leave-requests', require('./routes/leaveRequest.routes'));
 app.use('/api/statistics', require('./routes/statistics.routes'));
 app.use('/api/professor', require('./routes/professor.routes'));
+app.use('/api/security-events', require('./routes/securityEvent.routes'));
+app.use('/api/invitations', require('./routes/invitation.routes'));
+app.use('/api/roles', require('./routes/role.routes'));
+app.use('/api/audit', require('./routes/audit.routes'));
+app.use('/api/impersonation', require('./routes/impersonation.routes'));
 
 // Health check route
 app.get('/api/health', (req, res) => {
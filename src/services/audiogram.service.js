@@ -0,0 +1,155 @@
+const ClinicalCase = require('../models/ClinicalCase.model');
+
+// Interpretation of a case's pure tone audiogram: the pure tone average (PTA)
+// per ear, the degree and type of loss it points to, and where the findings the
+// student wrote down disagree with the thresholds.
+
+const HEARING_LOSS_DEGREES = ClinicalCase.schema.path('findings.hearingLossDegree.rightEar').enumValues;
+
+// Classic three-frequency average
+const PTA_FREQUENCIES = [500, 1000, 2000];
+
+// Upper limit (dB HL) of each band, in the same order as HEARING_LOSS_DEGREES
+const DEGREE_LIMITS = [25, 40, 55, 70, 90, Infinity];
+
+// Normal hearing limit and the air-bone gap (dB) that counts as a conductive component
+const NORMAL_LIMIT = DEGREE_LIMITS[0];
+const AIR_BONE_GAP_LIMIT = 15;
+
+// Types that can be told from air and bone thresholds alone. Anything else
+// (auditory neuropathy, CAPD, ...) needs other tests, so it is never flagged.
+const DERIVABLE_TYPES = ['Normal', 'Conductive', 'Sensorineural', 'Mixed'];
+
+const EARS = { rightEar: 'Right ear', leftEar: 'Left ear' };
+
+// Get the thresholds recorded at the PTA frequencies, or null if any is missing
+const ptaThresholds = (thresholds) => {
+    const points = PTA_FREQUENCIES.map(freq => (thresholds || []).find(point => point.frequency === freq));
+    return points.some(point => typeof point?.threshold !== 'number') ? null : points;
+};
+
+// Average the thresholds at the PTA frequencies, or null if any is missing
+const pureToneAverage = (thresholds) => {
+    const points = ptaThresholds(thresholds);
+    if (!points) return null;
+
+    const average = points.reduce((sum, point) => sum + point.threshold, 0) / points.length;
+    return Math.round(average * 10) / 10;
+};
+
+// Get the HEARING_LOSS_DEGREES entry a PTA falls in
+const degreeForPTA = (pta) => {
+    if (pta === null) return null;
+    const index = DEGREE_LIMITS.findIndex(limit => Math.round(pta) <= limit);
+    return HEARING_LOSS_DEGREES[index];
+};
+
+// Classify the type of loss from the air and bone PTAs, or null when the
+// thresholds cannot tell (no bone PTA, or a mild air loss over normal bone
+// conduction without a real air-bone gap)
+const typeForPTA = (airPta, bonePta) => {
+    if (airPta === null) return null;
+    if (Math.round(airPta) <= NORMAL_LIMIT) return 'Normal';
+    if (bonePta === null) return null;
+
+    const boneNormal = Math.round(bonePta) <= NORMAL_LIMIT;
+
+    if (airPta - bonePta >= AIR_BONE_GAP_LIMIT) {
+        return boneNormal ? 'Conductive' : 'Mixed';
+    }
+    return boneNormal ? null : 'Sensorineural';
+};
+
+// Interpret one ear of audiogramData
+const interpretEar = (earData) => {
+    const pta = pureToneAverage(earData?.airConduction);
+    const bonePta = pureToneAverage(earData?.boneConduction);
+
+    return {
+        pta,
+        // A no-response threshold in the average means the real PTA is at least this
+        ptaIsMinimum: !!ptaThresholds(earData?.airConduction)?.some(point => point.noResponse),
+        bonePta,
+        airBoneGap: pta !== null && bonePta !== null ? Math.round((pta - bonePta) * 10) / 10 : null,
+        degree: degreeForPTA(pta),
+        type: typeForPTA(pta, bonePta)
+    };
+};
+
+// Get the degree bands as { degree, min, max } in dB HL, for charts
+const getDegreeBands = () => DEGREE_LIMITS.map((limit, index) => ({
+    degree: HEARING_LOSS_DEGREES[index],
+    min: index === 0 ? -10 : DEGREE_LIMITS[index - 1] + 1,
+    max: limit === Infinity ? 120 : limit
+}));
+
+// List every recorded threshold as { ear, conduction, frequency, threshold, masked, noResponse }
+const getThresholdPoints = (audiogramData) => {
+    const points = [];
+
+    Object.keys(EARS).forEach(ear => {
+        const earData = audiogramData?.[ear];
+
+        ['airConduction', 'boneConduction'].forEach(conduction => {
+            (earData?.[conduction] || []).forEach(point => points.push({
+                ear,
+                conduction,
+                frequency: point.frequency,
+                threshold: point.threshold,
+                masked: !!point.masked,
+                noResponse: !!point.noResponse
+            }));
+        });
+    });
+
+    return points;
+};
+
+// Interpret a case's audiogram and flag findings that disagree with it
+const interpret = (clinicalCase) => {
+    const interpretation = {};
+    const flags = [];
+
+    Object.entries(EARS).forEach(([ear, label]) => {
+        const result = interpretEar(clinicalCase.audiogramData?.[ear]);
+        interpretation[ear] = result;
+
+        // With a no-response threshold in the PTA only a milder stated degree is wrong
+        const statedDegree = clinicalCase.findings?.hearingLossDegree?.[ear];
+        const degreeGap = HEARING_LOSS_DEGREES.indexOf(result.degree) - HEARING_LOSS_DEGREES.indexOf(statedDegree);
+        if (statedDegree && result.degree && (result.ptaIsMinimum ? degreeGap > 0 : degreeGap !== 0)) {
+            flags.push({
+                ear,
+                field: 'hearingLossDegree',
+                stated: statedDegree,
+                expected: result.degree,
+                message: `${label}: degree recorded as ${statedDegree} but the PTA of ${result.ptaIsMinimum ? 'at least ' : ''}${result.pta} dB HL is ${result.degree}`
+            });
+        }
+
+        const statedType = clinicalCase.findings?.hearingLossType?.[ear];
+        if (DERIVABLE_TYPES.includes(statedType) && result.type && statedType !== result.type) {
+            flags.push({
+                ear,
+                field: 'hearingLossType',
+                stated: statedType,
+                expected: result.type,
+                message: `${label}: type recorded as ${statedType} but the thresholds point to ${result.type}` +
+                    (result.airBoneGap !== null ? ` (air-bone gap ${result.airBoneGap} dB)` : '')
+            });
+        }
+    });
+
+    return { ...interpretation, flags };
+};
+
+module.exports = {
+    PTA_FREQUENCIES,
+    AIR_BONE_GAP_LIMIT,
+    pureToneAverage,
+    degreeForPTA,
+    typeForPTA,
+    getDegreeBands,
+    getThresholdPoints,
+    interpret
+};
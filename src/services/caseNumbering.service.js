@@ -0,0 +1,106 @@
+const ClinicalCase = require('../models/ClinicalCase.model');
+const Counter = require('../models/Counter.model');
+
+// Consistency checks for case numbers written before numbering moved to
+// per-month counters: duplicates, cases without a (well-formed) number,
+// gaps left by deleted cases, and counters lagging behind the data.
+
+// Longest list of gap numbers reported for one month
+const MAX_GAPS_LISTED = 50;
+
+// Scan every case and report numbering problems
+const checkCaseNumbers = async () => {
+    const cases = await ClinicalCase.find()
+        .select('caseNumber createdAt')
+        .sort({ createdAt: 1, _id: 1 })
+        .lean();
+
+    const byNumber = new Map();
+    const months = new Map();
+    const missing = [];
+    const malformed = [];
+
+    cases.forEach(clinicalCase => {
+        if (!clinicalCase.caseNumber) {
+            missing.push(clinicalCase);
+            return;
+        }
+
+        const parsed = ClinicalCase.parseCaseNumber(clinicalCase.caseNumber);
+        if (!parsed) {
+            malformed.push(clinicalCase);
+            return;
+        }
+
+        if (!byNumber.has(clinicalCase.caseNumber)) byNumber.set(clinicalCase.caseNumber, []);
+        byNumber.get(clinicalCase.caseNumber).push(clinicalCase);
+
+        if (!months.has(parsed.month)) months.set(parsed.month, new Set());
+        months.get(parsed.month).add(parsed.seq);
+    });
+
+    // The oldest case keeps a shared number, the rest need new ones
+    const duplicates = [...byNumber.entries()]
+        .filter(([, holders]) => holders.length > 1)
+        .map(([caseNumber, holders]) => ({ caseNumber, keptBy: holders[0], others: holders.slice(1) }));
+
+    const gaps = [];
+    const laggingCounters = [];
+
+    for (const [month, used] of months) {
+        const highest = Math.max(...used);
+        const unused = [];
+        for (let seq = 1; seq <= highest && unused.length < MAX_GAPS_LISTED; seq++) {
+            if (!used.has(seq)) unused.push(seq);
+        }
+        if (unused.length) gaps.push({ month, highest, unused });
+
+        const counter = await Counter.current(ClinicalCase.caseNumberCounter(month));
+        if (counter < highest) laggingCounters.push({ month, counter, highest });
+    }
+
+    return { total: cases.length, duplicates, missing, malformed, gaps, laggingCounters };
+};
+
+// Fix what checkCaseNumbers finds: raise lagging counters, then give new numbers
+// (in the month each case was created) to duplicates and cases without a valid
+// number. Gaps are only reported - renumbering would break printed references.
+const repairCaseNumbers = async () => {
+    const report = await checkCaseNumbers();
+
+    for (const { month, highest } of report.laggingCounters) {
+        await Counter.raiseTo(ClinicalCase.caseNumberCounter(month), highest);
+    }
+
+    const toRenumber = [
+        ...report.duplicates.flatMap(duplicate => duplicate.others),
+        ...report.missing,
+        ...report.malformed
+    ];
+
+    const renumbered = [];
+    for (const clinicalCase of toRenumber) {
+        let caseNumber = null;
+        while (!caseNumber) {
+            const candidate = await ClinicalCase.nextCaseNumber(clinicalCase.createdAt || new Date());
+            if (await ClinicalCase.exists({ caseNumber: candidate })) continue;
+
+            try {
+                await ClinicalCase.updateOne({ _id: clinicalCase._id }, { $set: { caseNumber: candidate } });
+                caseNumber = candidate;
+            } catch (error) {
+                // A new case was saved with this number meanwhile; take the next one
+                if (error.code !== 11000) throw error;
+            }
+        }
+
+        renumbered.push({ id: clinicalCase._id, from: clinicalCase.caseNumber || null, to: caseNumber });
+    }
+
+    return { ...report, renumbered };
+};
+
+module.exports = {
+    checkCaseNumbers,
+    repairCaseNumbers
+};
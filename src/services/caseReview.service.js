@@ -0,0 +1,174 @@
+const ClinicalCase = require('../models/ClinicalCase.model');
+const CaseComment = require('../models/CaseComment.model');
+const { hasPermission } = require('../config/permissions');
+const { canAccessStudent } = require('../utils/studentScope');
+
+// The case review workflow. Each status lists the statuses it can move to and
+// who may make that move: 'owner' is the student who logged the case, anything
+// else is a permission the user needs (for a student in their scope).
+//
+//   Draft -> Pending -> Revision Required -> Pending -> Approved / Rejected
+//   Approved / Rejected -> Pending (reopened by an admin)
+const TRANSITIONS = {
+    'Draft': { 'Pending': 'owner' },
+    'Pending': {
+        'Approved': 'cases:review',
+        'Rejected': 'cases:review',
+        'Revision Required': 'cases:review'
+    },
+    'Revision Required': { 'Pending': 'owner' },
+    'Approved': { 'Pending': 'cases:reopen' },
+    'Rejected': { 'Pending': 'cases:reopen' }
+};
+
+// Statuses reached by a supervisor's review (these set reviewedAt)
+const REVIEW_STATUSES = ['Approved', 'Rejected', 'Revision Required'];
+
+// Statuses that must come with a comment explaining them
+const COMMENT_REQUIRED = ['Revision Required'];
+
+// Statuses in which the student may still edit their case
+const OWNER_EDITABLE_STATUSES = ['Draft', 'Pending', 'Revision Required'];
+
+const getStatus = (clinicalCase) => clinicalCase.supervisorApproval?.status || 'Pending';
+
+// Get the statuses a case can move to next
+const getAllowedTransitions = (status) => Object.keys(TRANSITIONS[status] || {});
+
+// Check whether a user may move a case to a status.
+// Returns null when allowed, otherwise { statusCode, message }.
+const checkTransition = async (clinicalCase, to, req, comment) => {
+    const from = getStatus(clinicalCase);
+    const requirement = TRANSITIONS[from]?.[to];
+
+    if (!requirement) {
+        const allowed = getAllowedTransitions(from);
+        return {
+            statusCode: 409,
+            message: `Cannot move a case from ${from} to ${to}` +
+                (allowed.length ? `. Allowed: ${allowed.join(', ')}` : '')
+        };
+    }
+
+    const studentId = clinicalCase.student?._id || clinicalCase.student;
+
+    if (requirement === 'owner') {
+        if (studentId.toString() !== req.user._id.toString()) {
+            return { statusCode: 403, message: 'Only the student who logged this case can submit it' };
+        }
+    } else if (!hasPermission(req, requirement) || !(await canAccessStudent(req, studentId, requirement))) {
+        return { statusCode: 403, message: `Not authorized to mark this case as ${to}` };
+    }
+
+    if (COMMENT_REQUIRED.includes(to) && !(comment && comment.trim())) {
+        return { statusCode: 400, message: `A comment is required when marking a case as ${to}` };
+    }
+
+    return null;
+};
+
+// Move a case to a new status and record the transition. The update only
+// applies if the case is still in the status it was checked in, so two
+// reviewers acting at once cannot both succeed. Returns the updated case,
+// or null if someone else changed it first.
+const applyTransition = async (clinicalCase, to, req, comment) => {
+    const from = getStatus(clinicalCase);
+    const now = new Date();
+
+    const update = {
+        'supervisorApproval.status': to,
+        isCompleted: to === 'Approved'
+    };
+
+    if (REVIEW_STATUSES.includes(to)) {
+        update['supervisorApproval.reviewedAt'] = now;
+        update['supervisorApproval.comments'] = comment || '';
+        update.supervisor = req.user._id;
+    }
+
+    const updated = await ClinicalCase.findOneAndUpdate(
+        {
+            _id: clinicalCase._id,
+            // Cases saved before statuses were enforced may have none
+            ...(from === 'Pending'
+                ? { 'supervisorApproval.status': { $in: ['Pending', null] } }
+                : { 'supervisorApproval.status': from })
+        },
+        {
+            $set: update,
+            $push: {
+                statusHistory: {
+                    from,
+                    to,
+                    actor: req.user._id,
+                    actorRole: req.user.role,
+                    comment,
+                    at: now
+                }
+            }
+        },
+        { new: true, runValidators: true }
+    );
+
+    if (updated) {
+        // Keep the remarks in the case discussion, which later reviews don't overwrite
+        await CaseComment.recordReview(updated, req.user, to, comment);
+    }
+
+    return updated;
+};
+
+// Check and apply a transition in one go.
+// Returns { clinicalCase } on success or { error: { statusCode, message } }.
+const transition = async (clinicalCase, to, req, comment) => {
+    const error = await checkTransition(clinicalCase, to, req, comment);
+    if (error) {
+        return { error };
+    }
+
+    const updated = await applyTransition(clinicalCase, to, req, comment);
+    if (!updated) {
+        return {
+            error: { statusCode: 409, message: 'This case was changed by someone else. Please reload and try again.' }
+        };
+    }
+
+    return { clinicalCase: updated };
+};
+
+// Review many cases at once. Each case goes through the same checks as a
+// single review; cases that cannot move are skipped with the reason.
+const bulkTransition = async (caseIds, to, req, comment) => {
+    const cases = await ClinicalCase.find({ _id: { $in: caseIds } });
+    const updated = [];
+    const skipped = [];
+
+    for (const caseId of caseIds) {
+        const clinicalCase = cases.find(c => c._id.toString() === caseId.toString());
+
+        if (!clinicalCase) {
+            skipped.push({ id: caseId, reason: 'Clinical case not found' });
+            continue;
+        }
+
+        const result = await transition(clinicalCase, to, req, comment);
+
+        if (result.error) {
+            skipped.push({ id: caseId, reason: result.error.message });
+        } else {
+            updated.push(result.clinicalCase);
+        }
+    }
+
+    return { updated, skipped };
+};
+
+module.exports = {
+    TRANSITIONS,
+    OWNER_EDITABLE_STATUSES,
+    getStatus,
+    getAllowedTransitions,
+    checkTransition,
+    transition,
+    bulkTransition
+};
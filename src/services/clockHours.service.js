@@ -0,0 +1,122 @@
+const ClinicalCase = require('../models/ClinicalCase.model');
+const Setting = require('../models/Setting.model');
+
+// Clinical clock hours by area, derived from approved cases. Each test counts
+// its own duration; tests without one share whatever is left of the case's
+// sessionDuration. Time is split into direct and observation hours by the
+// test's participation.
+
+const CATEGORIES_KEY = 'clockHourCategories';
+
+// Used until an admin saves their own mapping
+const DEFAULT_CATEGORIES = [
+    {
+        name: 'Diagnostic Audiology',
+        testTypes: ['PTA', 'Immittance', 'OAE', 'ABR', 'BERA', 'ASSR', 'Speech'],
+        targetHours: null
+    },
+    {
+        name: 'Pediatric',
+        testTypes: ['BOA', 'VRA', 'CondPlay', 'CPA'],
+        targetHours: null
+    },
+    {
+        name: 'Amplification',
+        testTypes: ['HA_Trial', 'HA_Fitting', 'CI_Mapping'],
+        targetHours: null
+    },
+    {
+        name: 'Counseling',
+        testTypes: ['Counseling'],
+        targetHours: null
+    }
+];
+
+// Get the configured categories
+const getCategories = () => Setting.getValue(CATEGORIES_KEY, DEFAULT_CATEGORIES);
+
+// Save the categories (names unique, each test type in at most one category)
+const setCategories = (categories, userId) => Setting.setValue(CATEGORIES_KEY, categories, userId);
+
+// Split a case's time between its tests, as [{ testType, participation, minutes }]
+const getTestMinutes = (clinicalCase) => {
+    const tests = clinicalCase.testsPerformed || [];
+    const timed = tests.filter(test => test.duration > 0);
+    const untimed = tests.filter(test => !(test.duration > 0));
+
+    const timedMinutes = timed.reduce((sum, test) => sum + test.duration, 0);
+    const leftover = Math.max((clinicalCase.sessionDuration || 0) - timedMinutes, 0);
+    const sharedMinutes = untimed.length ? leftover / untimed.length : 0;
+
+    return tests.map(test => ({
+        testType: test.testType,
+        participation: test.participation || 'Direct',
+        minutes: test.duration > 0 ? test.duration : sharedMinutes
+    }));
+};
+
+// Get a student's clock hours per category. `startDate`/`endDate` limit the sessions counted.
+const getBreakdown = async (studentId, { startDate, endDate } = {}) => {
+    const categories = await getCategories();
+    const query = { student: studentId, 'supervisorApproval.status': 'Approved' };
+
+    if (startDate || endDate) {
+        query.sessionDate = {};
+        if (startDate) query.sessionDate.$gte = new Date(startDate);
+        if (endDate) query.sessionDate.$lte = new Date(endDate);
+    }
+
+    const cases = await ClinicalCase.find(query)
+        .select('testsPerformed.testType testsPerformed.duration testsPerformed.participation sessionDuration')
+        .lean();
+
+    const buckets = categories.map(category => ({ ...category, ...emptyMinutes() }));
+    const uncategorised = emptyMinutes();
+
+    cases.forEach(clinicalCase => {
+        getTestMinutes(clinicalCase).forEach(({ testType, participation, minutes }) => {
+            const bucket = buckets.find(category => category.testTypes.includes(testType)) || uncategorised;
+            bucket[participation === 'Observation' ? 'observation' : 'direct'] += minutes;
+        });
+    });
+
+    const totals = [...buckets, uncategorised].reduce((sum, bucket) => ({
+        direct: sum.direct + bucket.direct,
+        observation: sum.observation + bucket.observation
+    }), emptyMinutes());
+
+    return {
+        approvedCases: cases.length,
+        categories: buckets.map(({ name, testTypes, targetHours, direct, observation }) => {
+            const hours = toHours(direct, observation);
+            return {
+                name,
+                testTypes,
+                targetHours: targetHours ?? null,
+                ...hours,
+                remainingHours: targetHours ? Math.max(round(targetHours - hours.totalHours), 0) : null,
+                percent: targetHours ? Math.min(100, Math.round((hours.totalHours / targetHours) * 100)) : null
+            };
+        }),
+        uncategorised: toHours(uncategorised.direct, uncategorised.observation),
+        totals: toHours(totals.direct, totals.observation)
+    };
+};
+
+const emptyMinutes = () => ({ direct: 0, observation: 0 });
+
+const round = (hours) => Math.round(hours * 100) / 100;
+
+const toHours = (directMinutes, observationMinutes) => ({
+    directHours: round(directMinutes / 60),
+    observationHours: round(observationMinutes / 60),
+    totalHours: round((directMinutes + observationMinutes) / 60)
+});
+
+module.exports = {
+    DEFAULT_CATEGORIES,
+    getCategories,
+    setCategories,
+    getTestMinutes,
+    getBreakdown
+};
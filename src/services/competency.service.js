@@ -0,0 +1,72 @@
+const ClinicalCase = require('../models/ClinicalCase.model');
+const Requirement = require('../models/Requirement.model');
+
+// Progress toward the semester competency requirements: each requirement item
+// is compared with the student's approved cases logged in their current semester.
+
+// Work out progress for several students at once (each needs _id, semester and batch).
+// Returns a Map of student id -> progress.
+const getProgress = async (students) => {
+    const requirementSets = new Map();
+    for (const student of students) {
+        const key = setKey(student);
+        if (!requirementSets.has(key)) {
+            requirementSets.set(key, await Requirement.findApplicable(student.semester, student.batch));
+        }
+    }
+
+    const cases = await ClinicalCase.find({
+        student: { $in: students.map(student => student._id) },
+        semester: { $in: [...new Set(students.map(student => student.semester))] },
+        'supervisorApproval.status': 'Approved'
+    })
+        .select('student semester testsPerformed.testType patientInfo.ageGroup')
+        .lean();
+
+    return new Map(students.map(student => {
+        const studentCases = cases.filter(clinicalCase =>
+            clinicalCase.student.toString() === student._id.toString() &&
+            clinicalCase.semester === student.semester);
+
+        return [student._id.toString(), buildProgress(student, requirementSets.get(setKey(student)), studentCases)];
+    }));
+};
+
+// Work out progress for one student
+const getStudentProgress = async (student) => (await getProgress([student])).get(student._id.toString());
+
+const setKey = (student) => `${student.semester}|${student.batch || ''}`;
+
+const buildProgress = (student, requirementSet, cases) => {
+    const items = (requirementSet?.items || []).map(item => {
+        const approvedCases = cases.filter(clinicalCase => item.matches(clinicalCase)).length;
+
+        return {
+            _id: item._id,
+            label: item.label,
+            testTypes: item.testTypes,
+            ageGroups: item.ageGroups,
+            minimumCases: item.minimumCases,
+            approvedCases,
+            remaining: Math.max(item.minimumCases - approvedCases, 0),
+            percent: Math.min(100, Math.round((approvedCases / item.minimumCases) * 100)),
+            met: approvedCases >= item.minimumCases
+        };
+    });
+    const met = items.filter(item => item.met).length;
+
+    return {
+        semester: student.semester,
+        batch: student.batch,
+        requirementSet: requirementSet?._id || null,
+        items,
+        met,
+        total: items.length,
+        complete: items.length > 0 && met === items.length
+    };
+};
+
+module.exports = {
+    getProgress,
+    getStudentProgress
+};
@@ -0,0 +1,227 @@
+const fs = require('fs');
+const { renderAsync } = require('@resvg/resvg-js');
+
+// Render an audiogram as SVG using the conventional (ASHA) symbols:
+//
+//              Right (red)   Left (blue)
+//   Air          O             X
+//   Air masked   triangle      square
+//   Bone         <             >
+//   Bone masked  [             ]
+//
+// No response is drawn as the symbol with an arrow pointing down and away
+// from the chart centre (down-left for the right ear, down-right for the left).
+
+const WIDTH = 640;
+const HEIGHT = 600;
+const PLOT = { left: 70, top: 60, right: 470, bottom: 480 };
+
+const MIN_DB = -10;
+const MAX_DB = 120;
+const MIN_FREQUENCY = 125;
+const MAX_FREQUENCY = 8000;
+const OCTAVE_FREQUENCIES = [125, 250, 500, 1000, 2000, 4000, 8000];
+const INTER_OCTAVE_FREQUENCIES = [750, 1500, 3000, 6000];
+
+const COLORS = { rightEar: '#c62828', leftEar: '#1565c0' };
+const BAND_FILLS = ['#ffffff', '#f1f8e9', '#fffde7', '#fff3e0', '#fbe9e7', '#f3e5f5'];
+const SYMBOL_SIZE = 7;
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Frequencies sit on a log scale, dB HL increases downwards
+const xFor = (frequency) => PLOT.left + (PLOT.right - PLOT.left) *
+    Math.log2(frequency / MIN_FREQUENCY) / Math.log2(MAX_FREQUENCY / MIN_FREQUENCY);
+const yFor = (db) => PLOT.top + (PLOT.bottom - PLOT.top) * (db - MIN_DB) / (MAX_DB - MIN_DB);
+
+const formatFrequency = (frequency) => (frequency >= 1000 ? `${frequency / 1000}k` : String(frequency));
+
+// Draw one symbol centred on (x, y)
+const drawSymbol = (ear, conduction, masked, x, y) => {
+    const color = COLORS[ear];
+    const s = SYMBOL_SIZE;
+    const stroke = `stroke="${color}" stroke-width="2" fill="none"`;
+
+    if (conduction === 'airConduction') {
+        if (ear === 'rightEar') {
+            return masked
+                ? `<polygon points="${x},${y - s} ${x - s},${y + s} ${x + s},${y + s}" ${stroke}/>`
+                : `<circle cx="${x}" cy="${y}" r="${s}" ${stroke}/>`;
+        }
+        return masked
+            ? `<rect x="${x - s}" y="${y - s}" width="${s * 2}" height="${s * 2}" ${stroke}/>`
+            : `<path d="M${x - s},${y - s} L${x + s},${y + s} M${x + s},${y - s} L${x - s},${y + s}" ${stroke}/>`;
+    }
+
+    // Bone symbols sit beside the frequency line: right ear to the left, left ear to the right
+    const side = ear === 'rightEar' ? -1 : 1;
+    const bx = x + side * s * 1.5;
+
+    if (masked) {
+        const open = bx - side * s * 0.6;
+        return `<path d="M${open},${y - s} L${bx},${y - s} L${bx},${y + s} L${open},${y + s}" ${stroke}/>`;
+    }
+    const tip = bx + side * s;
+    return `<path d="M${bx},${y - s} L${tip},${y} L${bx},${y + s}" ${stroke}/>`;
+};
+
+// Arrow marking a threshold with no response at the audiometer limit
+const drawNoResponse = (ear, x, y) => {
+    const side = ear === 'rightEar' ? -1 : 1;
+    const startX = x + side * SYMBOL_SIZE * 0.7;
+    const startY = y + SYMBOL_SIZE * 0.7;
+    const endX = startX + side * 12;
+    const endY = startY + 12;
+
+    return `<path d="M${startX},${startY} L${endX},${endY} M${endX},${endY} L${endX - side * 6},${endY} ` +
+        `M${endX},${endY} L${endX},${endY - 6}" stroke="${COLORS[ear]}" stroke-width="2" fill="none"/>`;
+};
+
+const drawBands = (bands) => bands.map((band, index) => {
+    const top = yFor(index === 0 ? MIN_DB : bands[index - 1].max);
+    const bottom = yFor(band.max);
+    const label = band.degree.replace(/\s*\(.*\)$/, '');
+
+    return `<rect x="${PLOT.left}" y="${top}" width="${PLOT.right - PLOT.left}" height="${bottom - top}" ` +
+        `fill="${BAND_FILLS[index % BAND_FILLS.length]}"/>` +
+        `<text x="${PLOT.right + 8}" y="${(top + bottom) / 2 + 4}" font-size="11" fill="#555">${escapeXml(label)}</text>`;
+}).join('');
+
+const drawGrid = () => {
+    const lines = [];
+
+    for (let db = MIN_DB; db <= MAX_DB; db += 10) {
+        const y = yFor(db);
+        lines.push(`<line x1="${PLOT.left}" y1="${y}" x2="${PLOT.right}" y2="${y}" stroke="#bbb" stroke-width="${db === 0 ? 1.5 : 0.75}"/>`);
+        lines.push(`<text x="${PLOT.left - 8}" y="${y + 4}" font-size="11" text-anchor="end">${db}</text>`);
+    }
+
+    OCTAVE_FREQUENCIES.forEach(frequency => {
+        const x = xFor(frequency);
+        lines.push(`<line x1="${x}" y1="${PLOT.top}" x2="${x}" y2="${PLOT.bottom}" stroke="#bbb" stroke-width="0.75"/>`);
+        lines.push(`<text x="${x}" y="${PLOT.top - 10}" font-size="11" text-anchor="middle">${formatFrequency(frequency)}</text>`);
+    });
+
+    INTER_OCTAVE_FREQUENCIES.forEach(frequency => {
+        const x = xFor(frequency);
+        lines.push(`<line x1="${x}" y1="${PLOT.top}" x2="${x}" y2="${PLOT.bottom}" stroke="#ccc" stroke-width="0.5" stroke-dasharray="3 3"/>`);
+    });
+
+    lines.push(`<rect x="${PLOT.left}" y="${PLOT.top}" width="${PLOT.right - PLOT.left}" height="${PLOT.bottom - PLOT.top}" fill="none" stroke="#333"/>`);
+    lines.push(`<text x="${(PLOT.left + PLOT.right) / 2}" y="${PLOT.top - 32}" font-size="12" text-anchor="middle">Frequency (Hz)</text>`);
+    lines.push(`<text x="20" y="${(PLOT.top + PLOT.bottom) / 2}" font-size="12" text-anchor="middle" ` +
+        `transform="rotate(-90 20 ${(PLOT.top + PLOT.bottom) / 2})">Hearing level (dB HL)</text>`);
+
+    return lines.join('');
+};
+
+// Join each ear's air conduction thresholds; no-response points are left unconnected
+const drawAirLines = (points) => Object.keys(COLORS).map(ear => {
+    const air = points
+        .filter(point => point.ear === ear && point.conduction === 'airConduction' && !point.noResponse)
+        .sort((a, b) => a.frequency - b.frequency);
+
+    if (air.length < 2) return '';
+
+    const path = air.map((point, index) => `${index === 0 ? 'M' : 'L'}${xFor(point.frequency)},${yFor(point.threshold)}`).join(' ');
+    return `<path d="${path}" stroke="${COLORS[ear]}" stroke-width="1.5" fill="none"` +
+        `${ear === 'leftEar' ? ' stroke-dasharray="6 4"' : ''}/>`;
+}).join('');
+
+const drawPoints = (points) => points.map(point => {
+    const x = xFor(point.frequency);
+    const y = yFor(point.threshold);
+
+    return drawSymbol(point.ear, point.conduction, point.masked, x, y) +
+        (point.noResponse ? drawNoResponse(point.ear, x, y) : '');
+}).join('');
+
+const drawLegend = (title, subtitle) => {
+    const top = PLOT.bottom + 30;
+    const entries = [
+        ['rightEar', 'airConduction', false, 'Right air'],
+        ['rightEar', 'airConduction', true, 'Right air (masked)'],
+        ['rightEar', 'boneConduction', false, 'Right bone'],
+        ['rightEar', 'boneConduction', true, 'Right bone (masked)'],
+        ['leftEar', 'airConduction', false, 'Left air'],
+        ['leftEar', 'airConduction', true, 'Left air (masked)'],
+        ['leftEar', 'boneConduction', false, 'Left bone'],
+        ['leftEar', 'boneConduction', true, 'Left bone (masked)']
+    ];
+
+    const symbols = entries.map(([ear, conduction, masked, label], index) => {
+        const x = PLOT.left + 10 + (index % 4) * 140;
+        const y = top + 30 + Math.floor(index / 4) * 22;
+        const symbolX = conduction === 'boneConduction' ? x - (ear === 'rightEar' ? -1 : 1) * SYMBOL_SIZE * 1.5 : x;
+        return drawSymbol(ear, conduction, masked, symbolX, y) +
+            `<text x="${x + 16}" y="${y + 4}" font-size="11">${escapeXml(label)}</text>`;
+    }).join('');
+
+    const noResponseY = top + 74;
+    return `<text x="${PLOT.left}" y="${top}" font-size="13" font-weight="bold">${escapeXml(title)}</text>` +
+        `<text x="${PLOT.right + 150}" y="${top}" font-size="12" text-anchor="end">${escapeXml(subtitle)}</text>` +
+        symbols +
+        drawNoResponse('rightEar', PLOT.left + 10, noResponseY - 8) +
+        `<text x="${PLOT.left + 26}" y="${noResponseY + 4}" font-size="11">No response</text>`;
+};
+
+// Render points ({ ear, conduction, frequency, threshold, masked, noResponse })
+// over degree bands ({ degree, max }) with a title and subtitle in the legend
+exports.renderAudiogramSvg = ({ points = [], bands = [], title = 'Audiogram', subtitle = '' }) => {
+    const visible = points.filter(point => point.frequency >= MIN_FREQUENCY && point.frequency <= MAX_FREQUENCY);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>` +
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}" ` +
+        `font-family="Arial, Helvetica, sans-serif">` +
+        `<rect width="${WIDTH}" height="${HEIGHT}" fill="#fff"/>` +
+        drawBands(bands) +
+        drawGrid() +
+        drawAirLines(visible) +
+        drawPoints(visible) +
+        drawLegend(title, subtitle) +
+        `</svg>`;
+};
+
+// Fonts for PNG output, picked on the first PNG render: CHART_FONT_FILE (with
+// CHART_FONT_FAMILY) if set, otherwise the first of these that is installed.
+// Loading a few files is much cheaper than scanning every system font per render.
+const FONT_CANDIDATES = [
+    { family: 'DejaVu Sans', files: ['/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf', '/usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf'] },
+    { family: 'Liberation Sans', files: ['/usr/share/fonts/truetype/liberation/LiberationSans-Regular.ttf', '/usr/share/fonts/truetype/liberation/LiberationSans-Bold.ttf'] },
+    { family: 'Arial', files: ['/System/Library/Fonts/Supplemental/Arial.ttf', '/System/Library/Fonts/Supplemental/Arial Bold.ttf'] },
+    { family: 'Arial', files: ['C:\\Windows\\Fonts\\arial.ttf', 'C:\\Windows\\Fonts\\arialbd.ttf'] }
+];
+
+let pngFont = null;
+
+const pickFont = () => {
+    const candidates = process.env.CHART_FONT_FILE
+        ? [{ family: process.env.CHART_FONT_FAMILY || 'Arial', files: [process.env.CHART_FONT_FILE] }]
+        : FONT_CANDIDATES;
+
+    for (const { family, files } of candidates) {
+        const installed = files.filter(file => fs.existsSync(file));
+        if (installed.length) {
+            return { loadSystemFonts: false, fontFiles: installed, defaultFontFamily: family, sansSerifFamily: family };
+        }
+    }
+
+    throw new Error(process.env.CHART_FONT_FILE
+        ? `Chart font ${process.env.CHART_FONT_FILE} (CHART_FONT_FILE) does not exist`
+        : 'No chart font is installed. Set CHART_FONT_FILE to a .ttf file to render PNG audiograms');
+};
+
+// Render an audiogram SVG to PNG `width` pixels wide, off the main thread
+exports.renderAudiogramPng = async (svg, width) => {
+    pngFont = pngFont || pickFont();
+
+    const image = await renderAsync(svg, {
+        fitTo: { mode: 'width', value: width },
+        font: pngFont
+    });
+    return image.asPng();
+};
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const isLeaf = (value) => value === null ||
+    typeof value !== 'object' ||
+    Array.isArray(value) ||
+    value instanceof Date ||
+    value instanceof mongoose.Types.ObjectId ||
+    Buffer.isBuffer(value);
+
+// Flatten a document into { 'a.b.c': value } pairs
+const flatten = (obj, prefix = '', result = {}) => {
+    Object.entries(obj || {}).forEach(([key, value]) => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (value !== undefined && isLeaf(value)) {
+            result[path] = value;
+        } else if (value !== undefined) {
+            flatten(value, path, result);
+        }
+    });
+    return result;
+};
+
+// Compare two plain documents and list the changed leaf fields as { path, before, after }
+const diff = (before, after, ignoreFields = []) => {
+    const flatBefore = flatten(before);
+    const flatAfter = flatten(after);
+    const paths = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+    const changes = [];
+
+    paths.forEach(path => {
+        if (path === '_id' || ignoreFields.includes(path)) return;
+        if (JSON.stringify(flatBefore[path]) === JSON.stringify(flatAfter[path])) return;
+
+        changes.push({ path, before: flatBefore[path], after: flatAfter[path] });
+    });
+
+    return changes;
+};
+
+module.exports = {
+    flatten,
+    diff
+};
@@ -0,0 +1,96 @@
+// Highlighted snippets for full-text search results. Snippets are returned as
+// a list of { value, type } parts ('hit' or 'text') rather than markup, so
+// clients can render the hits safely.
+
+// Words MongoDB's English text search ignores, so they aren't highlighted either
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it',
+    'of', 'on', 'or', 'the', 'to', 'was', 'were', 'with'
+]);
+
+// Characters of context kept around the first hit in a snippet
+const SNIPPET_CONTEXT = 80;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Rough English stem, so searching 'recommendations' also highlights 'recommend'
+const stem = (word) => {
+    const stemmed = word.replace(/(ations|ation|ings|ing|ions|ion|ies|es|ed|s)$/, '');
+    return stemmed.length >= 3 ? stemmed : word;
+};
+
+// Build one pattern matching the phrases and (stemmed) words of a $text search string.
+// Negated terms ('-word') are skipped. Returns null when nothing is left to highlight.
+const buildPattern = (search) => {
+    const phrases = [...search.matchAll(/"([^"]+)"/g)]
+        .map(match => match[1].trim())
+        .filter(Boolean)
+        .map(phrase => phrase.split(/\s+/).map(escapeRegExp).join('\\s+'));
+
+    const words = search.replace(/"[^"]*"/g, ' ')
+        .split(/\s+/)
+        .filter(word => word && !word.startsWith('-'))
+        .map(word => word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, ''))
+        .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+        .map(word => `${escapeRegExp(stem(word))}[\\p{L}\\p{N}]*`);
+
+    const alternatives = [...phrases, ...words];
+    return alternatives.length ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})`, 'giu') : null;
+};
+
+// Cut a snippet around the first hit and split it into hit and text parts
+const highlightText = (text, pattern) => {
+    const hits = [...text.matchAll(pattern)];
+    if (!hits.length) return null;
+
+    const start = Math.max(0, hits[0].index - SNIPPET_CONTEXT);
+    const end = Math.min(text.length, hits[0].index + hits[0][0].length + SNIPPET_CONTEXT);
+    const texts = [];
+    let position = start;
+
+    hits.forEach(hit => {
+        const hitEnd = hit.index + hit[0].length;
+        if (hit.index < position || hitEnd > end) return;
+
+        if (hit.index > position) texts.push({ value: text.slice(position, hit.index), type: 'text' });
+        texts.push({ value: hit[0], type: 'hit' });
+        position = hitEnd;
+    });
+    if (end > position) texts.push({ value: text.slice(position, end), type: 'text' });
+
+    if (start > 0) texts.unshift({ value: '…', type: 'text' });
+    if (end < text.length) texts.push({ value: '…', type: 'text' });
+
+    return texts;
+};
+
+// Read a dotted path from a plain object, expanding arrays into indexed paths,
+// e.g. 'testsPerformed.notes' -> [{ field: 'testsPerformed.0.notes', text }]
+const collectValues = (value, path, prefix = '') => {
+    if (Array.isArray(value)) {
+        return value.flatMap((item, index) => collectValues(item, path, `${prefix}${index}.`));
+    }
+    if (!path.length) {
+        return typeof value === 'string' && value ? [{ field: prefix.slice(0, -1), text: value }] : [];
+    }
+    if (!value || typeof value !== 'object') return [];
+
+    const [key, ...rest] = path;
+    return collectValues(value[key], rest, `${prefix}${key}.`);
+};
+
+// List highlighted snippets of a document's fields that match a search string
+const highlight = (doc, fields, search) => {
+    const pattern = buildPattern(search);
+    if (!pattern) return [];
+
+    return fields
+        .flatMap(field => collectValues(doc, field.split('.')))
+        .map(({ field, text }) => ({ field, texts: highlightText(text, pattern) }))
+        .filter(entry => entry.texts);
+};
+
+module.exports = {
+    buildPattern,
+    highlight
+};
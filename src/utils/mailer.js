@@ -0,0 +1,73 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+let smtpClient = null;
+
+// Transports all take a message ({ to, subject, text, html }) and return a promise.
+// Pick one with MAIL_TRANSPORT, or plug in your own with setTransport().
+const transports = {
+    // Print emails to the server log - handy for local development. Never used
+    // in production, where logs would expose reset links and invitation codes.
+    console: async (message) => {
+        if (process.env.NODE_ENV === 'production') {
+            throw new Error('The console mail transport is disabled in production; set MAIL_TRANSPORT');
+        }
+
+        console.log('📧 Email (console transport)');
+        console.log(`   To: ${message.to}`);
+        console.log(`   Subject: ${message.subject}`);
+        console.log(message.text);
+    },
+
+    // Write each email to its own file under MAIL_FILE_DIR
+    file: async (message) => {
+        const dir = process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'mail');
+        await fs.mkdir(dir, { recursive: true });
+
+        const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9]/gi, '_')}.json`;
+        await fs.writeFile(path.join(dir, fileName), JSON.stringify(message, null, 2));
+    },
+
+    // Send real email through an SMTP server
+    smtp: async (message) => {
+        if (!smtpClient) {
+            smtpClient = nodemailer.createTransport({
+                host: process.env.SMTP_HOST,
+                port: parseInt(process.env.SMTP_PORT, 10) || 587,
+                secure: process.env.SMTP_SECURE === 'true',
+                auth: process.env.SMTP_USER ? {
+                    user: process.env.SMTP_USER,
+                    pass: process.env.SMTP_PASSWORD
+                } : undefined
+            });
+        }
+
+        await smtpClient.sendMail(message);
+    }
+};
+
+let customTransport = null;
+
+// Replace the configured transport (e.g. with a queue or a third-party API client)
+exports.setTransport = (transport) => {
+    customTransport = transport;
+};
+
+// Send an email through the active transport
+exports.sendEmail = async ({ to, subject, text, html }) => {
+    const transportName = process.env.MAIL_TRANSPORT || 'console';
+    const transport = customTransport || transports[transportName];
+
+    if (!transport) {
+        throw new Error(`Unknown mail transport '${transportName}'`);
+    }
+
+    await transport({
+        from: process.env.MAIL_FROM || 'SRISH Clinical <no-reply@srish.edu.in>',
+        to,
+        subject,
+        text,
+        html
+    });
+};
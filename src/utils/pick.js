@@ -0,0 +1,7 @@
+// Copy only the listed keys that are present on an object
+module.exports = (obj, keys) => keys.reduce((result, key) => {
+    if (obj && obj[key] !== undefined) {
+        result[key] = obj[key];
+    }
+    return result;
+}, {});
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const fsPromises = require('fs/promises');
+const path = require('path');
+
+// Storage backends all offer put(key, buffer, contentType), get(key) returning a
+// readable stream, and remove(key). Keys are '/'-separated paths such as
+// 'cases/<caseId>/<attachmentId>/original'. Pick one with STORAGE_DRIVER, or
+// plug in your own with setBackend().
+
+const localRoot = () => path.resolve(process.env.UPLOAD_DIR || path.join(process.cwd(), 'uploads'));
+
+// Resolve a key under the upload directory, refusing anything that escapes it
+const localPath = (key) => {
+    const root = localRoot();
+    const filePath = path.resolve(root, key);
+
+    if (!filePath.startsWith(root + path.sep)) {
+        throw new Error('Invalid storage key');
+    }
+    return filePath;
+};
+
+let s3Client = null;
+
+// The S3 SDK is only needed when S3 storage is used, so it is loaded on demand
+const getS3 = () => {
+    if (!s3Client) {
+        let sdk;
+        try {
+            sdk = require('@aws-sdk/client-s3');
+        } catch (err) {
+            throw new Error('STORAGE_DRIVER=s3 needs the @aws-sdk/client-s3 package to be installed');
+        }
+
+        s3Client = {
+            sdk,
+            client: new sdk.S3Client({
+                region: process.env.S3_REGION || 'us-east-1',
+                // Set for S3-compatible services such as MinIO
+                endpoint: process.env.S3_ENDPOINT || undefined,
+                forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+                credentials: process.env.S3_ACCESS_KEY_ID ? {
+                    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+                    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+                } : undefined
+            })
+        };
+    }
+
+    return s3Client;
+};
+
+const backends = {
+    // Files on the server's disk under UPLOAD_DIR
+    local: {
+        put: async (key, buffer) => {
+            const filePath = localPath(key);
+            await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+            await fsPromises.writeFile(filePath, buffer);
+        },
+        get: async (key) => {
+            const filePath = localPath(key);
+            await fsPromises.access(filePath);
+            return fs.createReadStream(filePath);
+        },
+        remove: async (key) => {
+            await fsPromises.rm(localPath(key), { force: true });
+        }
+    },
+
+    // An S3 bucket, or any S3-compatible object store
+    s3: {
+        put: async (key, buffer, contentType) => {
+            const { sdk, client } = getS3();
+            await client.send(new sdk.PutObjectCommand({
+                Bucket: process.env.S3_BUCKET,
+                Key: key,
+                Body: buffer,
+                ContentType: contentType
+            }));
+        },
+        get: async (key) => {
+            const { sdk, client } = getS3();
+            const object = await client.send(new sdk.GetObjectCommand({ Bucket: process.env.S3_BUCKET, Key: key }));
+            return object.Body;
+        },
+        remove: async (key) => {
+            const { sdk, client } = getS3();
+            await client.send(new sdk.DeleteObjectCommand({ Bucket: process.env.S3_BUCKET, Key: key }));
+        }
+    }
+};
+
+let customBackend = null;
+
+// Replace the configured backend (e.g. with another cloud provider's client)
+exports.setBackend = (backend) => {
+    customBackend = backend;
+};
+
+const getBackend = () => {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    const backend = customBackend || backends[driver];
+
+    if (!backend) {
+        throw new Error(`Unknown storage driver '${driver}'`);
+    }
+    return backend;
+};
+
+// Store a file
+exports.putFile = (key, buffer, contentType) => getBackend().put(key, buffer, contentType);
+
+// Get a readable stream of a stored file
+exports.getFile = (key) => getBackend().get(key);
+
+// Delete a stored file (no error if it is already gone)
+exports.removeFile = (key) => getBackend().remove(key);
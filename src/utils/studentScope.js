@@ -0,0 +1,77 @@
+const User = require('../models/User.model');
+const Role = require('../models/Role.model');
+const { hasPermission } = require('../config/permissions');
+
+// Supervisors only see the students assigned to them (User.supervisor).
+// Holders of `students:all` (coordinators, HoD, Admin) see the whole department.
+
+// Get the names of the roles whose users are students (Role.isStudent)
+const getStudentRoles = async (req) => {
+    if (!req.studentRoles) {
+        req.studentRoles = await Role.studentRoleNames();
+    }
+
+    return req.studentRoles;
+};
+
+// Check whether a role name is one of the student roles
+const isStudentRole = async (req, roleName) => (await getStudentRoles(req)).includes(roleName);
+
+// Get the ids of students whose records this user may see, or null for everyone
+const getScopedStudentIds = async (req) => {
+    if (hasPermission(req, 'students:all')) {
+        return null;
+    }
+
+    // Cache per request - several queries in one handler need the same list
+    if (!req.scopedStudentIds) {
+        req.scopedStudentIds = await User.find({
+            supervisor: req.user._id,
+            role: { $in: await getStudentRoles(req) }
+        }).distinct('_id');
+    }
+
+    return req.scopedStudentIds;
+};
+
+// Build a filter on a record's student field. Users without `permission`
+// only get their own records; the rest get the students in their scope.
+const studentFilter = async (req, permission, field = 'student') => {
+    if (!hasPermission(req, permission)) {
+        return { [field]: req.user._id };
+    }
+
+    const studentIds = await getScopedStudentIds(req);
+    return studentIds ? { [field]: { $in: studentIds } } : {};
+};
+
+// Build a filter on the User collection limited to students in scope
+const studentUserFilter = async (req) => {
+    const studentIds = await getScopedStudentIds(req);
+    return studentIds ? { _id: { $in: studentIds } } : {};
+};
+
+// Check whether this user may access (with `permission`) a given student's records
+const canAccessStudent = async (req, studentId, permission) => {
+    const id = (studentId?._id || studentId).toString();
+
+    if (id === req.user._id.toString()) {
+        return true;
+    }
+
+    if (!hasPermission(req, permission)) {
+        return false;
+    }
+
+    const studentIds = await getScopedStudentIds(req);
+    return !studentIds || studentIds.some(scopedId => scopedId.toString() === id);
+};
+
+module.exports = {
+    getStudentRoles,
+    isStudentRole,
+    getScopedStudentIds,
+    studentFilter,
+    studentUserFilter,
+    canAccessStudent
+};
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Reply 400 with every field error when a model rejects a document, in the
+// same shape as the validate middleware. Returns false for any other error
+// so the caller can fall through to its own handling.
+exports.sendValidationError = (res, error) => {
+    if (!(error instanceof mongoose.Error.ValidationError)) {
+        return false;
+    }
+
+    res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => ({
+            field: err.path,
+            location: 'body',
+            message: err.message
+        }))
+    });
+    return true;
+};
@@ -0,0 +1,46 @@
+const Attendance = require('../models/Attendance.model');
+const { idParam, optionalMongoId, optionalInt, pagination, dateRangeQuery } = require('./common.validators');
+
+const LOCATIONS = Attendance.schema.path('location').enumValues;
+
+const monthQuery = {
+    month: optionalInt('query', 1, 12, 'Month must be between 1 and 12'),
+    year: optionalInt('query', 2000, 2100, 'Year must be a valid year')
+};
+
+exports.checkInSchema = {
+    location: {
+        optional: true,
+        isIn: { options: [LOCATIONS], errorMessage: 'Invalid location' }
+    }
+};
+
+exports.checkOutSchema = {
+    breakDuration: {
+        optional: true,
+        isInt: { options: { min: 0 }, errorMessage: 'Break duration cannot be negative' },
+        toInt: true
+    },
+    notes: {
+        optional: true,
+        isString: true,
+        trim: true,
+        isLength: { options: { max: 500 }, errorMessage: 'Notes cannot exceed 500 characters' }
+    }
+};
+
+exports.getAttendanceSchema = {
+    studentId: optionalMongoId('query', 'Invalid student ID'),
+    ...dateRangeQuery,
+    ...monthQuery,
+    ...pagination
+};
+
+exports.monthlySummarySchema = {
+    studentId: optionalMongoId('query', 'Invalid student ID'),
+    ...monthQuery
+};
+
+exports.attendanceIdSchema = {
+    ...idParam()
+};
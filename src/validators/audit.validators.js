@@ -0,0 +1,20 @@
+const AuditLog = require('../models/AuditLog.model');
+const { idParam, optionalMongoId, pagination, dateRangeQuery } = require('./common.validators');
+
+exports.getAuditLogsSchema = {
+    actor: optionalMongoId('query', 'Invalid actor ID'),
+    impersonatedUser: optionalMongoId('query', 'Invalid user ID'),
+    entity: { in: ['query'], optional: true, isString: true },
+    entityId: optionalMongoId('query', 'Invalid entity ID'),
+    action: {
+        in: ['query'],
+        optional: true,
+        isIn: { options: [AuditLog.schema.path('action').enumValues], errorMessage: 'Invalid action' }
+    },
+    ...dateRangeQuery,
+    ...pagination
+};
+
+exports.auditLogIdSchema = {
+    ...idParam()
+};
@@ -0,0 +1,135 @@
+const { idParam, password, email, phone, totpCode } = require('./common.validators');
+
+const deviceName = {
+    optional: true,
+    isString: true,
+    trim: true,
+    isLength: { options: { max: 100 }, errorMessage: 'Device name cannot exceed 100 characters' }
+};
+
+exports.registerSchema = {
+    inviteCode: {
+        trim: true,
+        notEmpty: { errorMessage: 'An invitation code is required to register' }
+    },
+    name: {
+        trim: true,
+        notEmpty: { errorMessage: 'Name is required' },
+        isLength: { options: { max: 100 }, errorMessage: 'Name cannot exceed 100 characters' }
+    },
+    ...email(),
+    ...password('password'),
+    phone,
+    registrationNumber: {
+        optional: true,
+        isString: true,
+        trim: true
+    },
+    deviceName
+};
+
+exports.loginSchema = {
+    ...email(),
+    password: {
+        isString: { errorMessage: 'Please provide email and password' },
+        notEmpty: { errorMessage: 'Please provide email and password' }
+    },
+    deviceName
+};
+
+exports.refreshSchema = {
+    refreshToken: {
+        isString: { errorMessage: 'Please provide a refresh token' },
+        notEmpty: { errorMessage: 'Please provide a refresh token' }
+    }
+};
+
+exports.forgotPasswordSchema = {
+    ...email()
+};
+
+exports.resetPasswordSchema = {
+    token: {
+        in: ['params'],
+        isHexadecimal: { errorMessage: 'Password reset link is invalid' },
+        isLength: { options: { min: 64, max: 64 }, errorMessage: 'Password reset link is invalid' }
+    },
+    ...password('password')
+};
+
+exports.updateDetailsSchema = {
+    name: {
+        optional: true,
+        trim: true,
+        notEmpty: { errorMessage: 'Name cannot be empty' },
+        isLength: { options: { max: 100 }, errorMessage: 'Name cannot exceed 100 characters' }
+    },
+    phone,
+    profileImage: {
+        optional: true,
+        isString: { errorMessage: 'Profile image must be a string' },
+        trim: true
+    }
+};
+
+exports.updatePasswordSchema = {
+    currentPassword: {
+        isString: { errorMessage: 'Current password is required' },
+        notEmpty: { errorMessage: 'Current password is required' }
+    },
+    ...password('newPassword', 'New password must be at least 6 characters')
+};
+
+exports.sessionIdSchema = {
+    ...idParam()
+};
+
+exports.verifyTwoFactorSchema = {
+    challengeToken: {
+        isJWT: { errorMessage: 'Invalid challenge token' }
+    },
+    code: {
+        optional: true,
+        ...totpCode
+    },
+    recoveryCode: {
+        optional: true,
+        isString: true,
+        trim: true
+    },
+    deviceName
+};
+
+exports.setupTwoFactorSchema = {
+    challengeToken: {
+        optional: true,
+        isJWT: { errorMessage: 'Invalid challenge token' }
+    }
+};
+
+exports.enableTwoFactorSchema = {
+    ...exports.setupTwoFactorSchema,
+    code: totpCode
+};
+
+exports.disableTwoFactorSchema = {
+    password: {
+        isString: { errorMessage: 'Password is required' },
+        notEmpty: { errorMessage: 'Password is required' }
+    },
+    code: totpCode
+};
+
+exports.recoveryCodesSchema = {
+    code: totpCode
+};
+
+exports.twoFactorPolicySchema = {
+    requiredRoles: {
+        isArray: { errorMessage: 'requiredRoles must be a list of role names' }
+    },
+    'requiredRoles.*': {
+        isString: { errorMessage: 'Role names must be strings' },
+        trim: true
+    }
+};
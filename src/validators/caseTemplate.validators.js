@@ -0,0 +1,81 @@
+const CaseTemplate = require('../models/CaseTemplate.model');
+const ClinicalCase = require('../models/ClinicalCase.model');
+const { idParam } = require('./common.validators');
+
+const REQUIRABLE_FIELDS = Object.keys(CaseTemplate.getRequirableFields());
+
+const templateFields = (isUpdate) => ({
+    name: {
+        ...(isUpdate ? { optional: true } : {}),
+        isString: { errorMessage: 'Template name is required' },
+        trim: true,
+        isLength: { options: { min: 1, max: 100 }, errorMessage: 'Template name must be 1 to 100 characters' }
+    },
+    description: {
+        optional: true,
+        isString: true,
+        trim: true,
+        isLength: { options: { max: 500 }, errorMessage: 'Description cannot exceed 500 characters' }
+    },
+    ageGroups: {
+        optional: true,
+        isArray: { errorMessage: 'Age groups must be a list' }
+    },
+    'ageGroups.*': {
+        isIn: { options: [ClinicalCase.getAgeGroups()], errorMessage: 'Invalid patient age group' }
+    },
+    tests: {
+        ...(isUpdate ? { optional: true } : {}),
+        isArray: { options: { min: 1 }, errorMessage: 'A template needs at least one test' }
+    },
+    'tests.*.testType': {
+        isIn: { options: [ClinicalCase.getTestTypes()], errorMessage: 'Invalid test type' }
+    },
+    'tests.*.duration': {
+        optional: true,
+        isFloat: { options: { min: 0 }, errorMessage: 'Duration cannot be negative' },
+        toFloat: true
+    },
+    'tests.*.notes': {
+        optional: true,
+        isString: true,
+        trim: true
+    },
+    requiredFields: {
+        optional: true,
+        isArray: { errorMessage: 'Required fields must be a list' }
+    },
+    'requiredFields.*': {
+        isIn: { options: [REQUIRABLE_FIELDS], errorMessage: 'This field cannot be made required' }
+    },
+    isActive: {
+        optional: true,
+        isBoolean: { errorMessage: 'isActive must be true or false' },
+        toBoolean: true
+    }
+});
+
+exports.createTemplateSchema = templateFields(false);
+
+exports.updateTemplateSchema = {
+    ...idParam(),
+    ...templateFields(true)
+};
+
+exports.templateIdSchema = {
+    ...idParam()
+};
+
+exports.getTemplatesSchema = {
+    ageGroup: {
+        in: ['query'],
+        optional: true,
+        isIn: { options: [ClinicalCase.getAgeGroups()], errorMessage: 'Invalid patient age group' }
+    },
+    includeInactive: {
+        in: ['query'],
+        optional: true,
+        isBoolean: { errorMessage: 'includeInactive must be true or false' },
+        toBoolean: true
+    }
+};
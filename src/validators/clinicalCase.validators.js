@@ -0,0 +1,463 @@
+const ClinicalCase = require('../models/ClinicalCase.model');
+const CaseComment = require('../models/CaseComment.model');
+const CaseAttachment = require('../models/CaseAttachment.model');
+const { idParam, optionalMongoId, optionalDate, pagination, dateRangeQuery } = require('./common.validators');
+
+const GENDERS = ClinicalCase.schema.path('patientInfo.gender').enumValues;
+const HEARING_LOSS_TYPES = ClinicalCase.schema.path('findings.hearingLossType.rightEar').enumValues;
+const HEARING_LOSS_DEGREES = ClinicalCase.schema.path('findings.hearingLossDegree.rightEar').enumValues;
+const APPROVAL_STATUSES = ClinicalCase.getApprovalStatuses();
+
+const findingFields = (finding, values) => ['rightEar', 'leftEar'].reduce((fields, ear) => ({
+    ...fields,
+    [`findings.${finding}.${ear}`]: {
+        optional: true,
+        isIn: { options: [values], errorMessage: `Invalid ${finding} for ${ear}` }
+    }
+}), {});
+
+// Structured test results, each allowed only on the test types it belongs to
+const TEST_RESULTS = ClinicalCase.getTestResultOptions();
+
+const validateTestResults = (test) => {
+    if (!test || typeof test !== 'object') return true;
+
+    Object.entries(TEST_RESULTS.fields).forEach(([field, testTypes]) => {
+        if (test[field] !== undefined && test[field] !== null && !testTypes.includes(test.testType)) {
+            throw new Error(`${testTypes.join('/')} results cannot be recorded for a ${test.testType} test`);
+        }
+    });
+
+    return true;
+};
+
+const optionalNumber = (min, max, label) => ({
+    optional: { options: { values: 'null' } },
+    isFloat: { options: { min, max }, errorMessage: `${label} must be between ${min} and ${max}` },
+    toFloat: true
+});
+
+const optionalEnum = (values, message) => ({
+    optional: true,
+    isIn: { options: [values], errorMessage: message }
+});
+
+// Build the same result fields for both ears of one result group
+const resultFields = (group, fields) => ['rightEar', 'leftEar'].reduce((all, ear) => {
+    const prefix = `testsPerformed.*.${group}.${ear}`;
+    all[prefix] = { optional: true, isObject: { errorMessage: 'Ear results must be an object' } };
+    Object.entries(fields).forEach(([field, rules]) => {
+        all[`${prefix}.${field}`] = rules;
+    });
+    return all;
+}, {
+    [`testsPerformed.*.${group}`]: { optional: true, isObject: { errorMessage: `${group} results must be an object` } }
+});
+
+// Speech audiometry for one ear (Speech test results and audiogramData)
+const speechFields = {
+    srt: optionalNumber(-10, 120, 'SRT (dB HL)'),
+    sds: optionalNumber(0, 100, 'SDS (%)'),
+    presentationLevel: optionalNumber(0, 120, 'Presentation level (dB HL)'),
+    masked: { optional: true, isBoolean: { errorMessage: 'Masked must be true or false' }, toBoolean: true },
+    maskingLevel: optionalNumber(0, 120, 'Masking level (dB EM)')
+};
+
+const testResultFields = {
+    ...resultFields('immittance', {
+        tympanogramType: optionalEnum(TEST_RESULTS.tympanogramTypes, 'Invalid tympanogram type'),
+        peakPressure: optionalNumber(-600, 400, 'Peak pressure (daPa)'),
+        compliance: optionalNumber(0, 10, 'Compliance (ml)'),
+        earCanalVolume: optionalNumber(0, 10, 'Ear canal volume (ml)'),
+        reflexes: { optional: true, isArray: { errorMessage: 'Reflexes must be a list' } },
+        'reflexes.*.pathway': { isIn: { options: [TEST_RESULTS.reflexPathways], errorMessage: 'Reflex pathway must be Ipsilateral or Contralateral' } },
+        'reflexes.*.frequency': { isIn: { options: [TEST_RESULTS.reflexFrequencies], errorMessage: 'Invalid reflex frequency' }, toInt: true },
+        'reflexes.*.threshold': optionalNumber(0, 130, 'Reflex threshold (dB HL)'),
+        'reflexes.*.present': { optional: true, isBoolean: { errorMessage: 'Present must be true or false' }, toBoolean: true }
+    }),
+    'testsPerformed.*.oae.type': optionalEnum(TEST_RESULTS.oaeTypes, 'OAE type must be TEOAE or DPOAE'),
+    ...resultFields('oae', {
+        result: optionalEnum(TEST_RESULTS.oaeResults, 'OAE result must be Pass or Refer'),
+        bands: { optional: true, isArray: { errorMessage: 'OAE bands must be a list' } },
+        'bands.*.frequency': { isFloat: { options: { min: 500, max: 8000 }, errorMessage: 'OAE band frequency must be between 500 and 8000 Hz' }, toFloat: true },
+        'bands.*.snr': { isFloat: { options: { min: -30, max: 60 }, errorMessage: 'OAE SNR must be between -30 and 60 dB' }, toFloat: true }
+    }),
+    ...resultFields('abr', {
+        waveI: optionalNumber(0, 20, 'Wave I latency (ms)'),
+        waveIII: optionalNumber(0, 20, 'Wave III latency (ms)'),
+        waveV: optionalNumber(0, 20, 'Wave V latency (ms)'),
+        threshold: optionalNumber(0, 120, 'ABR threshold (dB nHL)')
+    }),
+    ...resultFields('assr', {
+        thresholds: { optional: true, isArray: { errorMessage: 'ASSR thresholds must be a list' } },
+        'thresholds.*.frequency': { isIn: { options: [TEST_RESULTS.assrFrequencies], errorMessage: 'Invalid ASSR frequency' }, toInt: true },
+        'thresholds.*.threshold': { isFloat: { options: { min: 0, max: 120 }, errorMessage: 'ASSR threshold must be between 0 and 120 dB HL' }, toFloat: true }
+    }),
+    ...resultFields('speech', speechFields)
+};
+
+// Audiogram thresholds are lists of { frequency, threshold, masked, maskingLevel, noResponse }
+const AUDIOGRAM_FREQUENCIES = ClinicalCase.getAudiogramFrequencies();
+
+const uniqueFrequencies = (label) => ({
+    options: (values) => {
+        const frequencies = values.map(value => Number(value?.frequency));
+        if (new Set(frequencies).size !== frequencies.length) {
+            throw new Error(`Each ${label} frequency can only be recorded once`);
+        }
+        return true;
+    }
+});
+
+const validateMasking = (point) => {
+    const hasLevel = point?.maskingLevel !== undefined && point?.maskingLevel !== null;
+    if (hasLevel && point.masked !== true && point.masked !== 'true') {
+        throw new Error('Masking level can only be recorded for a masked threshold');
+    }
+    return true;
+};
+
+const thresholdFields = (prefix, conduction, label) => ({
+    [prefix]: {
+        optional: true,
+        isArray: { errorMessage: `${label} thresholds must be a list` },
+        custom: uniqueFrequencies(label)
+    },
+    [`${prefix}.*`]: {
+        custom: { options: validateMasking }
+    },
+    [`${prefix}.*.frequency`]: {
+        isIn: { options: [AUDIOGRAM_FREQUENCIES[conduction]], errorMessage: `Invalid ${label} frequency` },
+        toInt: true
+    },
+    [`${prefix}.*.threshold`]: {
+        isFloat: { options: { min: -10, max: 120 }, errorMessage: 'Threshold must be between -10 and 120 dB HL' },
+        toFloat: true
+    },
+    [`${prefix}.*.masked`]: { optional: true, isBoolean: { errorMessage: 'Masked must be true or false' }, toBoolean: true },
+    [`${prefix}.*.maskingLevel`]: optionalNumber(0, 120, 'Masking level (dB EM)'),
+    [`${prefix}.*.noResponse`]: { optional: true, isBoolean: { errorMessage: 'No response must be true or false' }, toBoolean: true }
+});
+
+const earFields = (ear) => {
+    const prefix = `audiogramData.${ear}`;
+
+    return {
+        [prefix]: {
+            optional: true,
+            isObject: { errorMessage: 'Ear data must be an object' }
+        },
+        ...thresholdFields(`${prefix}.airConduction`, 'airConduction', 'air conduction'),
+        ...thresholdFields(`${prefix}.boneConduction`, 'boneConduction', 'bone conduction'),
+        [`${prefix}.ucl`]: {
+            optional: true,
+            isArray: { errorMessage: 'Uncomfortable loudness levels must be a list' },
+            custom: uniqueFrequencies('UCL')
+        },
+        [`${prefix}.ucl.*.frequency`]: {
+            isIn: { options: [AUDIOGRAM_FREQUENCIES.airConduction], errorMessage: 'Invalid UCL frequency' },
+            toInt: true
+        },
+        [`${prefix}.ucl.*.level`]: {
+            isFloat: { options: { min: 0, max: 130 }, errorMessage: 'UCL must be between 0 and 130 dB HL' },
+            toFloat: true
+        },
+        [`${prefix}.speech`]: {
+            optional: true,
+            isObject: { errorMessage: 'Speech results must be an object' }
+        },
+        ...Object.entries(speechFields).reduce((fields, [field, rules]) => ({
+            ...fields,
+            [`${prefix}.speech.${field}`]: rules
+        }), {})
+    };
+};
+
+// Every field a student may send for a case. All are optional here so drafts
+// can be saved unfinished; completeness is checked when a case is submitted
+// (ClinicalCase#getSubmissionErrors).
+const caseFields = {
+    patient: optionalMongoId('body', 'Invalid patient ID'),
+    patientInfo: {
+        optional: true,
+        isObject: { errorMessage: 'Patient information must be an object' }
+    },
+    'patientInfo.initials': {
+        optional: true,
+        isString: { errorMessage: 'Patient initials must be text' },
+        trim: true,
+        isLength: { options: { min: 1, max: 5 }, errorMessage: 'Initials must be 1 to 5 characters' }
+    },
+    'patientInfo.ageGroup': {
+        optional: true,
+        isIn: { options: [ClinicalCase.getAgeGroups()], errorMessage: 'Invalid patient age group' }
+    },
+    'patientInfo.gender': {
+        optional: true,
+        isIn: { options: [GENDERS], errorMessage: 'Invalid patient gender' }
+    },
+    'patientInfo.referralSource': {
+        optional: true,
+        isString: true,
+        trim: true
+    },
+    testsPerformed: {
+        optional: true,
+        isArray: { errorMessage: 'Tests performed must be a list' }
+    },
+    'testsPerformed.*': {
+        custom: { options: validateTestResults }
+    },
+    'testsPerformed.*.testType': {
+        isIn: { options: [ClinicalCase.getTestTypes()], errorMessage: 'Invalid test type' }
+    },
+    'testsPerformed.*.completed': {
+        optional: true,
+        isBoolean: { errorMessage: 'Completed must be true or false' }
+    },
+    'testsPerformed.*.duration': {
+        optional: true,
+        isFloat: { options: { min: 0 }, errorMessage: 'Duration cannot be negative' }
+    },
+    'testsPerformed.*.participation': {
+        optional: true,
+        isIn: { options: [ClinicalCase.getParticipationTypes()], errorMessage: 'Participation must be Direct or Observation' }
+    },
+    'testsPerformed.*.notes': {
+        optional: true,
+        isString: true
+    },
+    ...testResultFields,
+    audiogramData: {
+        optional: true,
+        isObject: { errorMessage: 'Audiogram data must be an object' }
+    },
+    ...earFields('rightEar'),
+    ...earFields('leftEar'),
+    findings: {
+        optional: true,
+        isObject: { errorMessage: 'Findings must be an object' }
+    },
+    ...findingFields('hearingLossType', HEARING_LOSS_TYPES),
+    ...findingFields('hearingLossDegree', HEARING_LOSS_DEGREES),
+    'findings.additionalFindings': {
+        optional: true,
+        isString: true,
+        isLength: { options: { max: 2000 }, errorMessage: 'Additional findings cannot exceed 2000 characters' }
+    },
+    recommendations: {
+        optional: true,
+        isString: true,
+        isLength: { options: { max: 2000 }, errorMessage: 'Recommendations cannot exceed 2000 characters' }
+    },
+    sessionDate: optionalDate('body', 'Session date must be a valid date'),
+    sessionDuration: {
+        optional: true,
+        isFloat: { options: { min: 0 }, errorMessage: 'Session duration cannot be negative' },
+        toFloat: true
+    }
+};
+
+exports.createCaseSchema = {
+    ...caseFields,
+    template: optionalMongoId('body', 'Invalid template ID'),
+    draft: {
+        optional: true,
+        isBoolean: { errorMessage: 'Draft must be true or false' },
+        toBoolean: true
+    }
+};
+
+exports.updateCaseSchema = {
+    ...idParam(),
+    ...caseFields
+};
+
+exports.submitCaseSchema = {
+    ...idParam(),
+    comments: {
+        optional: true,
+        isString: true,
+        trim: true
+    }
+};
+
+exports.caseIdSchema = {
+    ...idParam()
+};
+
+exports.audiogramChartSchema = {
+    ...idParam(),
+    format: {
+        in: ['params'],
+        isIn: { options: [['svg', 'png']], errorMessage: 'Audiogram format must be svg or png' }
+    }
+};
+
+exports.reopenCaseSchema = {
+    ...idParam(),
+    comments: {
+        optional: true,
+        isString: true,
+        trim: true
+    }
+};
+
+exports.getCasesSchema = {
+    q: {
+        in: ['query'],
+        optional: true,
+        isString: true,
+        trim: true,
+        isLength: { options: { min: 1, max: 200 }, errorMessage: 'Search must be 1 to 200 characters' }
+    },
+    ageGroup: {
+        in: ['query'],
+        optional: true,
+        isIn: { options: [ClinicalCase.getAgeGroups()], errorMessage: 'Invalid patient age group' }
+    },
+    testType: {
+        in: ['query'],
+        optional: true,
+        isIn: { options: [ClinicalCase.getTestTypes()], errorMessage: 'Invalid test type' }
+    },
+    status: {
+        in: ['query'],
+        optional: true,
+        isIn: { options: [APPROVAL_STATUSES], errorMessage: 'Invalid approval status' }
+    },
+    patient: optionalMongoId('query', 'Invalid patient ID'),
+    ...dateRangeQuery,
+    ...pagination
+};
+
+exports.reviewCaseSchema = {
+    ...idParam(),
+    status: {
+        isIn: {
+            options: [['Approved', 'Rejected', 'Revision Required']],
+            errorMessage: 'Invalid status. Must be Approved, Rejected, or Revision Required'
+        }
+    },
+    comments: {
+        optional: true,
+        isString: true,
+        trim: true
+    }
+};
+
+const revisionParam = {
+    revision: {
+        in: ['params'],
+        isInt: { options: { min: 1 }, errorMessage: 'Revision must be a positive integer' }
+    }
+};
+
+exports.caseRevisionSchema = {
+    ...idParam(),
+    ...revisionParam
+};
+
+exports.caseDiffSchema = {
+    ...idParam(),
+    from: {
+        in: ['query'],
+        optional: true,
+        isInt: { options: { min: 1 }, errorMessage: 'from must be a positive integer' }
+    },
+    to: {
+        in: ['query'],
+        optional: true,
+        isInt: { options: { min: 1 }, errorMessage: 'to must be a positive integer' }
+    }
+};
+
+const commentBody = {
+    isString: { errorMessage: 'Comment cannot be empty' },
+    trim: true,
+    isLength: { options: { min: 1, max: 2000 }, errorMessage: 'Comment must be between 1 and 2000 characters' }
+};
+
+exports.getCommentsSchema = {
+    ...idParam(),
+    section: {
+        in: ['query'],
+        optional: true,
+        isIn: { options: [CaseComment.getAnchorSections()], errorMessage: 'Invalid case section' }
+    },
+    resolved: {
+        in: ['query'],
+        optional: true,
+        isBoolean: { errorMessage: 'resolved must be true or false' }
+    }
+};
+
+exports.addCommentSchema = {
+    ...idParam(),
+    body: commentBody,
+    parentId: {
+        optional: true,
+        isMongoId: { errorMessage: 'Invalid comment ID' }
+    },
+    anchor: {
+        optional: true,
+        isObject: { errorMessage: 'Anchor must be an object' }
+    },
+    'anchor.section': {
+        optional: true,
+        isIn: { options: [CaseComment.getAnchorSections()], errorMessage: 'Invalid case section' }
+    },
+    'anchor.testId': {
+        optional: true,
+        isMongoId: { errorMessage: 'Invalid test ID' }
+    },
+    'anchor.ear': {
+        optional: true,
+        isIn: { options: [['rightEar', 'leftEar']], errorMessage: 'Ear must be rightEar or leftEar' }
+    }
+};
+
+exports.updateCommentSchema = {
+    ...idParam(),
+    ...idParam('commentId'),
+    body: commentBody
+};
+
+exports.resolveCommentSchema = {
+    ...idParam(),
+    ...idParam('commentId'),
+    resolved: {
+        optional: true,
+        isBoolean: { options: { strict: true }, errorMessage: 'resolved must be true or false' },
+        toBoolean: true
+    }
+};
+
+exports.uploadAttachmentsSchema = {
+    ...idParam(),
+    category: {
+        optional: true,
+        isIn: { options: [CaseAttachment.getCategories()], errorMessage: 'Invalid attachment category' }
+    },
+    description: {
+        optional: true,
+        isString: true,
+        trim: true,
+        isLength: { options: { max: 500 }, errorMessage: 'Description cannot exceed 500 characters' }
+    }
+};
+
+exports.attachmentIdSchema = {
+    ...idParam(),
+    ...idParam('attachmentId')
+};
+
+exports.downloadAttachmentSchema = {
+    ...idParam(),
+    ...idParam('attachmentId'),
+    thumbnail: {
+        in: ['query'],
+        optional: true,
+        isBoolean: { errorMessage: 'thumbnail must be true or false' }
+    }
+};
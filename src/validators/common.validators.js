@@ -0,0 +1,76 @@
+// Building blocks shared by the per-route validation schemas
+
+const idParam = (name = 'id') => ({
+    [name]: {
+        in: ['params'],
+        isMongoId: { errorMessage: 'Invalid ID' }
+    }
+});
+
+const optionalMongoId = (location, message = 'Invalid ID') => ({
+    in: [location],
+    optional: true,
+    isMongoId: { errorMessage: message }
+});
+
+const optionalDate = (location, message = 'Must be a valid date') => ({
+    in: [location],
+    optional: true,
+    isISO8601: { errorMessage: message }
+});
+
+const optionalInt = (location, min, max, message) => ({
+    in: [location],
+    optional: true,
+    isInt: { options: { min, max }, errorMessage: message }
+});
+
+const pagination = {
+    page: optionalInt('query', 1, undefined, 'Page must be a positive integer'),
+    limit: optionalInt('query', 1, 100, 'Limit must be between 1 and 100')
+};
+
+const dateRangeQuery = {
+    startDate: optionalDate('query', 'Start date must be a valid date'),
+    endDate: optionalDate('query', 'End date must be a valid date')
+};
+
+const password = (field, message = 'Password must be at least 6 characters') => ({
+    [field]: {
+        isString: { errorMessage: message },
+        isLength: { options: { min: 6 }, errorMessage: message }
+    }
+});
+
+const email = (field = 'email') => ({
+    [field]: {
+        trim: true,
+        isEmail: { errorMessage: 'Please provide a valid email' },
+        // Only lower-cased (as the User model stores it): provider rewrites such as
+        // dropping +tags would stop existing accounts from matching
+        toLowerCase: true
+    }
+});
+
+const phone = {
+    optional: true,
+    matches: { options: [/^[0-9]{10}$/], errorMessage: 'Please provide a valid 10-digit phone number' }
+};
+
+const totpCode = {
+    isString: { errorMessage: 'Verification code is required' },
+    matches: { options: [/^\s*\d{3}\s?\d{3}\s*$/], errorMessage: 'Verification code must be 6 digits' }
+};
+
+module.exports = {
+    idParam,
+    optionalMongoId,
+    optionalDate,
+    optionalInt,
+    pagination,
+    dateRangeQuery,
+    password,
+    email,
+    phone,
+    totpCode
+};
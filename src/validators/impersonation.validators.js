@@ -0,0 +1,27 @@
+const { idParam, optionalMongoId, pagination } = require('./common.validators');
+
+exports.startImpersonationSchema = {
+    userId: {
+        isMongoId: { errorMessage: 'Invalid user ID' }
+    },
+    reason: {
+        isString: { errorMessage: 'A reason is required to view the app as another user' },
+        trim: true,
+        isLength: { options: { min: 5, max: 500 }, errorMessage: 'Reason must be between 5 and 500 characters' }
+    }
+};
+
+exports.impersonationIdSchema = {
+    ...idParam()
+};
+
+exports.getImpersonationsSchema = {
+    admin: optionalMongoId('query', 'Invalid admin ID'),
+    user: optionalMongoId('query', 'Invalid user ID'),
+    active: {
+        in: ['query'],
+        optional: true,
+        isBoolean: { errorMessage: 'active must be true or false' }
+    },
+    ...pagination
+};
@@ -0,0 +1,48 @@
+const { idParam, optionalMongoId, pagination, email } = require('./common.validators');
+
+exports.createInvitationSchema = {
+    ...email(),
+    role: {
+        optional: true,
+        isString: true,
+        trim: true
+    },
+    batch: {
+        optional: true,
+        isString: true,
+        trim: true
+    },
+    semester: {
+        optional: true,
+        isInt: { options: { min: 1, max: 8 }, errorMessage: 'Semester must be between 1 and 8' },
+        toInt: true
+    },
+    supervisor: optionalMongoId('body', 'Invalid supervisor ID'),
+    sendEmail: {
+        optional: true,
+        isBoolean: { errorMessage: 'sendEmail must be true or false' },
+        toBoolean: true
+    }
+};
+
+exports.getInvitationsSchema = {
+    status: {
+        in: ['query'],
+        optional: true,
+        isIn: { options: [['Pending', 'Used', 'Revoked', 'Expired']], errorMessage: 'Invalid invitation status' }
+    },
+    role: { in: ['query'], optional: true, isString: true },
+    search: { in: ['query'], optional: true, isString: true, trim: true },
+    ...pagination
+};
+
+exports.invitationIdSchema = {
+    ...idParam()
+};
+
+exports.invitationCodeSchema = {
+    code: {
+        in: ['params'],
+        matches: { options: [/^[A-Za-z0-9_-]{1,64}$/], errorMessage: 'Invitation is invalid or has expired' }
+    }
+};
@@ -0,0 +1,77 @@
+const LeaveRequest = require('../models/LeaveRequest.model');
+const { idParam, pagination } = require('./common.validators');
+
+const LEAVE_TYPES = LeaveRequest.schema.path('leaveType').enumValues;
+const STATUSES = LeaveRequest.schema.path('status').enumValues;
+
+// Every field a student may send for a leave request
+const leaveFields = (isUpdate) => {
+    const requiredOnCreate = isUpdate ? { optional: true } : {};
+
+    return {
+        leaveType: {
+            ...requiredOnCreate,
+            isIn: { options: [LEAVE_TYPES], errorMessage: 'Invalid leave type' }
+        },
+        startDate: {
+            ...requiredOnCreate,
+            isISO8601: { errorMessage: 'Start date must be a valid date' }
+        },
+        endDate: {
+            ...requiredOnCreate,
+            isISO8601: { errorMessage: 'End date must be a valid date' },
+            custom: {
+                options: (value, { req }) => {
+                    if (req.body.startDate && new Date(value) < new Date(req.body.startDate)) {
+                        throw new Error('End date must be after or equal to start date');
+                    }
+                    return true;
+                }
+            }
+        },
+        reason: {
+            ...requiredOnCreate,
+            isString: { errorMessage: 'Reason is required' },
+            trim: true,
+            isLength: { options: { min: 10, max: 1000 }, errorMessage: 'Reason must be between 10 and 1000 characters' }
+        },
+        isEmergency: {
+            optional: true,
+            isBoolean: { errorMessage: 'isEmergency must be true or false' },
+            toBoolean: true
+        }
+    };
+};
+
+exports.createLeaveSchema = leaveFields(false);
+
+exports.updateLeaveSchema = {
+    ...idParam(),
+    ...leaveFields(true)
+};
+
+exports.leaveIdSchema = {
+    ...idParam()
+};
+
+exports.getLeavesSchema = {
+    status: {
+        in: ['query'],
+        optional: true,
+        isIn: { options: [STATUSES], errorMessage: 'Invalid status' }
+    },
+    ...pagination
+};
+
+exports.reviewLeaveSchema = {
+    ...idParam(),
+    status: {
+        isIn: { options: [['Approved', 'Rejected']], errorMessage: 'Status must be either Approved or Rejected' }
+    },
+    reviewComments: {
+        optional: true,
+        isString: true,
+        trim: true,
+        isLength: { options: { max: 500 }, errorMessage: 'Review comments cannot exceed 500 characters' }
+    }
+};
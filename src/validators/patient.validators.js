@@ -0,0 +1,53 @@
+const Patient = require('../models/Patient.model');
+const { idParam, pagination } = require('./common.validators');
+
+const GENDERS = Patient.schema.path('gender').enumValues;
+
+const patientFields = {
+    gender: {
+        optional: true,
+        isIn: { options: [GENDERS], errorMessage: 'Invalid gender' }
+    },
+    birthYear: {
+        optional: true,
+        isInt: {
+            options: { min: 1900 },
+            errorMessage: 'Birth year is not valid'
+        },
+        // Checked per request so a long-running server accepts the new year
+        custom: {
+            options: (value) => Number(value) <= new Date().getFullYear(),
+            errorMessage: 'Birth year cannot be in the future'
+        },
+        toInt: true
+    }
+};
+
+exports.createPatientSchema = {
+    ...patientFields
+};
+
+exports.updatePatientSchema = {
+    ...idParam(),
+    ...patientFields,
+    isActive: {
+        optional: true,
+        isBoolean: { errorMessage: 'isActive must be true or false' },
+        toBoolean: true
+    }
+};
+
+exports.patientIdSchema = {
+    ...idParam()
+};
+
+exports.getPatientsSchema = {
+    patientId: {
+        in: ['query'],
+        optional: true,
+        isString: true,
+        trim: true,
+        isLength: { options: { max: 20 }, errorMessage: 'Patient ID is too long' }
+    },
+    ...pagination
+};
@@ -0,0 +1,76 @@
+const { idParam, optionalInt } = require('./common.validators');
+
+// Student fields the students list may be sorted by
+const SORTABLE_FIELDS = ['name', 'email', 'batch', 'semester', 'registrationNumber', 'completedHours', 'createdAt'];
+
+const studentFilters = {
+    batch: { in: ['query'], optional: true, isString: true, trim: true },
+    semester: optionalInt('query', 1, 8, 'Semester must be between 1 and 8')
+};
+
+const reviewStatus = {
+    isIn: {
+        options: [['Approved', 'Rejected', 'Revision Required']],
+        errorMessage: 'Status must be Approved, Rejected, or Revision Required'
+    }
+};
+
+const remarks = {
+    optional: true,
+    isString: true,
+    trim: true
+};
+
+exports.getStudentsSchema = {
+    ...studentFilters,
+    search: { in: ['query'], optional: true, isString: true, trim: true },
+    sortBy: {
+        in: ['query'],
+        optional: true,
+        isIn: { options: [SORTABLE_FIELDS], errorMessage: `sortBy must be one of: ${SORTABLE_FIELDS.join(', ')}` }
+    },
+    sortOrder: {
+        in: ['query'],
+        optional: true,
+        isIn: { options: [['asc', 'desc']], errorMessage: 'sortOrder must be asc or desc' }
+    },
+    page: optionalInt('query', 1, undefined, 'Page must be a positive integer'),
+    limit: optionalInt('query', 1, 100, 'Limit must be between 1 and 100')
+};
+
+exports.studentDetailsSchema = {
+    ...idParam(),
+    casesLimit: optionalInt('query', 1, 100, 'casesLimit must be between 1 and 100'),
+    attendanceLimit: optionalInt('query', 1, 366, 'attendanceLimit must be between 1 and 366')
+};
+
+exports.pendingItemsSchema = {
+    type: {
+        in: ['query'],
+        optional: true,
+        isIn: { options: [['cases', 'leaves']], errorMessage: 'type must be cases or leaves' }
+    },
+    page: optionalInt('query', 1, undefined, 'Page must be a positive integer'),
+    limit: optionalInt('query', 1, 100, 'Limit must be between 1 and 100')
+};
+
+exports.reviewCaseSchema = {
+    ...idParam(),
+    status: reviewStatus,
+    remarks
+};
+
+exports.bulkReviewSchema = {
+    caseIds: {
+        isArray: { options: { min: 1, max: 100 }, errorMessage: 'Please provide between 1 and 100 case IDs to review' }
+    },
+    'caseIds.*': {
+        isMongoId: { errorMessage: 'Invalid case ID' }
+    },
+    status: reviewStatus,
+    remarks
+};
+
+exports.progressAnalyticsSchema = {
+    ...studentFilters
+};
@@ -0,0 +1,87 @@
+const ClinicalCase = require('../models/ClinicalCase.model');
+const { idParam, pagination } = require('./common.validators');
+
+const semester = (location, isOptional) => ({
+    ...(location === 'body' ? {} : { in: [location] }),
+    ...(isOptional ? { optional: true } : {}),
+    isInt: { options: { min: 1, max: 8 }, errorMessage: 'Semester must be between 1 and 8' },
+    toInt: true
+});
+
+const requirementFields = (isUpdate) => ({
+    semester: semester('body', isUpdate),
+    batch: {
+        optional: { options: { values: 'null' } },
+        isString: { errorMessage: 'Batch must be text' },
+        trim: true
+    },
+    items: {
+        ...(isUpdate ? { optional: true } : {}),
+        isArray: { options: { min: 1 }, errorMessage: 'At least one requirement is needed' }
+    },
+    'items.*.label': {
+        isString: { errorMessage: 'Requirement label is required' },
+        trim: true,
+        isLength: { options: { min: 1, max: 100 }, errorMessage: 'Label must be 1 to 100 characters' }
+    },
+    'items.*.testTypes': {
+        optional: true,
+        isArray: { errorMessage: 'Test types must be a list' }
+    },
+    'items.*.testTypes.*': {
+        isIn: { options: [ClinicalCase.getTestTypes()], errorMessage: 'Invalid test type' }
+    },
+    'items.*.ageGroups': {
+        optional: true,
+        isArray: { errorMessage: 'Age groups must be a list' }
+    },
+    'items.*.ageGroups.*': {
+        isIn: { options: [ClinicalCase.getAgeGroups()], errorMessage: 'Invalid patient age group' }
+    },
+    'items.*.minimumCases': {
+        isInt: { options: { min: 1 }, errorMessage: 'Minimum cases must be a positive whole number' },
+        toInt: true
+    },
+    notes: {
+        optional: true,
+        isString: true,
+        trim: true,
+        isLength: { options: { max: 1000 }, errorMessage: 'Notes cannot exceed 1000 characters' }
+    }
+});
+
+exports.createRequirementSchema = requirementFields(false);
+
+exports.updateRequirementSchema = {
+    ...idParam(),
+    ...requirementFields(true)
+};
+
+exports.requirementIdSchema = {
+    ...idParam()
+};
+
+exports.getRequirementsSchema = {
+    semester: semester('query', true),
+    batch: {
+        in: ['query'],
+        optional: true,
+        isString: true,
+        trim: true
+    }
+};
+
+exports.getProgressReportSchema = {
+    semester: semester('query', true),
+    batch: {
+        in: ['query'],
+        optional: true,
+        isString: true,
+        trim: true
+    },
+    ...pagination
+};
+
+exports.studentProgressSchema = {
+    ...idParam('studentId')
+};
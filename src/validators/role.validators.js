@@ -0,0 +1,40 @@
+const { ALL_PERMISSIONS } = require('../config/permissions');
+const { idParam } = require('./common.validators');
+
+const roleFields = (isUpdate) => ({
+    name: {
+        ...(isUpdate ? { optional: true } : {}),
+        isString: { errorMessage: 'Role name is required' },
+        trim: true,
+        isLength: { options: { min: 1, max: 50 }, errorMessage: 'Role name must be 1 to 50 characters' }
+    },
+    description: {
+        optional: true,
+        isString: true,
+        trim: true,
+        isLength: { options: { max: 300 }, errorMessage: 'Description cannot exceed 300 characters' }
+    },
+    isStudent: {
+        optional: true,
+        isBoolean: { errorMessage: 'isStudent must be true or false' },
+        toBoolean: true
+    },
+    permissions: {
+        ...(isUpdate ? { optional: true } : {}),
+        isArray: { errorMessage: 'Permissions must be a list' }
+    },
+    'permissions.*': {
+        isIn: { options: [ALL_PERMISSIONS], errorMessage: 'Unknown permission' }
+    }
+});
+
+exports.createRoleSchema = roleFields(false);
+
+exports.updateRoleSchema = {
+    ...idParam(),
+    ...roleFields(true)
+};
+
+exports.roleIdSchema = {
+    ...idParam()
+};
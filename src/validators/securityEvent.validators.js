@@ -0,0 +1,15 @@
+const SecurityEvent = require('../models/SecurityEvent.model');
+const { optionalMongoId, pagination, dateRangeQuery } = require('./common.validators');
+
+exports.getSecurityEventsSchema = {
+    type: {
+        in: ['query'],
+        optional: true,
+        isIn: { options: [SecurityEvent.getEventTypes()], errorMessage: 'Invalid event type' }
+    },
+    userId: optionalMongoId('query', 'Invalid user ID'),
+    email: { in: ['query'], optional: true, isString: true, trim: true },
+    ipAddress: { in: ['query'], optional: true, isIP: { errorMessage: 'Invalid IP address' } },
+    ...dateRangeQuery,
+    ...pagination
+};
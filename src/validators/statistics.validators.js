@@ -0,0 +1,44 @@
+const ClinicalCase = require('../models/ClinicalCase.model');
+const { optionalMongoId, optionalInt, dateRangeQuery } = require('./common.validators');
+
+exports.dashboardSchema = {
+    studentId: optionalMongoId('query', 'Invalid student ID')
+};
+
+exports.weeklyStatsSchema = {
+    studentId: optionalMongoId('query', 'Invalid student ID'),
+    ...dateRangeQuery
+};
+
+exports.monthlyReportSchema = {
+    studentId: optionalMongoId('query', 'Invalid student ID'),
+    month: optionalInt('query', 1, 12, 'Month must be between 1 and 12'),
+    year: optionalInt('query', 2000, 2100, 'Year must be a valid year')
+};
+
+exports.clockHoursSchema = {
+    studentId: optionalMongoId('query', 'Invalid student ID'),
+    ...dateRangeQuery
+};
+
+exports.clockHourCategoriesSchema = {
+    categories: {
+        isArray: { options: { min: 1 }, errorMessage: 'At least one category is needed' }
+    },
+    'categories.*.name': {
+        isString: { errorMessage: 'Category name is required' },
+        trim: true,
+        isLength: { options: { min: 1, max: 60 }, errorMessage: 'Category name must be 1 to 60 characters' }
+    },
+    'categories.*.testTypes': {
+        isArray: { errorMessage: 'Test types must be a list' }
+    },
+    'categories.*.testTypes.*': {
+        isIn: { options: [ClinicalCase.getTestTypes()], errorMessage: 'Invalid test type' }
+    },
+    'categories.*.targetHours': {
+        optional: { options: { values: 'null' } },
+        isFloat: { options: { min: 0 }, errorMessage: 'Target hours cannot be negative' },
+        toFloat: true
+    }
+};
@@ -0,0 +1,111 @@
+const { idParam, optionalMongoId, optionalInt, pagination, password, email, phone } = require('./common.validators');
+
+const hours = (field, label) => ({
+    [field]: {
+        optional: true,
+        isFloat: { options: { min: 0 }, errorMessage: `${label} cannot be negative` },
+        toFloat: true
+    }
+});
+
+const profileFields = {
+    name: {
+        optional: true,
+        trim: true,
+        notEmpty: { errorMessage: 'Name cannot be empty' },
+        isLength: { options: { max: 100 }, errorMessage: 'Name cannot exceed 100 characters' }
+    },
+    phone
+};
+
+const accountFields = {
+    role: {
+        optional: true,
+        isString: true,
+        trim: true
+    },
+    batch: {
+        optional: true,
+        isString: true,
+        trim: true
+    },
+    semester: {
+        optional: true,
+        isInt: { options: { min: 1, max: 8 }, errorMessage: 'Semester must be between 1 and 8' },
+        toInt: true
+    },
+    registrationNumber: {
+        optional: true,
+        isString: true,
+        trim: true
+    },
+    supervisor: optionalMongoId('body', 'Invalid supervisor ID'),
+    isActive: {
+        optional: true,
+        isBoolean: { errorMessage: 'isActive must be true or false' },
+        toBoolean: true
+    },
+    ...hours('totalAllottedHours', 'Total allotted hours'),
+    ...hours('completedHours', 'Completed hours')
+};
+
+exports.getUsersSchema = {
+    role: { in: ['query'], optional: true, isString: true },
+    batch: { in: ['query'], optional: true, isString: true },
+    semester: optionalInt('query', 1, 8, 'Semester must be between 1 and 8'),
+    search: { in: ['query'], optional: true, isString: true, trim: true },
+    ...pagination
+};
+
+exports.createUserSchema = {
+    ...profileFields,
+    name: {
+        trim: true,
+        notEmpty: { errorMessage: 'Name is required' },
+        isLength: { options: { max: 100 }, errorMessage: 'Name cannot exceed 100 characters' }
+    },
+    ...email(),
+    ...password('password'),
+    ...accountFields
+};
+
+exports.updateUserSchema = {
+    ...idParam(),
+    ...profileFields,
+    email: {
+        optional: true,
+        trim: true,
+        isEmail: { errorMessage: 'Please provide a valid email' },
+        toLowerCase: true
+    },
+    ...accountFields
+};
+
+exports.userIdSchema = {
+    ...idParam()
+};
+
+exports.assignSupervisorSchema = {
+    ...idParam(),
+    supervisorId: {
+        isMongoId: { errorMessage: 'Invalid supervisor ID' }
+    }
+};
+
+exports.updateHoursSchema = {
+    ...idParam(),
+    ...hours('totalAllottedHours', 'Total allotted hours'),
+    ...hours('completedHours', 'Completed hours')
+};
+
+exports.updateProfileSchema = {
+    ...profileFields
+};
+
+exports.changePasswordSchema = {
+    currentPassword: {
+        isString: { errorMessage: 'Please provide current and new password' },
+        notEmpty: { errorMessage: 'Please provide current and new password' }
+    },
+    ...password('newPassword', 'New password must be at least 6 characters')
+};
@@ -0,0 +1,62 @@
+// Shared fakes for unit tests that run without a database
+
+// A stand-in for an Express response that records what was sent
+const mockRes = () => {
+    const res = {
+        statusCode: 200,
+        body: undefined,
+        headers: {}
+    };
+
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.json = (body) => {
+        res.body = body;
+        return res;
+    };
+    res.set = (name, value) => {
+        res.headers[name] = value;
+        return res;
+    };
+
+    return res;
+};
+
+// A stand-in for an Express request from a signed-in user
+const mockReq = ({ user, permissions = [], body = {}, query = {}, params = {}, headers = {} } = {}) => ({
+    user,
+    permissions,
+    body,
+    query,
+    params,
+    headers,
+    ip: '127.0.0.1'
+});
+
+// A Mongoose query chain (find().select().sort().lean() and so on) resolving to `result`
+const mockQuery = (result) => {
+    const query = {
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+    };
+    ['select', 'sort', 'lean', 'populate', 'skip', 'limit'].forEach(method => {
+        query[method] = () => query;
+    });
+    query.distinct = () => Promise.resolve(result);
+
+    return query;
+};
+
+// An error shaped like a MongoDB duplicate key error on `field`
+const duplicateKeyError = (field) => Object.assign(new Error(`E11000 duplicate key error: ${field}`), {
+    code: 11000,
+    keyPattern: { [field]: 1 }
+});
+
+module.exports = {
+    mockRes,
+    mockReq,
+    mockQuery,
+    duplicateKeyError
+};
@@ -0,0 +1,130 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const Session = require('../../src/models/Session.model');
+const User = require('../../src/models/User.model');
+const { refreshToken } = require('../../src/controllers/auth.controller');
+const { mockReq, mockRes, mockQuery } = require('../helpers');
+
+// The one session document in the fake database
+let stored;
+
+const user = new User({
+    name: 'Test Supervisor',
+    email: 'supervisor@example.com',
+    password: 'secret123',
+    role: 'Supervisor',
+    isActive: true
+});
+
+const refresh = async (token) => {
+    const res = mockRes();
+    await refreshToken(mockReq({ body: { refreshToken: token } }), res);
+    return res;
+};
+
+describe('Session refresh token rotation', () => {
+    let token;
+
+    beforeEach(async () => {
+        stored = null;
+
+        mock.method(Session.prototype, 'save', async function () {
+            stored = this.toObject({ virtuals: false });
+            return this;
+        });
+        mock.method(Session, 'findById', (id) => mockQuery(
+            stored && stored._id.equals(id) ? Session.hydrate({ ...stored }) : null
+        ));
+        // Same matching rules as MongoDB, applied in one step like a real findOneAndUpdate
+        mock.method(Session, 'findOneAndUpdate', async (filter, update) => {
+            const matches = stored &&
+                stored._id.equals(filter._id) &&
+                stored.refreshTokenHash === filter.refreshTokenHash &&
+                !stored.revokedAt === (filter.revokedAt === null);
+
+            if (!matches) return null;
+
+            Object.assign(stored, update);
+            return Session.hydrate({ ...stored });
+        });
+        mock.method(User, 'findById', () => mockQuery(user));
+
+        ({ refreshToken: token } = await Session.createForUser(user, mockReq()));
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('issues a new refresh token and keeps the session open', async () => {
+        const res = await refresh(token);
+
+        assert.equal(res.statusCode, 200);
+        assert.ok(res.body.token);
+        assert.notEqual(res.body.refreshToken, token);
+        assert.equal(res.body.refreshToken.split('.')[0], stored._id.toString());
+        assert.equal(stored.revokedAt, undefined);
+    });
+
+    it('accepts the rotated token on the next refresh', async () => {
+        const first = await refresh(token);
+        const second = await refresh(first.body.refreshToken);
+
+        assert.equal(second.statusCode, 200);
+        assert.notEqual(second.body.refreshToken, first.body.refreshToken);
+    });
+
+    it('revokes the whole session when an old token is replayed', async () => {
+        const first = await refresh(token);
+        const replay = await refresh(token);
+
+        assert.equal(replay.statusCode, 401);
+        assert.match(replay.body.message, /already been used/);
+        assert.equal(stored.revokedReason, 'Token Reuse');
+
+        // The token issued before the replay dies with the session
+        const after = await refresh(first.body.refreshToken);
+        assert.equal(after.statusCode, 401);
+        assert.match(after.body.message, /expired or been revoked/);
+    });
+
+    it('lets only one of two concurrent refreshes with the same token win, without revoking', async () => {
+        const results = await Promise.all([refresh(token), refresh(token)]);
+        const statuses = results.map(res => res.statusCode).sort();
+
+        assert.deepEqual(statuses, [200, 401]);
+        assert.equal(stored.revokedAt, undefined);
+
+        const loser = results.find(res => res.statusCode === 401);
+        assert.match(loser.body.message, /no longer valid/);
+
+        const winner = results.find(res => res.statusCode === 200);
+        assert.equal((await refresh(winner.body.refreshToken)).statusCode, 200);
+    });
+
+    it('does not rotate a session whose token changed since it was loaded', async () => {
+        const { session } = await Session.findByRefreshToken(token);
+        await refresh(token);
+        const hashAfterRefresh = stored.refreshTokenHash;
+
+        assert.equal(await session.rotate(mockReq()), null);
+        assert.equal(stored.refreshTokenHash, hashAfterRefresh);
+    });
+
+    it('does not rotate a revoked session', async () => {
+        const { session } = await Session.findByRefreshToken(token);
+        stored.revokedAt = new Date();
+
+        assert.equal(await session.rotate(mockReq()), null);
+    });
+
+    it('rejects malformed refresh tokens without a lookup', async () => {
+        const result = await Session.findByRefreshToken('not-a-token');
+
+        assert.deepEqual(result, { session: null, matches: false });
+        assert.equal(Session.findById.mock.callCount(), 0);
+    });
+});
@@ -0,0 +1,125 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const audiogram = require('../../src/services/audiogram.service');
+
+// Thresholds at the PTA frequencies (500, 1000, 2000 Hz), plus any extra points
+const thresholds = (t500, t1000, t2000, extra = []) => [
+    { frequency: 500, threshold: t500 },
+    { frequency: 1000, threshold: t1000 },
+    { frequency: 2000, threshold: t2000 },
+    ...extra
+];
+
+const ear = (air, bone) => ({ airConduction: air, boneConduction: bone });
+
+describe('audiogram.pureToneAverage', () => {
+    it('averages 500, 1000 and 2000 Hz to one decimal', () => {
+        assert.equal(audiogram.pureToneAverage(thresholds(30, 35, 40, [{ frequency: 4000, threshold: 90 }])), 35);
+        assert.equal(audiogram.pureToneAverage(thresholds(30, 30, 35)), 31.7);
+    });
+
+    it('has no average when a PTA frequency is missing', () => {
+        assert.equal(audiogram.pureToneAverage([{ frequency: 500, threshold: 30 }]), null);
+        assert.equal(audiogram.pureToneAverage(undefined), null);
+    });
+});
+
+describe('audiogram.degreeForPTA', () => {
+    it('puts each PTA in its band, rounding to whole dB', () => {
+        assert.match(audiogram.degreeForPTA(25.4), /^Normal/);
+        assert.match(audiogram.degreeForPTA(25.5), /^Mild/);
+        assert.match(audiogram.degreeForPTA(55), /^Moderate \(/);
+        assert.match(audiogram.degreeForPTA(56), /^Moderately Severe/);
+        assert.match(audiogram.degreeForPTA(95), /^Profound/);
+        assert.equal(audiogram.degreeForPTA(null), null);
+    });
+});
+
+describe('audiogram.typeForPTA', () => {
+    it('calls normal air conduction Normal, with or without bone', () => {
+        assert.equal(audiogram.typeForPTA(20, null), 'Normal');
+        assert.equal(audiogram.typeForPTA(25, 5), 'Normal');
+    });
+
+    it('calls an air-bone gap over normal bone conduction Conductive', () => {
+        assert.equal(audiogram.typeForPTA(50, 20), 'Conductive');
+    });
+
+    it('calls an air-bone gap over abnormal bone conduction Mixed', () => {
+        assert.equal(audiogram.typeForPTA(70, 40), 'Mixed');
+    });
+
+    it('calls abnormal air and bone without a gap Sensorineural', () => {
+        assert.equal(audiogram.typeForPTA(50, 45), 'Sensorineural');
+    });
+
+    it('cannot tell the type when bone conduction is normal and the gap is small', () => {
+        assert.equal(audiogram.typeForPTA(35, 25), null);
+        assert.equal(audiogram.typeForPTA(38, 24), null);
+    });
+
+    it('cannot tell the type of an air loss without bone conduction', () => {
+        assert.equal(audiogram.typeForPTA(50, null), null);
+        assert.equal(audiogram.typeForPTA(null, 20), null);
+    });
+});
+
+describe('audiogram.interpret', () => {
+    it('interprets each ear and flags findings that disagree', () => {
+        const result = audiogram.interpret({
+            audiogramData: {
+                rightEar: ear(thresholds(50, 55, 60), thresholds(10, 15, 20)),
+                leftEar: ear(thresholds(10, 15, 20), thresholds(5, 10, 10))
+            },
+            findings: {
+                hearingLossDegree: { rightEar: 'Mild (26 to 40 dB)', leftEar: 'Normal (-10 to 25 dB)' },
+                hearingLossType: { rightEar: 'Sensorineural', leftEar: 'Normal' }
+            }
+        });
+
+        assert.equal(result.rightEar.pta, 55);
+        assert.equal(result.rightEar.airBoneGap, 40);
+        assert.equal(result.rightEar.type, 'Conductive');
+        assert.equal(result.leftEar.type, 'Normal');
+        assert.deepEqual(result.flags.map(flag => [flag.ear, flag.field, flag.expected]), [
+            ['rightEar', 'hearingLossDegree', 'Moderate (41 to 55 dB)'],
+            ['rightEar', 'hearingLossType', 'Conductive']
+        ]);
+    });
+
+    it('does not flag the type when the thresholds cannot tell it', () => {
+        const result = audiogram.interpret({
+            audiogramData: { rightEar: ear(thresholds(35, 35, 35), thresholds(25, 25, 25)) },
+            findings: { hearingLossType: { rightEar: 'Sensorineural' } }
+        });
+
+        assert.equal(result.rightEar.type, null);
+        assert.deepEqual(result.flags, []);
+    });
+
+    it('never flags types that need other tests', () => {
+        const result = audiogram.interpret({
+            audiogramData: { rightEar: ear(thresholds(10, 10, 10), thresholds(5, 5, 5)) },
+            findings: { hearingLossType: { rightEar: 'Auditory Neuropathy' } }
+        });
+
+        assert.deepEqual(result.flags, []);
+    });
+
+    it('only flags a milder stated degree when the PTA includes a no-response threshold', () => {
+        const noResponse = [
+            { frequency: 500, threshold: 80 },
+            { frequency: 1000, threshold: 85 },
+            { frequency: 2000, threshold: 90, noResponse: true }
+        ];
+        const interpretAs = (stated) => audiogram.interpret({
+            audiogramData: { rightEar: ear(noResponse) },
+            findings: { hearingLossDegree: { rightEar: stated } }
+        });
+
+        assert.equal(interpretAs('Profound (>90 dB)').flags.length, 0);
+        assert.equal(interpretAs('Moderately Severe (56 to 70 dB)').flags.length, 1);
+        assert.equal(interpretAs('Moderately Severe (56 to 70 dB)').rightEar.ptaIsMinimum, true);
+    });
+});
@@ -0,0 +1,162 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const ClinicalCase = require('../../src/models/ClinicalCase.model');
+const Counter = require('../../src/models/Counter.model');
+const caseNumbering = require('../../src/services/caseNumbering.service');
+const { mockQuery, duplicateKeyError } = require('../helpers');
+
+const OCTOBER = new Date(2026, 9, 19);
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+describe('Counter.next', () => {
+    it('starts a new sequence after the given floor', async () => {
+        mock.method(Counter, 'updateOne', async () => ({}));
+        mock.method(Counter, 'findOneAndUpdate', async () => ({ seq: 43 }));
+
+        assert.equal(await Counter.next('clinicalCase-2610', 42), 43);
+        assert.deepEqual(Counter.updateOne.mock.calls[0].arguments[1], { $max: { seq: 42 } });
+    });
+
+    it('retries when a concurrent first use created the sequence', async () => {
+        let calls = 0;
+        mock.method(Counter, 'findOneAndUpdate', async () => {
+            if (++calls === 1) throw duplicateKeyError('_id');
+            return { seq: 2 };
+        });
+
+        assert.equal(await Counter.next('clinicalCase-2610'), 2);
+        assert.equal(calls, 2);
+    });
+});
+
+describe('ClinicalCase case numbers', () => {
+    it('finds the highest number of a month numerically', async () => {
+        mock.method(ClinicalCase, 'find', () => mockQuery([
+            { caseNumber: 'SRISH-2610-0042' },
+            { caseNumber: 'SRISH-2610-9999' },
+            { caseNumber: 'SRISH-2610-10000' },
+            { caseNumber: 'SRISH-2610-x' }
+        ]));
+
+        assert.equal(await ClinicalCase.highestCaseNumber('2610'), 10000);
+    });
+
+    it('continues a new month counter from the numbers already used', async () => {
+        mock.method(Counter, 'exists', async () => null);
+        mock.method(Counter, 'next', async (name, floor) => floor + 1);
+        mock.method(ClinicalCase, 'find', () => mockQuery([{ caseNumber: 'SRISH-2610-0007' }]));
+
+        assert.equal(await ClinicalCase.nextCaseNumber(OCTOBER), 'SRISH-2610-0008');
+        assert.equal(Counter.next.mock.calls[0].arguments[0], 'clinicalCase-2610');
+    });
+
+    it('does not scan the cases once the month counter exists', async () => {
+        mock.method(Counter, 'exists', async () => ({ _id: 'clinicalCase-2610' }));
+        mock.method(Counter, 'next', async (name, floor) => floor + 12);
+        mock.method(ClinicalCase, 'find', () => mockQuery([]));
+
+        assert.equal(await ClinicalCase.nextCaseNumber(OCTOBER), 'SRISH-2610-0012');
+        assert.equal(ClinicalCase.find.mock.callCount(), 0);
+    });
+
+    it('parses and formats case numbers', () => {
+        assert.deepEqual(ClinicalCase.parseCaseNumber('SRISH-2610-0042'), { month: '2610', seq: 42 });
+        assert.equal(ClinicalCase.parseCaseNumber('2610-42'), null);
+        assert.equal(ClinicalCase.formatCaseNumber(OCTOBER, 42), 'SRISH-2610-0042');
+    });
+});
+
+describe('ClinicalCase saveWithCaseNumber', () => {
+    // Fake save: assigns the next free number like the pre-save hook, and
+    // rejects numbers someone else saved first like the unique index
+    const saveTaking = (clinicalCase, numbers, taken) => mock.method(clinicalCase, 'save', async function () {
+        if (!this.caseNumber) this.caseNumber = numbers.shift();
+        if (taken.includes(this.caseNumber)) throw duplicateKeyError('caseNumber');
+        return this;
+    });
+
+    it('takes the next number when its number was saved by someone else', async () => {
+        const clinicalCase = new ClinicalCase();
+        saveTaking(clinicalCase, ['SRISH-2610-0001', 'SRISH-2610-0002'], ['SRISH-2610-0001']);
+
+        await clinicalCase.saveWithCaseNumber();
+
+        assert.equal(clinicalCase.caseNumber, 'SRISH-2610-0002');
+        assert.equal(clinicalCase.save.mock.callCount(), 2);
+    });
+
+    it('gives up after a few numbers in a row are taken', async () => {
+        const numbers = ['1', '2', '3', '4', '5', '6'].map(seq => `SRISH-2610-000${seq}`);
+        const clinicalCase = new ClinicalCase();
+        saveTaking(clinicalCase, [...numbers], numbers);
+
+        await assert.rejects(clinicalCase.saveWithCaseNumber(), { code: 11000 });
+        assert.equal(clinicalCase.save.mock.callCount(), 5);
+    });
+
+    it('does not retry other duplicate keys', async () => {
+        const clinicalCase = new ClinicalCase();
+        mock.method(clinicalCase, 'save', async () => {
+            throw duplicateKeyError('_id');
+        });
+
+        await assert.rejects(clinicalCase.saveWithCaseNumber(), { code: 11000 });
+        assert.equal(clinicalCase.save.mock.callCount(), 1);
+    });
+});
+
+describe('caseNumbering repair', () => {
+    const id = () => new mongoose.Types.ObjectId();
+    const cases = [
+        { _id: id(), caseNumber: 'SRISH-2610-0001', createdAt: new Date(2026, 9, 1) },
+        { _id: id(), caseNumber: 'SRISH-2610-0001', createdAt: new Date(2026, 9, 2) },
+        { _id: id(), caseNumber: 'SRISH-2610-0004', createdAt: new Date(2026, 9, 3) },
+        { _id: id(), createdAt: new Date(2026, 9, 4) },
+        { _id: id(), caseNumber: 'CASE-17', createdAt: new Date(2026, 9, 5) }
+    ];
+
+    const mockCases = () => {
+        mock.method(ClinicalCase, 'find', () => mockQuery(cases));
+        mock.method(Counter, 'current', async () => 2);
+    };
+
+    it('reports duplicates, missing and malformed numbers, gaps and lagging counters', async () => {
+        mockCases();
+
+        const report = await caseNumbering.checkCaseNumbers();
+
+        assert.equal(report.total, 5);
+        assert.deepEqual(report.duplicates.map(d => d.others[0]._id), [cases[1]._id]);
+        assert.deepEqual(report.missing, [cases[3]]);
+        assert.deepEqual(report.malformed, [cases[4]]);
+        assert.deepEqual(report.gaps, [{ month: '2610', highest: 4, unused: [2, 3] }]);
+        assert.deepEqual(report.laggingCounters, [{ month: '2610', counter: 2, highest: 4 }]);
+    });
+
+    it('raises counters and renumbers, skipping numbers taken while it runs', async () => {
+        mockCases();
+        const candidates = ['SRISH-2610-0005', 'SRISH-2610-0006', 'SRISH-2610-0007', 'SRISH-2610-0008', 'SRISH-2610-0009'];
+        mock.method(Counter, 'raiseTo', async () => ({}));
+        mock.method(ClinicalCase, 'nextCaseNumber', async () => candidates.shift());
+        // 0006 is already used, 0007 is saved by a new case just before the update
+        mock.method(ClinicalCase, 'exists', async ({ caseNumber }) => caseNumber === 'SRISH-2610-0006');
+        mock.method(ClinicalCase, 'updateOne', async (filter, update) => {
+            if (update.$set.caseNumber === 'SRISH-2610-0007') throw duplicateKeyError('caseNumber');
+            return {};
+        });
+
+        const report = await caseNumbering.repairCaseNumbers();
+
+        assert.deepEqual(Counter.raiseTo.mock.calls[0].arguments, ['clinicalCase-2610', 4]);
+        assert.deepEqual(report.renumbered.map(r => [r.id, r.from, r.to]), [
+            [cases[1]._id, 'SRISH-2610-0001', 'SRISH-2610-0005'],
+            [cases[3]._id, null, 'SRISH-2610-0008'],
+            [cases[4]._id, 'CASE-17', 'SRISH-2610-0009']
+        ]);
+    });
+});
@@ -0,0 +1,162 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const ClinicalCase = require('../../src/models/ClinicalCase.model');
+const CaseComment = require('../../src/models/CaseComment.model');
+const Role = require('../../src/models/Role.model');
+const User = require('../../src/models/User.model');
+const caseReview = require('../../src/services/caseReview.service');
+const { mockReq, mockQuery } = require('../helpers');
+
+const studentId = new mongoose.Types.ObjectId();
+const otherStudentId = new mongoose.Types.ObjectId();
+
+const student = mockReq({
+    user: { _id: studentId, id: studentId.toString(), role: 'Student' },
+    permissions: ['cases:create']
+});
+
+// A supervisor assigned to `studentId` only
+const supervisor = mockReq({
+    user: { _id: new mongoose.Types.ObjectId(), role: 'Supervisor' },
+    permissions: ['cases:read', 'cases:review']
+});
+
+const admin = mockReq({
+    user: { _id: new mongoose.Types.ObjectId(), role: 'Admin' },
+    permissions: ['students:all', 'cases:review', 'cases:reopen']
+});
+
+const caseIn = (status, owner = studentId) => ClinicalCase.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    student: owner,
+    supervisorApproval: status ? { status } : undefined
+});
+
+describe('caseReview.checkTransition', () => {
+    beforeEach(() => {
+        mock.method(Role, 'studentRoleNames', async () => ['Student']);
+        mock.method(User, 'find', () => mockQuery([studentId]));
+        // Each request caches its scope; start every test from a clean one
+        [student, supervisor, admin].forEach(req => {
+            delete req.scopedStudentIds;
+            delete req.studentRoles;
+        });
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('lets the owner submit a draft', async () => {
+        assert.equal(await caseReview.checkTransition(caseIn('Draft'), 'Pending', student), null);
+    });
+
+    it('keeps anyone but the owner from submitting a draft', async () => {
+        const error = await caseReview.checkTransition(caseIn('Draft'), 'Pending', admin);
+
+        assert.equal(error.statusCode, 403);
+    });
+
+    it('rejects moves the workflow does not have, listing the allowed ones', async () => {
+        const error = await caseReview.checkTransition(caseIn('Draft'), 'Approved', admin);
+
+        assert.equal(error.statusCode, 409);
+        assert.match(error.message, /Draft to Approved.*Allowed: Pending/);
+    });
+
+    it('treats a case without a status as Pending', async () => {
+        assert.equal(caseReview.getStatus(caseIn(null)), 'Pending');
+        assert.equal(await caseReview.checkTransition(caseIn(null), 'Approved', supervisor), null);
+    });
+
+    it('lets a supervisor review cases of their own students', async () => {
+        for (const status of ['Approved', 'Rejected']) {
+            assert.equal(await caseReview.checkTransition(caseIn('Pending'), status, supervisor), null);
+        }
+    });
+
+    it('keeps a supervisor from reviewing students outside their scope', async () => {
+        const error = await caseReview.checkTransition(caseIn('Pending', otherStudentId), 'Approved', supervisor);
+
+        assert.equal(error.statusCode, 403);
+    });
+
+    it('keeps students from reviewing their own cases', async () => {
+        const error = await caseReview.checkTransition(caseIn('Pending'), 'Approved', student);
+
+        assert.equal(error.statusCode, 403);
+    });
+
+    it('requires a comment when asking for a revision', async () => {
+        const missing = await caseReview.checkTransition(caseIn('Pending'), 'Revision Required', supervisor, '  ');
+        const given = await caseReview.checkTransition(caseIn('Pending'), 'Revision Required', supervisor, 'Add masking');
+
+        assert.equal(missing.statusCode, 400);
+        assert.equal(given, null);
+    });
+
+    it('lets the owner resubmit after a revision request', async () => {
+        assert.equal(await caseReview.checkTransition(caseIn('Revision Required'), 'Pending', student), null);
+    });
+
+    it('needs cases:reopen to reopen a reviewed case', async () => {
+        for (const status of ['Approved', 'Rejected']) {
+            const bySupervisor = await caseReview.checkTransition(caseIn(status), 'Pending', supervisor);
+
+            assert.equal(bySupervisor.statusCode, 403);
+            assert.equal(await caseReview.checkTransition(caseIn(status), 'Pending', admin), null);
+        }
+    });
+
+    it('allows nothing but the listed transitions from each status', () => {
+        assert.deepEqual(caseReview.getAllowedTransitions('Draft'), ['Pending']);
+        assert.deepEqual(caseReview.getAllowedTransitions('Pending'), ['Approved', 'Rejected', 'Revision Required']);
+        assert.deepEqual(caseReview.getAllowedTransitions('Approved'), ['Pending']);
+        assert.deepEqual(caseReview.getAllowedTransitions('Unknown'), []);
+    });
+});
+
+describe('caseReview.transition', () => {
+    beforeEach(() => {
+        mock.method(CaseComment, 'recordReview', async () => null);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('only updates the case if it is still in the status it was checked in', async () => {
+        const clinicalCase = caseIn('Pending');
+        mock.method(ClinicalCase, 'findOneAndUpdate', async () => caseIn('Approved'));
+
+        const result = await caseReview.transition(clinicalCase, 'Approved', admin, 'Well done');
+        const [filter, update] = ClinicalCase.findOneAndUpdate.mock.calls[0].arguments;
+
+        assert.equal(caseReview.getStatus(result.clinicalCase), 'Approved');
+        assert.deepEqual(filter['supervisorApproval.status'], { $in: ['Pending', null] });
+        assert.equal(update.$set['supervisorApproval.status'], 'Approved');
+        assert.equal(update.$set.isCompleted, true);
+        assert.equal(update.$push.statusHistory.from, 'Pending');
+        assert.equal(CaseComment.recordReview.mock.callCount(), 1);
+    });
+
+    it('reports a conflict when another reviewer changed the case first', async () => {
+        mock.method(ClinicalCase, 'findOneAndUpdate', async () => null);
+
+        const result = await caseReview.transition(caseIn('Pending'), 'Rejected', admin, 'Incomplete');
+
+        assert.equal(result.error.statusCode, 409);
+        assert.equal(CaseComment.recordReview.mock.callCount(), 0);
+    });
+
+    it('does not touch the case when the move is not allowed', async () => {
+        mock.method(ClinicalCase, 'findOneAndUpdate', async () => null);
+
+        const result = await caseReview.transition(caseIn('Approved'), 'Rejected', admin);
+
+        assert.equal(result.error.statusCode, 409);
+        assert.equal(ClinicalCase.findOneAndUpdate.mock.callCount(), 0);
+    });
+});